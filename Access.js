@@ -0,0 +1,72 @@
+/**
+ * Who may run the commands of this project.
+ *
+ * The kiosk web app (see 'Kiosk') runs as the deploying user for anyone in the domain,
+ * and a page served by it can call every top-level function whose name does not end
+ * in "_" through google.script.run. So:
+ * - the kiosk page only talks to kioskRequest(), which checks its inputs;
+ * - the badge page, every command and the public helpers that read or write sheets check
+ *   the active user with assertAuthorizedUser_() (withJobLock_ does it for the locked jobs).
+ * Pure string helpers (normalizePersonalId, buildMatchKey, capitalizeName, ...) need no
+ * check; they read and write nothing.
+ *
+ * Authorized: the owner and editors of this spreadsheet, the deploying user, and the
+ * addresses in the script property AUTHORIZED_USERS (comma or newline separated).
+ * An execution without an active user is refused, unless it is one of this project's
+ * installable triggers: their handlers pass the trigger's event object, whose triggerUid
+ * must belong to a trigger of the project.
+ */
+const AUTHORIZED_USERS_PROPERTY = 'AUTHORIZED_USERS';
+
+let authorizedUserChecked_ = false; // per execution
+
+/**
+ * Throws unless the active user may run commands (see above).
+ *
+ * @param {Object=} triggerEvent Event object, when called from an installable trigger handler.
+ */
+function assertAuthorizedUser_(triggerEvent) {
+  if (authorizedUserChecked_) return;
+
+  const email = String(Session.getActiveUser().getEmail() || '').trim().toLowerCase();
+  if (!email && !isProjectTriggerEvent_(triggerEvent)) {
+    Logger.log('Access denied: no active user.');
+    throw new Error('You are not allowed to run this. Sign in with an account that can edit the attendance spreadsheet.');
+  }
+  if (email && !isAuthorizedUser_(email)) {
+    Logger.log('Access denied for ' + email + '.');
+    throw new Error('You are not allowed to run this. Ask the owner of the attendance spreadsheet for edit access.');
+  }
+  authorizedUserChecked_ = true;
+}
+
+function isAuthorizedUser_(email) {
+  const allowed = new Set();
+  const add = function (address) {
+    const value = String(address || '').trim().toLowerCase();
+    if (value) allowed.add(value);
+  };
+
+  add(Session.getEffectiveUser().getEmail());
+  String(PropertiesService.getScriptProperties().getProperty(AUTHORIZED_USERS_PROPERTY) || '')
+    .split(/[,;\s]+/)
+    .forEach(add);
+  if (allowed.has(email)) return true;
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const owner = ss.getOwner();
+  if (owner) add(owner.getEmail());
+  ss.getEditors().forEach(function (user) { add(user.getEmail()); });
+  return allowed.has(email);
+}
+
+/**
+ * True when e is the event object of one of this project's installable triggers.
+ * A caller can put any triggerUid into a plain object, so the id must match a trigger
+ * the effective user installed.
+ */
+function isProjectTriggerEvent_(e) {
+  if (!e || !e.triggerUid) return false;
+  const uid = String(e.triggerUid);
+  return ScriptApp.getProjectTriggers().some(function (trigger) { return trigger.getUniqueId() === uid; });
+}
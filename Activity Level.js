@@ -74,6 +74,12 @@ function createNameKey(lastName, firstName) {
  * based on data from the 'Attendance Stats' sheet (Column F, starts row 3).
  */
 function updateDirectoryActivityLevel() {
+  return withJobLock_('Update Directory Activity Level', function () {
+    return updateDirectoryActivityLevelUnlocked_();
+  });
+}
+
+function updateDirectoryActivityLevelUnlocked_() {
   // const ui = SpreadsheetApp.getUi(); // Removed notifications
   try {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -0,0 +1,224 @@
+/**
+ * Flat attendance export (CSV or JSON) for denomination submissions.
+ *
+ * exportAttendanceData() reads the filters from the 'Export' tab (created with
+ * defaults on first run), flattens the raw records from matchOrAssignBelCodes()
+ * into one row per person / event / date, and saves the file to the user's Drive.
+ *
+ * 'Export' tab (A = label, B = value):
+ *   B2 Quarter     e.g. "2026 Q1" (overrides B3/B4 when filled)
+ *   B3 Start Date
+ *   B4 End Date
+ *   B5 Event       blank = all; event name or alias from the 'Events' catalog
+ *   B6 Lineage     blank = all
+ *   B7 Member/Guest  All | Members | Guests
+ *   B8 Format      CSV | JSON
+ *   B9 Include Serving  No | Yes (also export serving-role records)
+ *   B11 Last Export (written by the script: file link)
+ */
+const EXPORT_TAB_NAME = "Export";
+
+const EXPORT_COLUMNS = [
+  "Date", "Personal ID", "Last Name", "First Name", "Event",
+  "Service Slot", "Serving Role", "Member/Guest", "Lineage"
+];
+
+/**
+ * Menu entry: exports attendance using the filters on the 'Export' tab.
+ */
+function exportAttendanceData() {
+  return withJobLock_("Export Attendance", () => exportAttendanceDataUnlocked_());
+}
+
+function exportAttendanceDataUnlocked_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  let exportSheet = ss.getSheetByName(EXPORT_TAB_NAME);
+  if (!exportSheet) {
+    exportSheet = createExportSheet_(ss);
+    showAlert_(`Created the "${EXPORT_TAB_NAME}" tab. Fill in the filters (column B) and run the export again.`);
+    return;
+  }
+
+  const filters = readExportFilters_(exportSheet);
+  const collected = matchOrAssignBelCodes();
+  const rows = buildExportRows_(ss, collected, filters);
+
+  const tz = ss.getSpreadsheetTimeZone();
+  const stamp = Utilities.formatDate(new Date(), tz, "yyyyMMdd-HHmm");
+  const range = `${Utilities.formatDate(filters.start, tz, "yyyyMMdd")}-${Utilities.formatDate(filters.end, tz, "yyyyMMdd")}`;
+  const baseName = `${ss.getName()} attendance ${range} (${stamp})`;
+
+  let file;
+  if (filters.format === "JSON") {
+    const records = rows.map(r => {
+      const record = {};
+      EXPORT_COLUMNS.forEach((col, i) => { record[col] = r[i]; });
+      return record;
+    });
+    file = DriveApp.createFile(`${baseName}.json`, JSON.stringify(records, null, 2), MimeType.PLAIN_TEXT);
+  } else {
+    const csv = [EXPORT_COLUMNS].concat(rows).map(r => r.map(toCsvField_).join(",")).join("\r\n");
+    file = DriveApp.createFile(`${baseName}.csv`, csv, MimeType.CSV);
+  }
+
+  exportSheet.getRange("B11").setValue(file.getUrl());
+  Logger.log(`Exported ${rows.length} row(s) to ${file.getName()}`);
+  showAlert_(`Exported ${rows.length} row(s).\n\n${file.getName()}\n${file.getUrl()}`);
+}
+
+/**
+ * Builds the export rows (EXPORT_COLUMNS order) from matchOrAssignBelCodes() output.
+ *
+ * @param {Spreadsheet} ss
+ * @param {{rawData: Array[], dData: Array[], directoryIdSet: Set}} collected
+ * @param {Object} filters From readExportFilters_().
+ * @return {Array[]} Sorted by date, event, last name, first name.
+ */
+function buildExportRows_(ss, collected, filters) {
+  const { rawData, dData, directoryIdSet } = collected;
+  const tz = ss.getSpreadsheetTimeZone();
+  const lineageById = buildLineageByPersonalId_(ss, dData);
+  const directoryNamesSet = buildDirectoryNameSet_(dData); // same guest test as the stats tabs
+  const endOfRange = new Date(filters.end.getFullYear(), filters.end.getMonth(), filters.end.getDate() + 1);
+
+  const seen = new Set();
+  const rows = [];
+
+  rawData.forEach(r => {
+    if (!r) return;
+    const isServing = r[6] === true;
+    if (isServing && !filters.includeServing) return;
+
+    const date = r[5] instanceof Date ? r[5] : new Date(String(r[5]));
+    if (isNaN(date.getTime()) || date < filters.start || date >= endOfRange) return;
+
+    const event = String(r[3] || "").trim();
+    if (filters.event && event.toLowerCase() !== canonicalEventName_(filters.event).toLowerCase()) return;
+
+    const pidNorm = normalizePersonalId(r[0]);
+    const isGuest = isDirectoryGuest_(r[0], r[2], r[1], directoryIdSet, directoryNamesSet);
+    if (filters.memberGuest === "MEMBERS" && isGuest) return;
+    if (filters.memberGuest === "GUESTS" && !isGuest) return;
+
+    const lineage = lineageById.get(pidNorm) || "";
+    if (filters.lineage && lineage.toLowerCase() !== filters.lineage.toLowerCase()) return;
+
+    const slot = r[8] || "";
+    const role = isServing ? (r[9] || "") : "";
+    const dateText = Utilities.formatDate(date, tz, "yyyy-MM-dd");
+
+    // One row per person / event / date (and slot or role when present)
+    const key = `${r[7]}|${event.toLowerCase()}|${dateText}|${slot}|${role.toLowerCase()}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    rows.push([dateText, r[0] || "", r[2] || "", r[1] || "", event, slot, role, isGuest ? "Guest" : "Member", lineage]);
+  });
+
+  return rows.sort((a, b) =>
+    a[0].localeCompare(b[0]) || a[4].localeCompare(b[4]) ||
+    String(a[2]).localeCompare(String(b[2])) || String(a[3]).localeCompare(String(b[3])));
+}
+
+/**
+ * Lineage by normalized Personal ID: Directory column F first, then Column F of
+ * 'Sunday Service' / 'Event Attendance' (filled by processMemberStatus).
+ */
+function buildLineageByPersonalId_(ss, dData) {
+  const lineageById = new Map();
+  const add = (pid, lineage) => {
+    const pidNorm = normalizePersonalId(pid);
+    const text = String(lineage || "").trim();
+    if (pidNorm && text && !lineageById.has(pidNorm)) lineageById.set(pidNorm, text);
+  };
+
+  if (dData && dData.length > 1) {
+    dData.slice(1).forEach(row => add(row[25], row[5])); // Z = Personal ID, F = Lineage
+  }
+
+  [
+    { name: "Sunday Service", startRow: 4 },
+    { name: "Event Attendance", startRow: 5 }
+  ].forEach(tab => {
+    const sheet = ss.getSheetByName(tab.name);
+    if (!sheet || sheet.getLastRow() < tab.startRow) return;
+    sheet.getRange(tab.startRow, 2, sheet.getLastRow() - tab.startRow + 1, 5).getValues()
+      .forEach(row => add(row[0], row[4])); // B = Personal ID, F = Lineage
+  });
+
+  return lineageById;
+}
+
+/**
+ * Reads and validates the filters on the 'Export' tab.
+ */
+function readExportFilters_(sheet) {
+  const v = sheet.getRange("B2:B9").getValues().map(r => r[0]);
+  const [quarter, startRaw, endRaw, event, lineage, memberGuest, format, includeServing] = v;
+
+  let start, end;
+  const quarterText = String(quarter || "").trim();
+  if (quarterText) {
+    const m = quarterText.match(/^(\d{4})\s*Q([1-4])$/i);
+    if (!m) throw new Error(`Export: Quarter "${quarterText}" should look like "2026 Q1".`);
+    const year = Number(m[1]);
+    const q = Number(m[2]);
+    start = new Date(year, (q - 1) * 3, 1);
+    end = new Date(year, q * 3, 0);
+  } else {
+    start = startRaw instanceof Date ? startRaw : null;
+    end = endRaw instanceof Date ? endRaw : null;
+    if (!start || !end) throw new Error("Export: fill in a Quarter (B2) or both Start Date (B3) and End Date (B4).");
+    if (end < start) throw new Error("Export: End Date is before Start Date.");
+  }
+
+  const memberGuestText = String(memberGuest || "All").trim().toUpperCase();
+  if (["ALL", "MEMBERS", "GUESTS"].indexOf(memberGuestText) === -1) {
+    throw new Error(`Export: Member/Guest should be All, Members or Guests (got "${memberGuest}").`);
+  }
+
+  const formatText = String(format || "CSV").trim().toUpperCase();
+  if (formatText !== "CSV" && formatText !== "JSON") {
+    throw new Error(`Export: Format should be CSV or JSON (got "${format}").`);
+  }
+
+  return {
+    start,
+    end,
+    event: String(event || "").trim(),
+    lineage: String(lineage || "").trim(),
+    memberGuest: memberGuestText,
+    format: formatText,
+    includeServing: /^(yes|y|true)$/i.test(String(includeServing || "").trim())
+  };
+}
+
+function createExportSheet_(ss) {
+  const sheet = ss.insertSheet(EXPORT_TAB_NAME);
+  sheet.getRange(1, 1, 11, 2).setValues([
+    ["Filter", "Value"],
+    ["Quarter (e.g. 2026 Q1)", ""],
+    ["Start Date", ""],
+    ["End Date", ""],
+    ["Event (blank = all)", ""],
+    ["Lineage (blank = all)", ""],
+    ["Member/Guest (All, Members, Guests)", "All"],
+    ["Format (CSV, JSON)", "CSV"],
+    ["Include Serving (Yes, No)", "No"],
+    ["", ""],
+    ["Last Export", ""]
+  ]);
+  sheet.getRange("A1:B1").setFontWeight("bold");
+  sheet.getRange("B3:B4").setNumberFormat("yyyy-mm-dd");
+  sheet.autoResizeColumn(1);
+  return sheet;
+}
+
+/**
+ * Quotes a value for CSV when it contains a comma, quote or line break.
+ */
+function toCsvField_(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -1,3 +1,6 @@
+const LOG_RESUME_FROM_PROPERTY = 'ATTENDANCE_LOG_RESUME_FROM';
+const LOG_PROCESSING_TIME_BUDGET_MS = 4.5 * 60 * 1000; // Apps Script stops executions at 6 minutes
+
 /**
  * Processes the 'Attendance Log' sheet and updates:
  * - Sunday Service
@@ -8,10 +11,68 @@
  * - Matching uses Personal ID + Last Name + First Name.
  * - Personal ID in Attendance Log is Column B.
  * - Destination rows WITHOUT Personal ID in Column B are NOT used for matching.
- * - If no match, script adds a new row (same as original behavior).
+ * - If no match, existing rows are checked for likely matches (typos, nicknames,
+ *   swapped names, similar IDs). Likely matches are held on the 'Match Review' tab
+ *   until someone picks "Accept Match" or "Create New"; otherwise a new row is added.
+ * - If the service date has no column in 'Sunday Service', the column is created
+ *   in chronological order (date in row 2, COUNTIF in row 3, checkboxes for all rows).
+ * - Service slots: Attendance Log Column N holds the service slot (e.g. "9AM", "11AM",
+ *   "Youth"). 'Sunday Service' has one column per date+slot, with the slot label in
+ *   row 1 (blank slot = the single/default service for that date).
+ * - Serving roles: Attendance Log Column O holds the role someone served in (e.g. "Usher").
+ *   The row is processed as normal attendance; roles are counted by Attendance Stats
+ *   and listed on the 'Volunteers' tab.
+ * - Pastoral check-ins are appended to 'Pastoral History' (one row per check-in);
+ *   'Pastoral Check-In' E:J is the summary derived from it (see 'Pastoral History').
+ * - Event names are resolved through the 'Events' catalog (see 'Event Catalog'):
+ *   aliases become the canonical name, and the category decides pastoral routing.
+ *
+ * Each processed log row gets a status in Column I (Logged, Skipped, Error, NeedsReview)
+ * and a reason code in Column P; see 'Log Status'. Only Pending/blank and NeedsReview
+ * rows are read, so Skipped and Error rows are not retried on every run.
+ *
+ * The grid cell each Logged row set is recorded on 'Log Targets', so later edits,
+ * deletions and retractions of the row can be carried over (see 'Log Targets').
+ *
+ * Every run gets a batch ID (see 'Batch Rollback'):
+ * - Log rows marked "Logged" by the run get the batch ID in Column M.
+ * - Every checkbox, new row, pastoral update and new event column is recorded
+ *   in the 'Batch Journal' tab so rollbackAttendanceLogBatch() can undo the run.
+ *
+ * Incremental runs (see 'Log Triggers') pass options.startRow so only the log
+ * rows from that row down are read and processed.
+ *
+ * Large backlogs: records are applied in memory (checkboxes, new rows, new event
+ * columns, pastoral summaries) and written in a few bulk writes at the end. When a
+ * run gets close to the execution limit it stops taking records, writes what it has,
+ * saves the next log row in ATTENDANCE_LOG_RESUME_FROM and schedules
+ * resumeAttendanceLogProcessing() to carry on from there.
+ *
+ * Dry run (see 'Processing Preview'): options.dryRun runs the same matching and routing
+ * in memory and returns the plan instead of writing; options.endRow and
+ * options.expectedFingerprint let applyProcessingPreview() run exactly that plan.
+ *
+ * @param {Object} options Optional. {
+ *     startRow: first Attendance Log row to process (default 2),
+ *     endRow: last row to process (default: last row of the log),
+ *     dryRun: true to return the plan without writing anything,
+ *     expectedFingerprint: throw if the inputs no longer match this plan fingerprint }
+ * @return {{batchId: string, resumeFromRow: number|null}|undefined} undefined when there was nothing to do.
+ *     Dry runs also return {fingerprint, startRow, endRow, preview: Array[]} and no batchId.
  */
-function processAttendanceLogV2() {
+function processAttendanceLogV2(options) {
+  return withJobLock_('Process Attendance Log', function () {
+    return processAttendanceLogV2Unlocked_(options);
+  });
+}
+
+function processAttendanceLogV2Unlocked_(options) {
+  const startedAt = Date.now();
   const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const firstLogRow = Math.max(2, Math.floor(Number(options && options.startRow) || 2));
+  const endLogRow = Math.floor(Number(options && options.endRow)) || Infinity;
+  const dryRun = !!(options && options.dryRun);
+  const expectedFingerprint = (options && options.expectedFingerprint) || '';
 
   // --- CONFIGURATION ---
   const logSheetName = 'Attendance Log';
@@ -19,10 +80,10 @@ function processAttendanceLogV2() {
   const eventSheetName = 'Event Attendance';
   const pastoralSheetName = 'Pastoral Check-In';
 
-  const typeColumnIndex = 6; // Column F in destination sheets
-
   // 'Sunday Service' sheet config
+  const sunServiceSlotRow = 1;
   const sunServiceDateRow = 2;
+  const sunServiceCountRow = 3;
   const sunServiceDataStartCol = 9; // Column I
   const sunServiceDataStartRow = 4; // data starts on row 4
 
@@ -34,20 +95,16 @@ function processAttendanceLogV2() {
   const eventDataStartRow = 5; // data starts on row 5
 
   // 'Pastoral Check-In' sheet config
+  // E = Last, F = Previous, G = Latest Notes, H = Latest Extra, I = Count, J = First
   const pastoralDataStartRow = 4; // data starts on row 4
-  const pastoralRecentDateCol = 5;  // E
-  const pastoralPreviousDateCol = 6; // F
-  const pastoralNotesCol = 7; // G
-  const pastoralExtraCol = 8; // H
 
   // Attendance Log columns
-  // We read B:L
-  // B=Personal ID, C=Last, D=First, E=Type, F=Event, G=Date, H=Timestamp, I=Status, J=Remarks, K=Notes, L=Extra
-  const logStatusColumn = 9;  // Column I
-  const logRemarksColumn = 10; // Column J
-  const logNumColsToRead = 11; // B..L
+  // We read B:P
+  // B=Personal ID, C=Last, D=First, E=Type, F=Event, G=Date, H=Timestamp, I=Status, J=Remarks, K=Notes, L=Extra,
+  // M=Batch ID, N=Service Slot, P=Reason Code (O=Serving Role is read by Attendance Stats only)
+  const logNumColsToRead = 15; // B..P
 
-  // Indices inside B:L array
+  // Indices inside B:N array
   const logPersonalIdIndex = 0; // Col B
   const logLastNameIndex = 1;   // Col C
   const logFirstNameIndex = 2;  // Col D
@@ -58,6 +115,9 @@ function processAttendanceLogV2() {
   const logRemarksColIndex = 8; // Col J
   const logNotesColIndex = 9;   // Col K
   const logExtraColIndex = 10;  // Col L
+  const logBatchIdColIndex = 11; // Col M
+  const logSlotColIndex = 12;    // Col N
+  const logReasonColIndex = 14;  // Col P (see 'Log Status')
 
   const logSheet = ss.getSheetByName(logSheetName);
   if (!logSheet) {
@@ -65,24 +125,40 @@ function processAttendanceLogV2() {
     return;
   }
 
-  const lastLogRow = logSheet.getLastRow();
-  if (lastLogRow < 2) {
-    Logger.log('No data rows in Attendance Log.');
+  const lastLogRow = Math.min(logSheet.getLastRow(), endLogRow);
+  if (lastLogRow < firstLogRow) {
+    Logger.log('No data rows in Attendance Log' + (firstLogRow > 2 ? ' from row ' + firstLogRow : '') + '.');
     return;
   }
 
-  // 1) Read all attendance log data at once (B:L)
-  const logRange = logSheet.getRange(2, 2, lastLogRow - 1, logNumColsToRead);
+  // 1) Read the attendance log data at once (B:P, from firstLogRow down)
+  const logRange = logSheet.getRange(firstLogRow, 2, lastLogRow - firstLogRow + 1, logNumColsToRead);
   const logData = logRange.getValues();
+  const logIds = logSheet.getRange(firstLogRow, 1, logData.length, 1).getValues(); // A (see 'Log Targets')
+  const logDataAsRead = (dryRun || expectedFingerprint) ? JSON.stringify(logData) : ''; // for the plan fingerprint
+
+  const batchId = newProcessingBatchId_();
+
+  // Status (I), remarks (J) and reason code (P); Logged rows also get the batch ID (M)
+  let logRowsChanged = false;
+  const touchedLogRows = []; // logData indexes, for the dry-run preview
+  const markLogRow = function (logDataIndex, status, reasonCode, remarks) {
+    touchedLogRows.push(logDataIndex);
+    logData[logDataIndex][logStatusColIndex] = status;
+    logData[logDataIndex][logRemarksColIndex] = remarks || '';
+    logData[logDataIndex][logReasonColIndex] = reasonCode || '';
+    if (status === LOG_STATUS.LOGGED) logData[logDataIndex][logBatchIdColIndex] = batchId;
+    logRowsChanged = true;
+  };
 
   const attendanceRecords = [];
 
-  // Filter for unprocessed rows
+  // Filter for rows still to process (Pending / blank / NeedsReview)
   for (let i = 0; i < logData.length; i++) {
     const row = logData[i];
     const status = row[logStatusColIndex];
 
-    if (status === 'Logged') continue;
+    if (isSettledLogStatus_(status)) continue;
 
     const personalId = (row[logPersonalIdIndex] || '').toString().trim();
     const lastNameRaw = (row[logLastNameIndex] || '').toString().trim();
@@ -92,8 +168,9 @@ function processAttendanceLogV2() {
     let eventDate = row[logEventDateIndex];
 
     // We accept missing first OR last name (per your note), but Personal ID is expected for strong matching.
-    // If there's absolutely no name and no Personal ID, skip.
+    // If there's absolutely no name and no Personal ID, skip (blank rows are left alone).
     if (!personalId && !lastNameRaw && !firstNameRaw) {
+      if (eventName || eventDate) markLogRow(i, LOG_STATUS.SKIPPED, LOG_REASON.MISSING_PERSON, 'Skipped: no Personal ID or name.');
       continue;
     }
 
@@ -103,35 +180,58 @@ function processAttendanceLogV2() {
         eventDate = new Date(eventDate);
         if (isNaN(eventDate.getTime())) throw new Error('Invalid date string');
       } catch (e) {
-        logData[i][logRemarksColIndex] = 'Skipped: Invalid date format.';
+        markLogRow(i, LOG_STATUS.SKIPPED, LOG_REASON.INVALID_DATE, 'Skipped: Invalid date format.');
         continue;
       }
     }
 
-    if (!eventName || !(eventDate instanceof Date)) continue;
+    if (!eventName) {
+      markLogRow(i, LOG_STATUS.SKIPPED, LOG_REASON.MISSING_EVENT, 'Skipped: no event name.');
+      continue;
+    }
+    if (!(eventDate instanceof Date)) {
+      markLogRow(i, LOG_STATUS.SKIPPED, LOG_REASON.MISSING_DATE, 'Skipped: no event date.');
+      continue;
+    }
 
     const formattedFullDate = (eventDate.getMonth() + 1) + '-' + eventDate.getDate() + '-' + eventDate.getFullYear();
     const formattedShortDate = (eventDate.getMonth() + 1) + '-' + eventDate.getDate();
 
     const key = buildAttendanceKey_(personalId, lastNameRaw, firstNameRaw);
+    const serviceSlot = normalizeServiceSlot_(row[logSlotColIndex]);
 
     attendanceRecords.push({
       personalId: personalId,
       lastName: lastNameRaw,
       firstName: firstNameRaw,
       key: key,
-      eventName: eventName.toString().trim(),
+      eventName: canonicalEventName_(eventName), // aliases resolve through the 'Events' catalog
       eventDate: eventDate,
       formattedFullDate: formattedFullDate,
       formattedShortDate: formattedShortDate,
+      serviceSlot: serviceSlot,
+      sundayColumnKey: buildSundayColumnKey_(formattedShortDate, serviceSlot),
       type: row[logTypeIndex],
       notes: row[logNotesColIndex],
       extra: row[logExtraColIndex],
-      originalLogRownum: i + 2
+      originalLogRownum: i + firstLogRow
     });
   }
 
   if (attendanceRecords.length === 0) {
+    const fingerprint = (dryRun || expectedFingerprint) ? processingPlanFingerprint_(firstLogRow, logDataAsRead, [], null) : '';
+    if (dryRun) {
+      return {
+        batchId: null,
+        resumeFromRow: null,
+        fingerprint: fingerprint,
+        startRow: firstLogRow,
+        endRow: lastLogRow,
+        preview: touchedLogRows.map(function (i) { return processingPreviewRow_(i + firstLogRow, logData[i], null, {}); })
+      };
+    }
+    checkProcessingPlanFingerprint_(expectedFingerprint, fingerprint);
+    if (logRowsChanged) writeLogStatusColumns_(logSheet, firstLogRow, logData);
     Logger.log('No *new* valid attendance records found in the log.');
     return;
   }
@@ -144,6 +244,7 @@ function processAttendanceLogV2() {
   let sunServiceData = null;
   let eventSheetData = null;
   let pastoralData = null;
+  let pastoralHistory = null;
 
   if (sunServiceSheet) {
     sunServiceData = prepareSheetDataWithPersonalId_(
@@ -152,7 +253,8 @@ function processAttendanceLogV2() {
       sunServiceDataStartCol,
       [sunServiceDateRow],
       false,
-      false
+      false,
+      sunServiceSlotRow
     );
   } else {
     Logger.log('Warning: "' + sunServiceSheetName + '" not found. Skipping.');
@@ -165,65 +267,225 @@ function processAttendanceLogV2() {
       eventDataStartCol,
       [eventDateRow, eventNameRow],
       true,
-      true
+      true,
+      null,
+      dryRun
     );
+
+    // Header rows 2-3 in memory for placeholder lookups; new columns are written at the end
+    const headerWidth = Math.max(eventSheet.getLastColumn() - eventDataStartCol + 1, 0);
+    const header = headerWidth > 0
+      ? eventSheet.getRange(eventDateRow, eventDataStartCol, 2, headerWidth).getValues()
+      : [[], []];
+    eventSheetData.headerDates = header[0];
+    eventSheetData.headerNames = header[1];
+    eventSheetData.newColumns = [];
   } else {
     Logger.log('Warning: "' + eventSheetName + '" not found. Skipping.');
   }
 
-  if (pastoralSheet) {
+  // Pastoral Check-In I:J must be free for the summary (see 'Pastoral History')
+  const pastoralColumnsProblem = pastoralSheet ? ensurePastoralSummaryHeaders_(pastoralSheet, pastoralDataStartRow - 1, dryRun) : '';
+  if (pastoralColumnsProblem) {
+    Logger.log('Warning: ' + pastoralColumnsProblem + ' Skipping.');
+  } else if (pastoralSheet) {
     pastoralData = preparePastoralSheetDataWithPersonalId_(pastoralSheet, pastoralDataStartRow);
+    pastoralData.summaries = pastoralData.numRows > 0
+      ? pastoralSheet.getRange(pastoralDataStartRow, PASTORAL_SUMMARY_START_COL, pastoralData.numRows, PASTORAL_SUMMARY_NUM_COLS).getValues()
+      : [];
+    pastoralData.changedRows = new Set();
+    pastoralHistory = loadPastoralHistory_(ss);
   } else {
     Logger.log('Warning: "' + pastoralSheetName + '" not found. Skipping.');
   }
 
   // 3) Process records in memory
-  let recordsWereLogged = false;
+  let resumeFromRow = null;
   const processedLogs = new Set();
 
-  for (const record of attendanceRecords) {
-    const logDataIndex = record.originalLogRownum - 2;
+  // Grid cell per Logged row, for the 'Log Targets' tab (rows without a Log ID get one)
+  const logTargets = [];
+  const targetByLogKey = new Map();
+  let logIdsAssigned = false;
+  const logIdFor = function (record) {
+    const idCell = logIds[record.originalLogRownum - firstLogRow];
+    if (!String(idCell[0] || '').trim()) {
+      idCell[0] = Utilities.getUuid().slice(0, 8);
+      logIdsAssigned = true;
+    }
+    return String(idCell[0]).trim();
+  };
+  const recordTarget = function (record, logKey, sheetName, columnKey) {
+    const logId = logIdFor(record);
+    // Fingerprint the row as it will read after commitMatchReview_ rewrites B:D for an accepted match
+    const routedRow = logData[record.originalLogRownum - firstLogRow].slice();
+    routedRow[logPersonalIdIndex] = record.personalId;
+    routedRow[logLastNameIndex] = record.lastName;
+    routedRow[logFirstNameIndex] = record.firstName;
+    logTargets.push([logId, record.originalLogRownum, sheetName, record.key, columnKey, logRowFingerprint_(routedRow), batchId, new Date()]);
+    targetByLogKey.set(logKey, { sheetName: sheetName, columnKey: columnKey });
+  };
 
-    const logKey = record.key + '|' + record.eventName + '|' + record.formattedFullDate;
-    if (processedLogs.has(logKey)) {
-      logData[logDataIndex][logStatusColIndex] = 'Logged';
-      logData[logDataIndex][logRemarksColIndex] = 'Duplicate log entry processed.';
-      recordsWereLogged = true;
-      continue;
+  const journalEntries = [];
+  const journal = function (record, action, sheetName, columnKey, before, after) {
+    journalEntries.push([record.originalLogRownum, action, sheetName, record.key, columnKey, before, after]);
+  };
+
+  const matchReview = loadMatchReview_(ss);
+  const fingerprint = (dryRun || expectedFingerprint)
+    ? processingPlanFingerprint_(firstLogRow, logDataAsRead, [sunServiceData, eventSheetData, pastoralData], matchReview)
+    : '';
+  if (!dryRun) checkProcessingPlanFingerprint_(expectedFingerprint, fingerprint);
+
+  const matchReviewRemark = 'Possible existing match. Waiting for a decision on the Match Review tab.';
+  // Match Review rows are keyed on the log row's Log ID, which survives rows inserted or deleted above it
+  const reviewMatch = function (record, people) {
+    record.logId = logIdFor(record);
+    return reviewNewPersonMatch_(matchReview, record, people);
+  };
+
+  // Checks the event box of a person, adding their row when needed, on the live tab or an archive tab
+  const logEventAttendance = function (sheetName, sheetData, record, logDataIndex, logKey, eventKey, colNum, rowNum) {
+    if (rowNum) {
+      const arrayRow = rowNum - eventDataStartRow;
+      const arrayCol = colNum - eventDataStartCol;
+
+      if (sheetData.checkboxes[arrayRow] && sheetData.checkboxes[arrayRow][arrayCol] !== undefined) {
+        if (sheetData.checkboxes[arrayRow][arrayCol] !== true) {
+          journal(record, 'CHECK', sheetName, eventKey, false, true);
+        }
+        sheetData.checkboxes[arrayRow][arrayCol] = true;
+        markLogRow(logDataIndex, LOG_STATUS.LOGGED, '', '');
+        recordTarget(record, logKey, sheetName, eventKey);
+        processedLogs.add(logKey);
+      } else {
+        markLogRow(logDataIndex, LOG_STATUS.ERROR, LOG_REASON.CELL_NOT_FOUND, 'Row or date column outside the checkbox grid.');
+      }
+    } else {
+      // Add new row (B:D plus Type in F; written in bulk below)
+      const nextRow = sheetData.nextBlankRow;
+      sheetData.newPeople.push(newPersonCells_(record).concat(['', record.type])); // B:D, E blank, F = Type
+
+      sheetData.keyMap.set(record.key, nextRow);
+      journal(record, 'ADD_ROW', sheetName, '', '', nextRow);
+
+      const numCols = sheetData.checkboxes[0] ? sheetData.checkboxes[0].length : 0;
+      const newCheckboxRow = Array(numCols).fill(false);
+
+      const arrayCol = colNum - eventDataStartCol;
+      if (arrayCol >= 0 && arrayCol < newCheckboxRow.length) newCheckboxRow[arrayCol] = true;
+
+      sheetData.checkboxes.push(newCheckboxRow);
+      sheetData.numRows++;
+      sheetData.nextBlankRow++;
+
+      markLogRow(logDataIndex, LOG_STATUS.LOGGED, LOG_REASON.NEW_PERSON, 'New person added.');
+      recordTarget(record, logKey, sheetName, eventKey);
+      processedLogs.add(logKey);
+    }
+  };
+
+  // "Event Attendance Archive YYYY" tabs (see 'Event Archive'), loaded on first use; null when missing
+  const eventArchives = new Map();
+  const eventArchiveFor = function (eventDate) {
+    const year = eventDate.getFullYear();
+    if (!eventArchives.has(year)) {
+      const sheetName = EVENT_ARCHIVE_TAB_PREFIX + year;
+      const sheet = year < new Date().getFullYear() ? ss.getSheetByName(sheetName) : null;
+      eventArchives.set(year, sheet ? {
+        sheetName: sheetName,
+        sheet: sheet,
+        data: prepareSheetDataWithPersonalId_(sheet, eventDataStartRow, eventDataStartCol, [eventDateRow, eventNameRow], true, true, null, true),
+        changed: false
+      } : null);
+    }
+    return eventArchives.get(year);
+  };
+
+  // Same person, event, date and slot earlier in the run: Logged as a duplicate
+  const buildLogKey = function (record) {
+    return record.key + '|' + record.eventName + '|' + record.formattedFullDate + '|' + record.serviceSlot;
+  };
+  const isDuplicate = function (record, logDataIndex, logKey) {
+    if (!processedLogs.has(logKey)) return false;
+    markLogRow(logDataIndex, LOG_STATUS.LOGGED, LOG_REASON.DUPLICATE_ENTRY, 'Duplicate log entry processed.');
+    const duplicateOf = targetByLogKey.get(logKey);
+    if (duplicateOf) recordTarget(record, logKey, duplicateOf.sheetName, duplicateOf.columnKey);
+    return true;
+  };
+
+  for (const record of attendanceRecords) {
+    // Leave time for the bulk writes; the rest is picked up by resumeAttendanceLogProcessing()
+    if (Date.now() - startedAt > LOG_PROCESSING_TIME_BUDGET_MS) {
+      resumeFromRow = record.originalLogRownum;
+      Logger.log('Time budget reached. Stopping at log row ' + resumeFromRow + '.');
+      break;
     }
 
+    const logDataIndex = record.originalLogRownum - firstLogRow;
+
+    let logKey = buildLogKey(record);
+    if (isDuplicate(record, logDataIndex, logKey)) continue;
+
     try {
       const eventName = record.eventName;
 
-      if (/sunday service/i.test(eventName)) {
-        if (!sunServiceData) continue;
+      if (isSundayServiceEvent_(eventName)) {
+        if (!sunServiceData) {
+          markLogRow(logDataIndex, LOG_STATUS.ERROR, LOG_REASON.TARGET_SHEET_MISSING, 'Sunday Service tab not found.');
+          continue;
+        }
 
-        const rowNum = sunServiceData.keyMap.get(record.key) || null;
-        const colNum = sunServiceData.dateMap.get(record.formattedShortDate) || null;
+        let rowNum = sunServiceData.keyMap.get(record.key) || null;
+        const review = rowNum ? 'exact' : reviewMatch(record, sunServiceData.people);
+        if (review === 'queued') {
+          markLogRow(logDataIndex, LOG_STATUS.NEEDS_REVIEW, LOG_REASON.MATCH_REVIEW, matchReviewRemark);
+          continue;
+        }
+        if (review === 'matched') {
+          logKey = buildLogKey(record); // re-pointed to the accepted person
+          if (isDuplicate(record, logDataIndex, logKey)) continue;
+        }
+        rowNum = rowNum || sunServiceData.keyMap.get(record.key) || null;
+
+        let colNum = sunServiceData.dateMap.get(record.sundayColumnKey) || null;
+
+        if (!colNum) {
+          colNum = insertSundayServiceDateColumn_(
+            sunServiceSheet,
+            sunServiceData,
+            record.eventDate,
+            record.serviceSlot,
+            record.sundayColumnKey,
+            sunServiceDataStartCol,
+            sunServiceSlotRow,
+            sunServiceDateRow
+          );
+          journal(record, 'ADD_DATE_COLUMN', sunServiceSheetName, record.sundayColumnKey, '', colNum);
+        }
 
         if (rowNum && colNum) {
           const arrayRow = rowNum - sunServiceDataStartRow;
           const arrayCol = colNum - sunServiceDataStartCol;
 
           if (sunServiceData.checkboxes[arrayRow] && sunServiceData.checkboxes[arrayRow][arrayCol] !== undefined) {
+            if (sunServiceData.checkboxes[arrayRow][arrayCol] !== true) {
+              journal(record, 'CHECK', sunServiceSheetName, record.sundayColumnKey, false, true);
+            }
             sunServiceData.checkboxes[arrayRow][arrayCol] = true;
-            logData[logDataIndex][logStatusColIndex] = 'Logged';
-            logData[logDataIndex][logRemarksColIndex] = '';
-            recordsWereLogged = true;
+            markLogRow(logDataIndex, LOG_STATUS.LOGGED, '', '');
+            recordTarget(record, logKey, sunServiceSheetName, record.sundayColumnKey);
             processedLogs.add(logKey);
+          } else {
+            markLogRow(logDataIndex, LOG_STATUS.ERROR, LOG_REASON.CELL_NOT_FOUND, 'Row or date column outside the checkbox grid.');
           }
         } else if (!rowNum) {
-          // Add new row
+          // Add new row (Column B = Personal ID, C = Last, D = First; written in bulk below)
           const nextRow = sunServiceData.nextBlankRow;
-
-          // Column B = Personal ID, Column C = Last, Column D = First
-          if (record.personalId) sunServiceSheet.getRange(nextRow, 2).setValue(record.personalId);
-          if (record.lastName) sunServiceSheet.getRange(nextRow, 3).setValue(capitalizeName(record.lastName));
-          if (record.firstName) sunServiceSheet.getRange(nextRow, 4).setValue(capitalizeName(record.firstName));
-
-          SpreadsheetApp.flush();
+          sunServiceData.newPeople.push(newPersonCells_(record));
 
           sunServiceData.keyMap.set(record.key, nextRow);
+          journal(record, 'ADD_ROW', sunServiceSheetName, '', '', nextRow);
 
           const numCols = sunServiceData.checkboxes[0] ? sunServiceData.checkboxes[0].length : 0;
           const newCheckboxRow = Array(numCols).fill(false);
@@ -231,216 +493,376 @@ function processAttendanceLogV2() {
           if (colNum) {
             const arrayCol = colNum - sunServiceDataStartCol;
             newCheckboxRow[arrayCol] = true;
-            logData[logDataIndex][logStatusColIndex] = 'Logged';
-            logData[logDataIndex][logRemarksColIndex] = 'New person added.';
+            markLogRow(logDataIndex, LOG_STATUS.LOGGED, LOG_REASON.NEW_PERSON, 'New person added.');
+            recordTarget(record, logKey, sunServiceSheetName, record.sundayColumnKey);
             processedLogs.add(logKey);
           } else {
-            logData[logDataIndex][logRemarksColIndex] = 'New person added, but event date not found.';
+            markLogRow(logDataIndex, LOG_STATUS.ERROR, LOG_REASON.DATE_COLUMN_NOT_FOUND, 'New person added, but event date not found.');
           }
 
           sunServiceData.checkboxes.push(newCheckboxRow);
           sunServiceData.numRows++;
           sunServiceData.nextBlankRow++;
-          recordsWereLogged = true;
         } else if (rowNum && !colNum) {
-          logData[logDataIndex][logRemarksColIndex] = 'Date not found in Sunday Service sheet.';
-          recordsWereLogged = true;
+          markLogRow(logDataIndex, LOG_STATUS.ERROR, LOG_REASON.DATE_COLUMN_NOT_FOUND, 'Date not found in Sunday Service sheet.');
         }
 
-      } else if (/pastoral check-?in/i.test(eventName)) {
-        if (!pastoralData) continue;
+      } else if (isPastoralEvent_(eventName)) {
+        if (pastoralColumnsProblem) {
+          markLogRow(logDataIndex, LOG_STATUS.ERROR, LOG_REASON.SUMMARY_COLUMNS_IN_USE, pastoralColumnsProblem);
+          continue;
+        }
+        if (!pastoralData) {
+          markLogRow(logDataIndex, LOG_STATUS.ERROR, LOG_REASON.TARGET_SHEET_MISSING, 'Pastoral Check-In tab not found.');
+          continue;
+        }
 
-        const rowNum = pastoralData.keyMap.get(record.key) || null;
+        let rowNum = pastoralData.keyMap.get(record.key) || null;
+        const review = rowNum ? 'exact' : reviewMatch(record, pastoralData.people);
+        if (review === 'queued') {
+          markLogRow(logDataIndex, LOG_STATUS.NEEDS_REVIEW, LOG_REASON.MATCH_REVIEW, matchReviewRemark);
+          continue;
+        }
+        if (review === 'matched') {
+          logKey = buildLogKey(record); // re-pointed to the accepted person
+          if (isDuplicate(record, logDataIndex, logKey)) continue;
+        }
+        rowNum = rowNum || pastoralData.keyMap.get(record.key) || null;
 
         if (rowNum) {
-          const recentCell = pastoralSheet.getRange(rowNum, pastoralRecentDateCol);
-          const prevCell = pastoralSheet.getRange(rowNum, pastoralPreviousDateCol);
-          const existingRecent = recentCell.getValue();
-
-          if (existingRecent) {
-            prevCell.setValue(existingRecent);
-            prevCell.setHorizontalAlignment('center');
-            prevCell.setVerticalAlignment('middle');
-          }
+          const beforeValues = pastoralData.summaries[rowNum - pastoralDataStartRow].slice(); // E:J
 
-          recentCell.setValue(record.eventDate);
-          recentCell.setHorizontalAlignment('center');
-          recentCell.setVerticalAlignment('middle');
+          seedPastoralHistoryFromSummary_(pastoralHistory, record, beforeValues, batchId);
+          addPastoralHistoryEntry_(
+            pastoralHistory, record, record.eventDate, record.notes, record.extra,
+            pastoralHistory.loggedBy, record.originalLogRownum, batchId, logIdFor(record)
+          );
+          const summary = summarizePastoralHistory_(pastoralHistory.byKey.get(record.key));
+          pastoralData.summaries[rowNum - pastoralDataStartRow] = summary;
+          pastoralData.changedRows.add(rowNum);
 
-          const notesCell = pastoralSheet.getRange(rowNum, pastoralNotesCol);
-          notesCell.setValue(record.notes);
-          notesCell.setHorizontalAlignment('left');
-          notesCell.setVerticalAlignment('middle');
+          journal(record, 'PASTORAL', pastoralSheetName, '', JSON.stringify(beforeValues), JSON.stringify(summary));
 
-          const extraCell = pastoralSheet.getRange(rowNum, pastoralExtraCol);
-          extraCell.setValue(record.extra);
-          extraCell.setHorizontalAlignment('left');
-
-          logData[logDataIndex][logStatusColIndex] = 'Logged';
-          logData[logDataIndex][logRemarksColIndex] = '';
-          recordsWereLogged = true;
+          markLogRow(logDataIndex, LOG_STATUS.LOGGED, '', '');
+          recordTarget(record, logKey, pastoralSheetName, record.formattedFullDate);
           processedLogs.add(logKey);
 
         } else {
-          // Add new row
+          // Add new row (B:D and the E:J summary are written in bulk below)
           const nextRow = pastoralData.nextBlankRow;
+          pastoralData.newPeople.push(newPersonCells_(record));
 
-          if (record.personalId) pastoralSheet.getRange(nextRow, 2).setValue(record.personalId); // B
-          if (record.lastName) pastoralSheet.getRange(nextRow, 3).setValue(capitalizeName(record.lastName)); // C
-          if (record.firstName) pastoralSheet.getRange(nextRow, 4).setValue(capitalizeName(record.firstName)); // D
-
-          const recentCell = pastoralSheet.getRange(nextRow, pastoralRecentDateCol);
-          recentCell.setValue(record.eventDate);
-          recentCell.setHorizontalAlignment('center');
-          recentCell.setVerticalAlignment('middle');
-
-          const notesCell = pastoralSheet.getRange(nextRow, pastoralNotesCol);
-          notesCell.setValue(record.notes);
-          notesCell.setHorizontalAlignment('left');
-          notesCell.setVerticalAlignment('middle');
-
-          const extraCell = pastoralSheet.getRange(nextRow, pastoralExtraCol);
-          extraCell.setValue(record.extra);
-          extraCell.setHorizontalAlignment('left');
-
-          SpreadsheetApp.flush();
+          addPastoralHistoryEntry_(
+            pastoralHistory, record, record.eventDate, record.notes, record.extra,
+            pastoralHistory.loggedBy, record.originalLogRownum, batchId, logIdFor(record)
+          );
+          pastoralData.summaries[nextRow - pastoralDataStartRow] = summarizePastoralHistory_(pastoralHistory.byKey.get(record.key));
+          pastoralData.changedRows.add(nextRow);
 
           pastoralData.keyMap.set(record.key, nextRow);
           pastoralData.nextBlankRow++;
           pastoralData.numRows++;
+          journal(record, 'ADD_ROW', pastoralSheetName, '', '', nextRow);
 
-          logData[logDataIndex][logStatusColIndex] = 'Logged';
-          logData[logDataIndex][logRemarksColIndex] = 'New person added.';
-          recordsWereLogged = true;
+          markLogRow(logDataIndex, LOG_STATUS.LOGGED, LOG_REASON.NEW_PERSON, 'New person added.');
+          recordTarget(record, logKey, pastoralSheetName, record.formattedFullDate);
           processedLogs.add(logKey);
         }
 
       } else {
         // Other events -> Event Attendance
-        if (!eventSheetData) continue;
+        if (!eventSheetData) {
+          markLogRow(logDataIndex, LOG_STATUS.ERROR, LOG_REASON.TARGET_SHEET_MISSING, 'Event Attendance tab not found.');
+          continue;
+        }
+
+        // Review the person first, so a row held for review claims no event column
+        let rowNum = eventSheetData.keyMap.get(record.key) || null;
+        const review = rowNum ? 'exact' : reviewMatch(record, eventSheetData.people);
+        if (review === 'queued') {
+          markLogRow(logDataIndex, LOG_STATUS.NEEDS_REVIEW, LOG_REASON.MATCH_REVIEW, matchReviewRemark);
+          continue;
+        }
+        if (review === 'matched') {
+          logKey = buildLogKey(record); // re-pointed to the accepted person
+          if (isDuplicate(record, logDataIndex, logKey)) continue;
+        }
+        rowNum = rowNum || eventSheetData.keyMap.get(record.key) || null;
 
         const eventKey = record.formattedFullDate + '_' + record.eventName.trim().toLowerCase();
         let colNum = eventSheetData.dateMap.get(eventKey) || null;
 
+        // A past year's event that was rolled over: logged on its archive tab, not in a new live column
+        const archive = colNum ? null : eventArchiveFor(record.eventDate);
+        if (archive && archive.data.dateMap.get(eventKey)) {
+          archive.changed = true;
+          logEventAttendance(
+            archive.sheetName, archive.data, record, logDataIndex, logKey, eventKey,
+            archive.data.dateMap.get(eventKey), archive.data.keyMap.get(record.key) || null
+          );
+          continue;
+        }
+
         if (!colNum) {
-          // Find a placeholder col or append a new one
-          const lastCol = eventSheet.getLastColumn();
-          let placeholderCol = null;
-
-          if (lastCol >= eventDataStartCol) {
-            const width = lastCol - eventDataStartCol + 1;
-            const nameRowValues = eventSheet.getRange(eventNameRow, eventDataStartCol, 1, width).getValues()[0];
-            const dateRowValues = eventSheet.getRange(eventDateRow, eventDataStartCol, 1, width).getValues()[0];
-
-            for (let i = 0; i < width; i++) {
-              const nameCell = nameRowValues[i];
-              const dateCell = dateRowValues[i];
-              if (nameCell === 'Post event name here' && !dateCell) {
-                placeholderCol = eventDataStartCol + i;
-                break;
-              }
+          // Use a placeholder column or append a new one (header rows are written in bulk below)
+          const headerNames = eventSheetData.headerNames;
+          const headerDates = eventSheetData.headerDates;
+          let placeholderIndex = -1;
+          for (let i = 0; i < headerNames.length; i++) {
+            if (headerNames[i] === 'Post event name here' && !headerDates[i]) {
+              placeholderIndex = i;
+              break;
             }
           }
 
-          colNum = (placeholderCol !== null) ? placeholderCol : (eventSheetData.lastDataCol + 1);
-
-          eventSheet.getRange(eventDateRow, colNum).setValue(record.eventDate);
-          eventSheet.getRange(eventNameRow, colNum).setValue(record.eventName);
+          colNum = placeholderIndex !== -1 ? eventDataStartCol + placeholderIndex : (eventSheetData.lastDataCol + 1);
 
-          const colLetter = eventSheet.getRange(1, colNum).getA1Notation().replace(/\d+/g, '');
-          const formula = '=COUNTIF(' + colLetter + eventDataStartRow + ':' + colLetter + ', TRUE)';
-          eventSheet.getRange(eventCountRow, colNum).setFormula(formula);
+          journal(
+            record, 'ADD_EVENT_COLUMN', eventSheetName, eventKey,
+            JSON.stringify({ date: '', name: placeholderIndex !== -1 ? 'Post event name here' : '' }),
+            colNum
+          );
 
-          if (eventSheetData.numRows > 0) {
-            eventSheet.getRange(eventDataStartRow, colNum, eventSheetData.numRows, 1).insertCheckboxes();
+          const headerIndex = colNum - eventDataStartCol;
+          while (headerNames.length <= headerIndex) {
+            headerNames.push('');
+            headerDates.push('');
           }
-
-          SpreadsheetApp.flush();
-
+          headerDates[headerIndex] = record.eventDate;
+          headerNames[headerIndex] = record.eventName;
+          eventSheetData.newColumns.push(colNum);
           eventSheetData.dateMap.set(eventKey, colNum);
 
-          if (placeholderCol === null) {
-            eventSheetData.lastDataCol = colNum;
-            eventSheetData.checkboxes.forEach(function (r) { r.push(false); });
-          } else if (colNum > eventSheetData.lastDataCol) {
-            eventSheetData.lastDataCol = colNum;
-          }
+          if (colNum > eventSheetData.lastDataCol) eventSheetData.lastDataCol = colNum;
+          const gridWidth = eventSheetData.lastDataCol - eventDataStartCol + 1;
+          eventSheetData.checkboxes.forEach(function (r) {
+            while (r.length < gridWidth) r.push(false);
+          });
         }
 
-        const rowNum = eventSheetData.keyMap.get(record.key) || null;
+        logEventAttendance(eventSheetName, eventSheetData, record, logDataIndex, logKey, eventKey, colNum, rowNum);
+      }
 
-        if (rowNum) {
-          const arrayRow = rowNum - eventDataStartRow;
-          const arrayCol = colNum - eventDataStartCol;
-
-          if (eventSheetData.checkboxes[arrayRow] && eventSheetData.checkboxes[arrayRow][arrayCol] !== undefined) {
-            eventSheetData.checkboxes[arrayRow][arrayCol] = true;
-            logData[logDataIndex][logStatusColIndex] = 'Logged';
-            logData[logDataIndex][logRemarksColIndex] = '';
-            recordsWereLogged = true;
-            processedLogs.add(logKey);
-          }
-        } else {
-          // Add new row
-          const nextRow = eventSheetData.nextBlankRow;
+    } catch (e) {
+      Logger.log('Error processing record at log row ' + record.originalLogRownum + ': ' + e.message);
+      markLogRow(logDataIndex, LOG_STATUS.ERROR, LOG_REASON.EXCEPTION, 'Error: ' + e.message);
+    }
+  }
 
-          if (record.personalId) eventSheet.getRange(nextRow, 2).setValue(record.personalId); // B
-          if (record.lastName) eventSheet.getRange(nextRow, 3).setValue(capitalizeName(record.lastName)); // C
-          if (record.firstName) eventSheet.getRange(nextRow, 4).setValue(capitalizeName(record.firstName)); // D
-          eventSheet.getRange(nextRow, typeColumnIndex).setValue(record.type); // F
+  if (dryRun) {
+    const addedRows = new Set();
+    const addedColumns = new Set();
+    journalEntries.forEach(function (j) {
+      if (j[1] === 'ADD_ROW') addedRows.add(j[0]);
+      if (j[1] === 'ADD_DATE_COLUMN' || j[1] === 'ADD_EVENT_COLUMN') addedColumns.add(j[0]);
+    });
+    const recordByLogRow = new Map(attendanceRecords.map(function (r) { return [r.originalLogRownum, r]; }));
+
+    // Target cells as they will be after the run (later Sunday inserts shift columns)
+    const preview = touchedLogRows.map(function (i) {
+      const logRow = i + firstLogRow;
+      const record = recordByLogRow.get(logRow);
+      let target = null;
+      if (record && isSundayServiceEvent_(record.eventName)) {
+        target = sunServiceData && { sheetName: sunServiceSheetName, row: sunServiceData.keyMap.get(record.key), col: sunServiceData.dateMap.get(record.sundayColumnKey) };
+      } else if (record && isPastoralEvent_(record.eventName)) {
+        target = pastoralData && { sheetName: pastoralSheetName, row: pastoralData.keyMap.get(record.key), col: null };
+      } else if (record) {
+        const eventKey = record.formattedFullDate + '_' + record.eventName.trim().toLowerCase();
+        const archive = eventArchives.get(record.eventDate.getFullYear());
+        if (archive && archive.data.dateMap.get(eventKey) && !(eventSheetData && eventSheetData.dateMap.get(eventKey))) {
+          target = { sheetName: archive.sheetName, row: archive.data.keyMap.get(record.key), col: archive.data.dateMap.get(eventKey) };
+        } else {
+          target = eventSheetData && { sheetName: eventSheetName, row: eventSheetData.keyMap.get(record.key), col: eventSheetData.dateMap.get(eventKey) };
+        }
+      }
+      return processingPreviewRow_(logRow, logData[i], target, { newPerson: addedRows.has(logRow), newColumn: addedColumns.has(logRow) });
+    });
 
-          SpreadsheetApp.flush();
+    return {
+      batchId: null,
+      resumeFromRow: resumeFromRow,
+      fingerprint: fingerprint,
+      startRow: firstLogRow,
+      endRow: resumeFromRow ? resumeFromRow - 1 : lastLogRow,
+      preview: preview
+    };
+  }
 
-          eventSheetData.keyMap.set(record.key, nextRow);
+  // 4) Write updates back (a few bulk writes per sheet)
+  if (sunServiceData) {
+    commitSundayServiceDateColumns_(
+      sunServiceSheet, sunServiceData, sunServiceDataStartRow, sunServiceSlotRow, sunServiceDateRow, sunServiceCountRow
+    );
+    commitNewPeopleRows_(sunServiceSheet, sunServiceData);
+    commitCheckboxGrid_(sunServiceSheet, sunServiceData, sunServiceDataStartRow, sunServiceDataStartCol);
+  }
 
-          const numCols = eventSheetData.checkboxes[0] ? eventSheetData.checkboxes[0].length : 0;
-          const newCheckboxRow = Array(numCols).fill(false);
+  if (eventSheetData) {
+    commitNewPeopleRows_(eventSheet, eventSheetData);
+    commitNewEventColumns_(eventSheet, eventSheetData, eventDataStartCol, eventDateRow, eventCountRow, eventDataStartRow);
+    commitCheckboxGrid_(eventSheet, eventSheetData, eventDataStartRow, eventDataStartCol);
+  }
 
-          const arrayCol = colNum - eventDataStartCol;
-          if (arrayCol >= 0 && arrayCol < newCheckboxRow.length) newCheckboxRow[arrayCol] = true;
+  eventArchives.forEach(function (archive) {
+    if (!archive || !archive.changed) return;
+    commitNewPeopleRows_(archive.sheet, archive.data);
+    commitCheckboxGrid_(archive.sheet, archive.data, eventDataStartRow, eventDataStartCol);
+  });
+
+  if (pastoralData) {
+    commitNewPeopleRows_(pastoralSheet, pastoralData);
+    if (pastoralData.changedRows.size > 0) {
+      const changed = Array.from(pastoralData.changedRows);
+      const firstRow = Math.min.apply(null, changed);
+      const lastRow = Math.max.apply(null, changed);
+      writePastoralSummaries_(
+        pastoralSheet, firstRow,
+        pastoralData.summaries.slice(firstRow - pastoralDataStartRow, lastRow - pastoralDataStartRow + 1)
+      );
+    }
+  }
 
-          eventSheetData.checkboxes.push(newCheckboxRow);
-          eventSheetData.numRows++;
-          eventSheetData.nextBlankRow++;
+  if (logRowsChanged) writeLogStatusColumns_(logSheet, firstLogRow, logData);
 
-          logData[logDataIndex][logStatusColIndex] = 'Logged';
-          logData[logDataIndex][logRemarksColIndex] = 'New person added.';
-          recordsWereLogged = true;
-          processedLogs.add(logKey);
-        }
-      }
+  commitPastoralHistory_(pastoralHistory);
 
-    } catch (e) {
-      Logger.log('Error processing record at log row ' + record.originalLogRownum + ': ' + e.message);
-    }
+  if (journalEntries.length > 0) {
+    appendBatchJournal_(ss, batchId, journalEntries);
   }
 
-  // 4) Write updates back
-  if (sunServiceData && sunServiceData.checkboxes.length > 0 && sunServiceData.checkboxes[0].length > 0) {
-    sunServiceSheet.getRange(
-      sunServiceDataStartRow,
-      sunServiceDataStartCol,
-      sunServiceData.checkboxes.length,
-      sunServiceData.checkboxes[0].length
-    ).setValues(sunServiceData.checkboxes);
+  if (logIdsAssigned) logSheet.getRange(firstLogRow, 1, logIds.length, 1).setValues(logIds);
+  recordLogTargets_(ss, logTargets);
+
+  commitMatchReview_(ss, matchReview, logSheet);
+
+  saveAttendanceLogCheckpoint_(firstLogRow, resumeFromRow);
+
+  Logger.log('Attendance processing ' + (resumeFromRow ? 'paused' : 'complete') + '. Batch: ' + batchId);
+  return { batchId: batchId, resumeFromRow: resumeFromRow };
+}
+
+/**
+ * Writes back only Status (Col I), Remarks (Col J), Batch ID (Col M) and Reason Code (Col P)
+ * from the B:P rows read by processAttendanceLogV2.
+ */
+function writeLogStatusColumns_(logSheet, firstLogRow, logData) {
+  const statusData = logData.map(function (r) { return [r[7], r[8]]; }); // I:J
+  logSheet.getRange(firstLogRow, 9, statusData.length, 2).setValues(statusData);
+
+  const batchData = logData.map(function (r) { return [r[11]]; }); // M
+  logSheet.getRange(firstLogRow, 13, batchData.length, 1).setValues(batchData);
+
+  ensureLogReasonHeader_(logSheet);
+  const reasonData = logData.map(function (r) { return [r[14]]; }); // P
+  logSheet.getRange(firstLogRow, LOG_REASON_COLUMN, reasonData.length, 1).setValues(reasonData);
+}
+
+/**
+ * B:D cells for a person row added by the processor.
+ */
+function newPersonCells_(record) {
+  return [
+    record.personalId || '',
+    record.lastName ? capitalizeName(record.lastName) : '',
+    record.firstName ? capitalizeName(record.firstName) : ''
+  ];
+}
+
+/**
+ * Writes the person rows queued in sheetData.newPeople (from Column B) in one call.
+ */
+function commitNewPeopleRows_(sheet, sheetData) {
+  if (sheetData.newPeople.length === 0) return;
+  const width = sheetData.newPeople.reduce(function (w, r) { return Math.max(w, r.length); }, 0);
+  const rows = sheetData.newPeople.map(function (r) {
+    const padded = r.slice();
+    while (padded.length < width) padded.push('');
+    return padded;
+  });
+  sheet.getRange(sheetData.firstNewRow, 2, rows.length, width).setValues(rows);
+}
+
+/**
+ * Writes the in-memory checkbox grid and turns newly added rows/columns into checkboxes.
+ */
+function commitCheckboxGrid_(sheet, sheetData, dataStartRow, dataStartCol) {
+  const grid = sheetData.checkboxes;
+  if (grid.length === 0 || grid[0].length === 0) return;
+
+  const range = sheet.getRange(dataStartRow, dataStartCol, grid.length, grid[0].length);
+  if (sheetData.newPeople.length > 0 || (sheetData.newColumns && sheetData.newColumns.length > 0)) {
+    range.insertCheckboxes(); // keeps TRUE/FALSE values, adds the checkbox rule to new cells
   }
+  range.setValues(grid);
+}
 
-  if (eventSheetData && eventSheetData.checkboxes.length > 0 && eventSheetData.checkboxes[0].length > 0) {
-    eventSheet.getRange(
-      eventDataStartRow,
-      eventDataStartCol,
-      eventSheetData.checkboxes.length,
-      eventSheetData.checkboxes[0].length
-    ).setValues(eventSheetData.checkboxes);
+/**
+ * Writes date, name and COUNTIF for the event columns created (or placeholders filled) this run.
+ */
+function commitNewEventColumns_(sheet, sheetData, dataStartCol, dateRow, countRow, dataStartRow) {
+  if (sheetData.newColumns.length === 0) return;
+
+  const maxCol = Math.max.apply(null, sheetData.newColumns);
+  if (maxCol > sheet.getMaxColumns()) sheet.insertColumnsAfter(sheet.getMaxColumns(), maxCol - sheet.getMaxColumns());
+
+  sheetData.newColumns.forEach(function (colNum) {
+    const i = colNum - dataStartCol;
+    const colLetter = sheet.getRange(1, colNum).getA1Notation().replace(/\d+/g, '');
+    // Rows 2-4: date, event name, count (setValues treats the leading "=" as a formula)
+    sheet.getRange(dateRow, colNum, countRow - dateRow + 1, 1).setValues([
+      [sheetData.headerDates[i]],
+      [sheetData.headerNames[i]],
+      ['=COUNTIF(' + colLetter + dataStartRow + ':' + colLetter + ', TRUE)']
+    ]);
+  });
+}
+
+/**
+ * Remembers where a paused run stopped (or clears it once a run has covered that row)
+ * and schedules resumeAttendanceLogProcessing() for a paused run.
+ */
+function saveAttendanceLogCheckpoint_(firstLogRow, resumeFromRow) {
+  const props = PropertiesService.getScriptProperties();
+  if (resumeFromRow) {
+    props.setProperty(LOG_RESUME_FROM_PROPERTY, String(resumeFromRow));
+    scheduleAttendanceLogResume_();
+    return;
   }
+  const saved = Number(props.getProperty(LOG_RESUME_FROM_PROPERTY));
+  if (saved && firstLogRow <= saved) props.deleteProperty(LOG_RESUME_FROM_PROPERTY);
+}
+
+function scheduleAttendanceLogResume_() {
+  const exists = ScriptApp.getProjectTriggers().some(function (t) {
+    return t.getHandlerFunction() === 'resumeAttendanceLogProcessing';
+  });
+  if (!exists) ScriptApp.newTrigger('resumeAttendanceLogProcessing').timeBased().after(60 * 1000).create();
+}
 
-  if (recordsWereLogged) {
-    // Write back only Status (Col I) and Remarks (Col J)
-    const statusData = logData.map(function (r) { return [r[logStatusColIndex], r[logRemarksColIndex]]; });
-    logSheet.getRange(2, logStatusColumn, statusData.length, 2).setValues(statusData);
+/**
+ * Continues a run that stopped at its time budget (one-off trigger set by the processor).
+ * Can also be run by hand.
+ */
+function resumeAttendanceLogProcessing(e) {
+  assertAuthorizedUser_(e);
+  ScriptApp.getProjectTriggers().forEach(function (t) {
+    if (t.getHandlerFunction() === 'resumeAttendanceLogProcessing') ScriptApp.deleteTrigger(t);
+  });
+
+  const resumeFromRow = Number(PropertiesService.getScriptProperties().getProperty(LOG_RESUME_FROM_PROPERTY));
+  if (!resumeFromRow) {
+    Logger.log('No paused Attendance Log run to resume.');
+    return;
   }
 
-  Logger.log('Attendance processing complete.');
+  try {
+    processAttendanceLogV2({ startRow: resumeFromRow });
+  } catch (err) {
+    if (!isJobLockBusyError_(err)) throw err;
+    Logger.log(err.message + ' Trying again in a minute.');
+    scheduleAttendanceLogResume_();
+  }
 }
 
 /**
@@ -474,11 +896,14 @@ function normalizeKeyPart_(v) {
 /**
  * Reads destination sheet and builds:
  * - keyMap: key -> row number (ONLY for rows that have Personal ID in Column B)
- * - dateMap: date/event -> column
+ * - people: the same rows as { personalId, lastName, firstName } (match review candidates)
+ * - dateMap: date/event -> column (Sunday Service: "M-D" or "M-D|slot" when slotRow is given)
  * - checkboxes: grid values
  * - nextBlankRow: first truly empty row (based on B/C/D)
+ * Event sheets also get their checkbox rule re-applied to the grid, unless readOnly is set
+ * (processing dry runs).
  */
-function prepareSheetDataWithPersonalId_(sheet, dataStartRow, dataStartCol, dateKeyRows, useFullDate, isEventSheet) {
+function prepareSheetDataWithPersonalId_(sheet, dataStartRow, dataStartCol, dateKeyRows, useFullDate, isEventSheet, slotRow, readOnly) {
   // Find last row based on any data in B/C/D
   const bcdAll = sheet.getRange('B1:D' + sheet.getMaxRows()).getValues();
   let actualLastDataRow = 0;
@@ -497,6 +922,7 @@ function prepareSheetDataWithPersonalId_(sheet, dataStartRow, dataStartCol, date
 
   // Build keyMap ONLY for rows with Personal ID in Col B
   const keyMap = new Map();
+  const people = [];
   if (dataRowCount > 0) {
     const slice = bcdAll.slice(dataStartRow - 1, actualLastDataRow);
     for (let i = 0; i < slice.length; i++) {
@@ -509,6 +935,7 @@ function prepareSheetDataWithPersonalId_(sheet, dataStartRow, dataStartCol, date
       const key = buildAttendanceKey_(pid, ln, fn);
       if (key && !keyMap.has(key)) {
         keyMap.set(key, i + dataStartRow);
+        people.push({ personalId: pid, lastName: ln, firstName: fn });
       }
     }
   }
@@ -519,6 +946,7 @@ function prepareSheetDataWithPersonalId_(sheet, dataStartRow, dataStartCol, date
 
   const dateValues = sheet.getRange(dateKeyRows[0], 1, 1, lastSheetCol).getValues()[0];
   const nameValues = dateKeyRows[1] ? sheet.getRange(dateKeyRows[1], 1, 1, lastSheetCol).getValues()[0] : null;
+  const slotValues = slotRow ? sheet.getRange(slotRow, 1, 1, lastSheetCol).getValues()[0] : null;
 
   let lastDataCol = dataStartCol - 1;
 
@@ -532,8 +960,10 @@ function prepareSheetDataWithPersonalId_(sheet, dataStartRow, dataStartCol, date
 
       let key;
       if (nameValues) {
-        const eventName = nameValues[i] ? nameValues[i].toString().trim().toLowerCase() : '';
+        const eventName = nameValues[i] ? canonicalEventName_(nameValues[i]).toLowerCase() : '';
         key = formattedDate + '_' + eventName;
+      } else if (slotValues) {
+        key = buildSundayColumnKey_(formattedDate, normalizeServiceSlot_(slotValues[i]));
       } else {
         key = formattedDate;
       }
@@ -556,7 +986,7 @@ function prepareSheetDataWithPersonalId_(sheet, dataStartRow, dataStartCol, date
     if (numCols > 0) {
       const range = sheet.getRange(dataStartRow, dataStartCol, dataRowCount, numCols);
       checkboxes = range.getValues();
-      if (isEventSheet) range.insertCheckboxes();
+      if (isEventSheet && !readOnly) range.insertCheckboxes();
     } else {
       checkboxes = Array(dataRowCount).fill(0).map(function () { return []; });
     }
@@ -565,17 +995,137 @@ function prepareSheetDataWithPersonalId_(sheet, dataStartRow, dataStartCol, date
   return {
     sheet: sheet,
     keyMap: keyMap,
+    people: people,
     dateMap: dateMap,
     checkboxes: checkboxes,
     lastDataCol: lastDataCol,
     numRows: dataRowCount,
-    nextBlankRow: nextBlankRow
+    nextBlankRow: nextBlankRow,
+    firstNewRow: nextBlankRow,
+    newPeople: []
   };
 }
 
+/**
+ * Adds a 'Sunday Service' date+slot column in chronological position, in memory.
+ * Columns of the same date are ordered by slot time (see serviceSlotSortValue_).
+ * Keeps the in-memory sheetData (dateMap, checkboxes, lastDataCol, header rows) aligned
+ * with the shifted columns and queues the insert in sheetData.insertedColumns;
+ * commitSundayServiceDateColumns_ makes it in the sheet with the rest of the run.
+ *
+ * @return {number} The new column number.
+ */
+function insertSundayServiceDateColumn_(sheet, sheetData, eventDate, serviceSlot, columnKey, dataStartCol, slotRow, dateRow) {
+  if (!sheetData.headerDates) {
+    const width = sheetData.lastDataCol - dataStartCol + 1;
+    sheetData.headerDates = width > 0 ? sheet.getRange(dateRow, dataStartCol, 1, width).getValues()[0] : [];
+    sheetData.headerSlots = width > 0 ? sheet.getRange(slotRow, dataStartCol, 1, width).getValues()[0] : [];
+  }
+  const headerDates = sheetData.headerDates;
+  const headerSlots = sheetData.headerSlots;
+
+  const dayOf = function (d) { return new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime(); };
+  const newDay = dayOf(eventDate);
+  const newSlotValue = serviceSlotSortValue_(serviceSlot);
+
+  // First existing column that comes after the new one; otherwise append after the last data column
+  let colNum = sheetData.lastDataCol + 1;
+  for (let i = 0; i < headerDates.length; i++) {
+    if (!(headerDates[i] instanceof Date)) continue;
+    const day = dayOf(headerDates[i]);
+    if (day > newDay || (day === newDay && serviceSlotSortValue_(normalizeServiceSlot_(headerSlots[i])) > newSlotValue)) {
+      colNum = dataStartCol + i;
+      break;
+    }
+  }
+
+  if (!sheetData.insertedColumns) sheetData.insertedColumns = [];
+  sheetData.insertedColumns.push({
+    colNum: colNum,
+    shiftsColumns: colNum <= sheetData.lastDataCol,
+    slot: serviceSlot || '',
+    date: eventDate
+  });
+
+  // Shift in-memory columns at/after the insert point
+  sheetData.dateMap.forEach(function (col, key) {
+    if (col >= colNum) sheetData.dateMap.set(key, col + 1);
+  });
+  sheetData.dateMap.set(columnKey, colNum);
+
+  const arrayCol = colNum - dataStartCol;
+  sheetData.checkboxes.forEach(function (r) { r.splice(arrayCol, 0, false); });
+  headerDates.splice(arrayCol, 0, eventDate);
+  headerSlots.splice(arrayCol, 0, serviceSlot || '');
+  sheetData.lastDataCol++;
+
+  Logger.log('Adding Sunday Service column for ' + columnKey + ' at column ' + colNum + '.');
+  return colNum;
+}
+
+/**
+ * Inserts the 'Sunday Service' columns queued by insertSundayServiceDateColumn_, in the
+ * order they were queued (each column number counts the ones inserted before it):
+ * slot label, date, COUNTIF(...TRUE) in the count row and checkboxes for the data rows.
+ * Runs before commitCheckboxGrid_, whose grid already has the new columns.
+ */
+function commitSundayServiceDateColumns_(sheet, sheetData, dataStartRow, slotRow, dateRow, countRow) {
+  if (!sheetData.insertedColumns || sheetData.insertedColumns.length === 0) return;
+
+  const numRows = sheetData.checkboxes.length;
+  sheetData.insertedColumns.forEach(function (c) {
+    if (c.shiftsColumns) {
+      sheet.insertColumnBefore(c.colNum);
+    } else if (c.colNum > sheet.getMaxColumns()) {
+      sheet.insertColumnsAfter(sheet.getMaxColumns(), c.colNum - sheet.getMaxColumns());
+    }
+
+    sheet.getRange(slotRow, c.colNum).setValue(c.slot);
+    sheet.getRange(dateRow, c.colNum).setValue(c.date);
+
+    const colLetter = sheet.getRange(1, c.colNum).getA1Notation().replace(/\d+/g, '');
+    sheet.getRange(countRow, c.colNum).setFormula('=COUNTIF(' + colLetter + dataStartRow + ':' + colLetter + ', TRUE)');
+
+    if (numRows > 0) sheet.getRange(dataStartRow, c.colNum, numRows, 1).insertCheckboxes();
+  });
+}
+
+/**
+ * Normalizes a service slot label ("9 am " -> "9 AM"). Blank = default service.
+ */
+function normalizeServiceSlot_(slot) {
+  return (slot || '').toString().replace(/\s+/g, ' ').trim().toUpperCase();
+}
+
+/**
+ * Sunday Service column key: "M-D" for the default service, "M-D|SLOT" otherwise.
+ */
+function buildSundayColumnKey_(formattedShortDate, serviceSlot) {
+  return serviceSlot ? formattedShortDate + '|' + serviceSlot : formattedShortDate;
+}
+
+/**
+ * Sort value for ordering slots within a day.
+ * Blank (default service) first, then slots with a recognizable time
+ * ("9AM", "11:30", "5PM YOUTH") by time, then any other labels.
+ */
+function serviceSlotSortValue_(serviceSlot) {
+  if (!serviceSlot) return -1;
+
+  const m = String(serviceSlot).match(/(\d{1,2})(?::(\d{2}))?\s*(AM|PM)?/i);
+  if (!m) return 24 * 60;
+
+  let hours = Number(m[1]) % 12;
+  if (!m[3] || m[3].toUpperCase() === 'PM') {
+    // "17:00" stays 17:00; "5PM" -> 17:00; bare "9" is read as 9AM
+    hours = Number(m[1]) === 12 ? 12 : (m[3] ? hours + 12 : Number(m[1]));
+  }
+  return hours * 60 + Number(m[2] || 0);
+}
+
 /**
  * Pastoral Check-In helper:
- * builds keyMap + nextBlankRow based on B/C/D,
+ * builds keyMap + people + nextBlankRow based on B/C/D,
  * but ONLY maps rows that have Personal ID in Col B.
  */
 function preparePastoralSheetDataWithPersonalId_(sheet, dataStartRow) {
@@ -595,6 +1145,7 @@ function preparePastoralSheetDataWithPersonalId_(sheet, dataStartRow) {
   const dataRowCount = actualLastDataRow >= dataStartRow ? (actualLastDataRow - dataStartRow + 1) : 0;
 
   const keyMap = new Map();
+  const people = [];
   if (dataRowCount > 0) {
     const slice = bcdAll.slice(dataStartRow - 1, actualLastDataRow);
     for (let i = 0; i < slice.length; i++) {
@@ -607,6 +1158,7 @@ function preparePastoralSheetDataWithPersonalId_(sheet, dataStartRow) {
       const key = buildAttendanceKey_(pid, ln, fn);
       if (key && !keyMap.has(key)) {
         keyMap.set(key, i + dataStartRow);
+        people.push({ personalId: pid, lastName: ln, firstName: fn });
       }
     }
   }
@@ -614,8 +1166,11 @@ function preparePastoralSheetDataWithPersonalId_(sheet, dataStartRow) {
   return {
     sheet: sheet,
     keyMap: keyMap,
+    people: people,
     numRows: dataRowCount,
-    nextBlankRow: nextBlankRow
+    nextBlankRow: nextBlankRow,
+    firstNewRow: nextBlankRow,
+    newPeople: []
   };
 }
 
@@ -635,40 +1190,21 @@ function capitalizeName(nameStr) {
 
 
 /**
- * Reverse of processAttendanceLogV2:
- * Reads checkboxes from "Sunday Service" and "Event Attendance"
- * and writes attendance rows into "Attendance Log".
- *
- * - Sunday Service:
- *   - Data starts at row 4.
- *   - Last name in Col C, first name in Col D.
- *   - Dates are in row 2 (starting at Col I / index 9).
- *   - If checkbox is TRUE, log a row:
- *     - Col A: unique id (e.g. "7a60d5eb").
- *     - Col B: "FirstName LastName".
- *     - Col C: Last Name.
- *     - Col D: First Name.
- *     - Col F: "Sunday Service".
- *     - Col G: Date from row 2.
- *     - Col H: Timestamp (now).
- *     - Col I: "Logged".
+ * Reverse of processAttendanceLogV2: copies ticked boxes on 'Sunday Service' and
+ * 'Event Attendance' that have no Attendance Log row into the log.
  *
- * - Event Attendance:
- *   - Data starts at row 5.
- *   - Last name in Col C, first name in Col D.
- *   - Dates in row 2, event names in row 3.
- *   - Only use columns where:
- *       Row 2 has a date AND
- *       Row 3 has an event name AND
- *       Row 3 is NOT "Post event name here".
- *   - For each TRUE checkbox:
- *     - Same mapping as above, but Col F = event name (row 3).
- *
- * - Prevents duplicate log rows by checking existing
- *   (LastName, FirstName, EventName, Date) combinations
- *   already in "Attendance Log".
+ * Runs the reconciliation (see 'Reconciliation'), so people are matched by Personal ID
+ * and columns by date + slot / event name. Every "Checked, no log row" box gets a
+ * Logged log row (Column B = Personal ID, Column P = RECONCILED); the other
+ * discrepancies are left on the 'Reconciliation' tab to be fixed there.
  */
 function exportSheetsAttendanceToLogV2() {
+  return withJobLock_('Export Sheets Attendance To Log', function () {
+    return exportSheetsAttendanceToLogV2Unlocked_();
+  });
+}
+
+function exportSheetsAttendanceToLogV2Unlocked_() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const logSheet = ss.getSheetByName('Attendance Log');
   if (!logSheet) {
@@ -676,180 +1212,14 @@ function exportSheetsAttendanceToLogV2() {
     return;
   }
 
-  const sunServiceSheet = ss.getSheetByName('Sunday Service');
-  const eventSheet = ss.getSheetByName('Event Attendance');
-
-  const timezone = ss.getSpreadsheetTimeZone() || 'GMT';
-
-  // --- Helper: generate 8-char hex ID like "7a60d5eb" ---
-  function generateUniqueId_() {
-    return Math.random().toString(16).slice(2, 10);
-  }
-
-  // --- Helper: normalize key for dedupe (lname, fname, event, date) ---
-  function makeKey_(lastName, firstName, eventName, dateObjOrStr) {
-    if (!lastName || !firstName || !eventName || !dateObjOrStr) return '';
-    let dateKey;
-    if (dateObjOrStr instanceof Date) {
-      dateKey = Utilities.formatDate(dateObjOrStr, timezone, 'yyyy-MM-dd');
-    } else {
-      const d = new Date(dateObjOrStr);
-      if (!isNaN(d.getTime())) {
-        dateKey = Utilities.formatDate(d, timezone, 'yyyy-MM-dd');
-      } else {
-        dateKey = String(dateObjOrStr);
-      }
-    }
-    return [
-      String(lastName).trim().toLowerCase(),
-      String(firstName).trim().toLowerCase(),
-      String(eventName).trim().toLowerCase(),
-      dateKey
-    ].join('|');
-  }
-
-  // --- Build set of existing log keys so we don't duplicate ---
-  const existingKeys = new Set();
-  const lastLogRow = logSheet.getLastRow();
-  if (lastLogRow > 1) {
-    // Read Col C (Last), D (First), F (Event), G (Date)
-    const existingRange = logSheet.getRange(2, 1, lastLogRow - 1, 7).getValues();
-    // [A,B,C,D,E,F,G]
-    for (let i = 0; i < existingRange.length; i++) {
-      const row = existingRange[i];
-      const lastName = row[2];  // Col C
-      const firstName = row[3]; // Col D
-      const eventName = row[5]; // Col F
-      const dateVal = row[6];   // Col G
-      const key = makeKey_(lastName, firstName, eventName, dateVal);
-      if (key) existingKeys.add(key);
-    }
-  }
-
-  const newRows = [];
-  const newKeys = new Set();
-  const now = new Date();
-
-  // --- Helper: push a new log row if not duplicate ---
-  function maybeAddLogRow_(lastName, firstName, eventName, dateVal) {
-    if (!lastName && !firstName) return;
-    if (!eventName || !dateVal) return;
-
-    let dateObj = dateVal;
-    if (!(dateObj instanceof Date)) {
-      const tmp = new Date(dateVal);
-      if (isNaN(tmp.getTime())) return;
-      dateObj = tmp;
-    }
-
-    const key = makeKey_(lastName, firstName, eventName, dateObj);
-    if (!key) return;
-    if (existingKeys.has(key) || newKeys.has(key)) return;
-
-    newKeys.add(key);
-    existingKeys.add(key);
-
-    const fullName = `${firstName || ''} ${lastName || ''}`.trim();
-    const uniqueId = generateUniqueId_();
-
-    // Col A–I: [ID, FullName, LastName, FirstName, (Type blank), EventName, EventDate, Timestamp, Status]
-    newRows.push([
-      uniqueId,
-      fullName,
-      lastName || '',
-      firstName || '',
-      '',                    // Col E (Type) – left blank
-      eventName,
-      dateObj,
-      new Date(),            // Col H: timestamp (now)
-      'Logged'               // Col I: status
-    ]);
-  }
-
-  // --- 1) From "Sunday Service" ---
-  if (sunServiceSheet) {
-    const sunDataStartRow = 4;   // data row 4
-    const sunDataStartCol = 9;   // column I
-    const lastRow = sunServiceSheet.getLastRow();
-    const lastCol = sunServiceSheet.getLastColumn();
-
-    if (lastRow >= sunDataStartRow && lastCol >= sunDataStartCol) {
-      const numRows = lastRow - sunDataStartRow + 1;
-      const numCols = lastCol - sunDataStartCol + 1;
-
-      const nameValues = sunServiceSheet.getRange(sunDataStartRow, 3, numRows, 2).getValues(); // C–D
-      const checkboxValues = sunServiceSheet.getRange(sunDataStartRow, sunDataStartCol, numRows, numCols).getValues();
-      const dateRowValues = sunServiceSheet.getRange(2, sunDataStartCol, 1, numCols).getValues()[0];
-
-      for (let r = 0; r < numRows; r++) {
-        const lastName = nameValues[r][0];
-        const firstName = nameValues[r][1];
-
-        if (!lastName && !firstName) continue;
-
-        for (let c = 0; c < numCols; c++) {
-          const checked = checkboxValues[r][c];
-          if (checked === true) {
-            const dateVal = dateRowValues[c];
-            if (!dateVal) continue;
-            maybeAddLogRow_(lastName, firstName, 'Sunday Service', dateVal);
-          }
-        }
-      }
-    }
-  } else {
-    Logger.log('Sheet "Sunday Service" not found.');
-  }
-
-  // --- 2) From "Event Attendance" ---
-  if (eventSheet) {
-    const evtDataStartRow = 5;   // data row 5
-    const evtDataStartCol = 9;   // column I
-    const lastRow = eventSheet.getLastRow();
-    const lastCol = eventSheet.getLastColumn();
-
-    if (lastRow >= evtDataStartRow && lastCol >= evtDataStartCol) {
-      const numRows = lastRow - evtDataStartRow + 1;
-      const numCols = lastCol - evtDataStartCol + 1;
-
-      const nameValues = eventSheet.getRange(evtDataStartRow, 3, numRows, 2).getValues(); // C–D
-      const checkboxValues = eventSheet.getRange(evtDataStartRow, evtDataStartCol, numRows, numCols).getValues();
-
-      const dateRowValues = eventSheet.getRange(2, evtDataStartCol, 1, numCols).getValues()[0];
-      const eventNameValues = eventSheet.getRange(3, evtDataStartCol, 1, numCols).getValues()[0];
-
-      for (let c = 0; c < numCols; c++) {
-        const dateVal = dateRowValues[c];
-        const eventName = eventNameValues[c];
-
-        // Only process if:
-        // - Row 2 has date
-        // - Row 3 has event name
-        // - Row 3 is NOT "Post event name here"
-        if (!dateVal) continue;
-        if (!eventName) continue;
-        if (String(eventName).trim() === 'Post event name here') continue;
-
-        for (let r = 0; r < numRows; r++) {
-          const checked = checkboxValues[r][c];
-          if (checked === true) {
-            const lastName = nameValues[r][0];
-            const firstName = nameValues[r][1];
-            if (!lastName && !firstName) continue;
-            maybeAddLogRow_(lastName, firstName, eventName, dateVal);
-          }
-        }
-      }
-    }
-  } else {
-    Logger.log('Sheet "Event Attendance" not found.');
-  }
+  const checkedLabel = RECONCILIATION_ISSUES.CHECKED_NOT_LOGGED.label;
+  const rows = buildReconciliationRows_(ss);
+  const newRows = rows.filter(function (r) { return r[0] === checkedLabel; }).map(reconciliationLogRow_);
+  writeReconciliationSheet_(ss, rows.filter(function (r) { return r[0] !== checkedLabel; }));
 
-  // --- Write new rows into Attendance Log ---
   if (newRows.length > 0) {
-    const startRow = lastLogRow > 1 ? lastLogRow + 1 : 2;
-    logSheet.getRange(startRow, 1, newRows.length, 9).setValues(newRows);
-    Logger.log(`Added ${newRows.length} new attendance rows into "Attendance Log".`);
+    logSheet.getRange(logSheet.getLastRow() + 1, 1, newRows.length, newRows[0].length).setValues(newRows);
+    Logger.log('Added ' + newRows.length + ' new attendance rows into "Attendance Log".');
   } else {
     Logger.log('No new attendance rows to add into "Attendance Log".');
   }
@@ -0,0 +1,112 @@
+/**
+ * Per-month attendance for the current report year, next to 'Attendance Stats'.
+ *
+ * Config!B9 = "Yes" (or a ticked checkbox) rebuilds the 'Attendance Monthly' tab on every
+ * updateAttendanceStatsSheet() run; updateAttendanceMonthlySheet() rebuilds it on demand.
+ *
+ * Layout (same person columns as the stats tabs, so the rows sort the same way):
+ *   A = blank   B = Personal ID   C = Last Name   D = First Name   E = Guest
+ *   F = Activity Level (copied from 'Attendance Stats')
+ *   G:R = distinct events attended per month, first month of the report year first
+ *         (Config!B7), e.g. "Aug 2026" ... "Jul 2027"
+ *   S = Total
+ * Counts come from calculateAttendanceStats(), i.e. the same eventKey sets as the
+ * period columns: several Sunday slots on one day count once, serving does not count.
+ */
+const ATTENDANCE_MONTHLY_SHEET_NAME = 'Attendance Monthly';
+const ATTENDANCE_MONTHLY_NUM_COLS = 19; // A..S
+const STATS_MONTHLY_INDEX = 21;         // first month count in a calculateAttendanceStats() row
+
+/**
+ * Manual run: rebuilds 'Attendance Monthly' for the latest report year in Config!B4.
+ */
+function updateAttendanceMonthlySheet() {
+  return withJobLock_('Update Attendance Monthly', function () {
+    return updateAttendanceMonthlySheetUnlocked_();
+  });
+}
+
+function updateAttendanceMonthlySheetUnlocked_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const years = getReportYears_();
+  const periods = getStatsPeriodConfig_();
+  const stats = calculateAttendanceStats(years[years.length - 1], matchOrAssignBelCodes(), periods);
+  updateAttendanceMonthlySheet_(ss, stats, years[years.length - 1], periods, ss.getSheetByName('Attendance Stats'));
+}
+
+/**
+ * True when Config!B9 asks for the monthly tab.
+ */
+function isAttendanceMonthlyEnabled_() {
+  const configSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Config');
+  const raw = configSheet ? configSheet.getRange('B9').getValue() : '';
+  return raw === true || /^(yes|y|true|on|1)$/i.test(String(raw).trim());
+}
+
+/**
+ * Rebuilds the tab from calculateAttendanceStats() rows.
+ *
+ * @param {Spreadsheet} ss
+ * @param {Array[]} stats Rows from calculateAttendanceStats(reportYear, ...).
+ * @param {number} reportYear
+ * @param {Object} periods From getStatsPeriodConfig_().
+ * @param {Sheet} statsSheet Stats tab already written for reportYear (Activity Level source), or null.
+ */
+function updateAttendanceMonthlySheet_(ss, stats, reportYear, periods, statsSheet) {
+  const activityByKey = new Map();
+  if (statsSheet && statsSheet.getLastRow() >= 3) {
+    statsSheet.getRange(3, 2, statsSheet.getLastRow() - 2, 5).getValues().forEach(r => { // B:F
+      const key = buildMatchKey(r[0], r[1], r[2]);
+      if (key) activityByKey.set(key, r[4]);
+    });
+  }
+
+  const rows = stats.map(row => {
+    const months = row.slice(STATS_MONTHLY_INDEX, STATS_MONTHLY_INDEX + 12);
+    return [
+      '',
+      row[0] || '',                                             // Personal ID
+      row[2] || '',                                             // Last
+      row[1] || '',                                             // First
+      row[10] || '',                                            // Guest
+      activityByKey.get(buildMatchKey(row[0], row[2], row[1])) || ''
+    ].concat(months, [months.reduce((a, b) => a + b, 0)]);
+  }).sort(compareStatsRows_);
+
+  let sheet = ss.getSheetByName(ATTENDANCE_MONTHLY_SHEET_NAME);
+  if (!sheet) sheet = ss.insertSheet(ATTENDANCE_MONTHLY_SHEET_NAME);
+  if (sheet.getMaxRows() > 1) sheet.getRange(2, 1, sheet.getMaxRows() - 1, ATTENDANCE_MONTHLY_NUM_COLS).clearFormat();
+  sheet.clearContents();
+
+  sheet.getRange(1, 1, 1, ATTENDANCE_MONTHLY_NUM_COLS).setValues([
+    ['', 'Personal ID', 'Last Name', 'First Name', 'Guest', 'Activity Level']
+      .concat(reportMonthHeaders_(reportYear, periods), [`Total ${reportYearLabel_(reportYear, periods)}`])
+  ]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+
+  if (rows.length === 0) {
+    Logger.log(`No ${reportYearLabel_(reportYear, periods)} data for '${ATTENDANCE_MONTHLY_SHEET_NAME}'.`);
+    return;
+  }
+
+  sheet.getRange(2, 1, rows.length, ATTENDANCE_MONTHLY_NUM_COLS).setValues(rows);
+
+  // Same alignment as performFinalSort: Personal ID left, Guest through the counts centered
+  sheet.getRange(2, 2, rows.length, 1).setHorizontalAlignment('left').setVerticalAlignment('middle');
+  sheet.getRange(2, 5, rows.length, ATTENDANCE_MONTHLY_NUM_COLS - 4).setHorizontalAlignment('center').setVerticalAlignment('middle');
+
+  Logger.log(`✅ Attendance Monthly updated: ${rows.length} person(s).`);
+}
+
+/**
+ * "Aug 2026", "Sep 2026", ... for the twelve months of a report year.
+ */
+function reportMonthHeaders_(reportYear, periods) {
+  const names = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  const headers = [];
+  for (let m = 0; m < 12; m++) {
+    const month = periods.startMonth + m;
+    headers.push(`${names[month % 12]} ${reportYear + Math.floor(month / 12)}`);
+  }
+  return headers;
+}
@@ -228,10 +228,11 @@ function ensurePersonalIdsAcrossAttendanceTabs_() {
 /**
  * Fetches all raw data from sheets.
  * Reads Directory from external sheet ID in Config!B2.
- * Reads Event Attendance and Sunday Service.
+ * Reads Event Attendance (plus archive tabs) and Sunday Service.
  * Reads Attendance Log for Pastoral Check-In.
  */
 function getDataFromSheets() {
+  assertAuthorizedUser_();
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   let externalDirectorySs = null;
 
@@ -261,9 +262,15 @@ function getDataFromSheets() {
     return sheet.getDataRange().getValues();
   };
 
+  // Past years moved out by rolloverEventAttendance() (see 'Event Archive')
+  const eArchiveData = getEventAttendanceSheets_(ss)
+    .filter(sheet => sheet.getName() !== "Event Attendance")
+    .map(sheet => sheet.getDataRange().getValues());
+
   return {
     dData: getSheetData("Directory", externalDirectorySs),
     eData: getSheetData("Event Attendance", ss),
+    eArchiveData,
     sData: getSheetData("Sunday Service", ss),
     lData: getSheetData("Attendance Log", ss)
   };
@@ -273,22 +280,37 @@ function getDataFromSheets() {
  * Collects attendance from:
  *  - Directory (for lookup only)
  *  - Sunday Service
- *  - Event Attendance
- *  - Attendance Log (Pastoral Check-In only)
+ *  - Event Attendance (and its "Event Attendance Archive YYYY" tabs)
+ *  - Attendance Log (Pastoral Check-In, and serving roles from Column O)
  *
  * IMPORTANT CHANGE:
  * - Personal ID is Column B in ALL relevant sheets.
  * - Matching uses PersonalID + Last + First (names can be partially blank).
  * - No BEL generation in this script.
+ *
+ * Raw record layout:
+ * [0 Personal ID, 1 First, 2 Last, 3 Event, 4 Event, 5 Date, 6 isVolunteer, 7 Match Key, 8 Service Slot, 9 Role]
+ * Service Slot comes from 'Sunday Service' row 1 (blank for events, pastoral and single services).
+ * Event names (index 3/4) are canonical names from the 'Events' catalog.
+ *
+ * Serving records (isVolunteer = true) come from Attendance Log rows with a role in
+ * Column O (e.g. "Usher", "Worship Team", "Kids Ministry"). They sit alongside the
+ * attendance records for the same day and are only used for serving counts.
+ *
+ * Also returns checkIns: the earliest timed check-in (Attendance Log Column H) per
+ * person, service and day, with the offset from the service start in Config!B5
+ * (see 'Check-in Times'), and sundayDates: the days that have a 'Sunday Service'
+ * column, oldest first (see 'Attendance Streaks').
  */
 function matchOrAssignBelCodes() {
+  assertAuthorizedUser_();
   // NEW: Ensure Personal IDs exist (and are written back to their source sheets) before collecting.
   ensurePersonalIdsAcrossAttendanceTabs_();
 
   const data = getDataFromSheets();
-  if (!data) return { rawData: [], dData: [] };
+  if (!data) return { rawData: [], dData: [], checkIns: [], sundayDates: [] };
 
-  const { sData, eData, dData, lData } = data;
+  const { sData, eData, eArchiveData, dData, lData } = data;
 
   // Directory lookup:
   // - ID set for guest detection
@@ -314,12 +336,13 @@ function matchOrAssignBelCodes() {
 
   const results = [];
 
-  // --- EVENT ATTENDANCE ---
-  if (eData && eData.length > 3) {
-    const dates = eData[1];
-    const names = eData[2];
+  // --- EVENT ATTENDANCE (archive tabs first, same layout) ---
+  (eArchiveData || []).concat([eData]).forEach(eGrid => {
+    if (!eGrid || eGrid.length <= 3) return;
+    const dates = eGrid[1];
+    const names = eGrid[2];
 
-    eData.slice(3).forEach(row => {
+    eGrid.slice(3).forEach(row => {
       const personalId = row[1]; // Column B
       const last = row[2];       // Column C
       const first = row[3];      // Column D
@@ -337,17 +360,19 @@ function matchOrAssignBelCodes() {
       for (let c = 8; c < row.length; c++) {
         if (row[c] === true) {
           const date = dates[c];
-          const eventName = names[c];
+          const eventName = canonicalEventName_(names[c]);
           if (date && eventName) {
-            results.push([pidFinal || "", first || "", last || "", eventName, eventName, date, false, matchKey]);
+            results.push([pidFinal || "", first || "", last || "", eventName, eventName, date, false, matchKey, ""]);
           }
         }
       }
     });
-  }
+  });
 
   // --- SUNDAY SERVICE ---
+  const sundayDates = sData && sData.length > 1 ? getSundayServiceDays_(sData[1].slice(8)) : [];
   if (sData && sData.length > 2) {
+    const slots = sData[0];
     const dates = sData[1];
 
     sData.slice(2).forEach(row => {
@@ -368,21 +393,22 @@ function matchOrAssignBelCodes() {
         if (row[c] === true) {
           const date = dates[c];
           if (date) {
-            results.push([pidFinal || "", first || "", last || "", "Sunday Service", "Sunday Service", date, false, matchKey]);
+            const slot = normalizeServiceSlot_(slots[c]);
+            results.push([pidFinal || "", first || "", last || "", "Sunday Service", "Sunday Service", date, false, matchKey, slot]);
           }
         }
       }
     });
   }
 
-  // --- PASTORAL CHECK-IN FROM ATTENDANCE LOG (DEDUPLICATED PER DATE) ---
+  // --- PASTORAL CHECK-IN FROM ATTENDANCE LOG (DEDUPLICATED PER EVENT/DATE) ---
   if (lData && lData.length > 1) {
-    const pastoralSeen = new Set(); // MatchKey|DATE
+    const pastoralSeen = new Set(); // MatchKey|EVENT|DATE
 
     lData.slice(1).forEach(row => {
       const event = row[5];
-      if (!event) return;
-      if (String(event).toLowerCase().trim() !== "pastoral check-in") return;
+      if (!event || !isPastoralEvent_(event)) return;
+      const eventName = canonicalEventName_(event);
 
       const personalId = row[1]; // Column B = Personal ID
       const last = row[2];
@@ -400,52 +426,266 @@ function matchOrAssignBelCodes() {
       const date = row[6];
       if (!date) return;
 
-      const dedupeKey = `${matchKey}|${new Date(date).toDateString()}`;
+      const dedupeKey = `${matchKey}|${eventName.toLowerCase()}|${new Date(date).toDateString()}`;
       if (pastoralSeen.has(dedupeKey)) return;
 
       pastoralSeen.add(dedupeKey);
-      results.push([pidFinal || "", first || "", last || "", "Pastoral Check-In", "Pastoral Check-In", date, false, matchKey]);
+      results.push([pidFinal || "", first || "", last || "", eventName, eventName, date, false, matchKey, ""]);
+    });
+  }
+
+  // --- SERVING ROLES FROM ATTENDANCE LOG (Column O, DEDUPLICATED PER EVENT/DATE/ROLE) ---
+  if (lData && lData.length > 1) {
+    const servingSeen = new Set(); // MatchKey|EVENT|DATE|ROLE
+
+    lData.slice(1).forEach(row => {
+      const role = normalizeServingRole_(row[14]); // Column O
+      const event = String(row[5] || "").trim();   // Column F
+      const date = row[6];                         // Column G
+      if (!role || !event || !date) return;
+
+      const personalId = row[1]; // Column B = Personal ID
+      const last = row[2];
+      const first = row[3];
+
+      let pidFinal = personalId;
+      if (!normalizePersonalId(pidFinal)) {
+        const nameKey = normalizeName(`${last || ''}, ${first || ''}`);
+        if (nameKey && directoryNameToId.has(nameKey)) pidFinal = directoryNameToId.get(nameKey);
+      }
+
+      const matchKey = buildMatchKey(pidFinal, last, first);
+      if (matchKey === "||") return;
+
+      const dedupeKey = `${matchKey}|${event.toLowerCase()}|${new Date(date).toDateString()}|${role.toLowerCase()}`;
+      if (servingSeen.has(dedupeKey)) return;
+
+      servingSeen.add(dedupeKey);
+      const eventName = canonicalEventName_(event);
+      const slot = normalizeServiceSlot_(row[13]); // Column N
+      results.push([pidFinal || "", first || "", last || "", eventName, eventName, date, true, matchKey, slot, role]);
     });
   }
 
-  return { rawData: results, dData, directoryIdSet };
+  // --- CHECK-IN TIMES FROM ATTENDANCE LOG (Column H, EARLIEST PER PERSON/SERVICE/DAY) ---
+  const checkInsByKey = new Map(); // MatchKey|SERVICE|DATE -> check-in
+  if (lData && lData.length > 1) {
+    const startTimes = getServiceStartTimes_();
+    const tz = SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone();
+
+    lData.slice(1).forEach(row => {
+      const event = String(row[5] || "").trim(); // Column F
+      if (!event || !row[6] || !row[7]) return;  // Column G date, Column H timestamp
+
+      const slot = normalizeServiceSlot_(row[13]); // Column N
+      const checkIn = buildCheckIn_(event, row[6], row[7], slot, startTimes, tz);
+      if (!checkIn) return;
+
+      const personalId = row[1]; // Column B = Personal ID
+      const last = row[2];
+      const first = row[3];
+
+      let pidFinal = personalId;
+      if (!normalizePersonalId(pidFinal)) {
+        const nameKey = normalizeName(`${last || ''}, ${first || ''}`);
+        if (nameKey && directoryNameToId.has(nameKey)) pidFinal = directoryNameToId.get(nameKey);
+      }
+
+      const matchKey = buildMatchKey(pidFinal, last, first);
+      if (matchKey === "||") return;
+
+      const dedupeKey = `${matchKey}|${checkIn.serviceLabel.toLowerCase()}|${checkIn.date.toDateString()}`;
+      const existing = checkInsByKey.get(dedupeKey);
+      if (existing && existing.minutes <= checkIn.minutes) return;
+
+      checkIn.matchKey = matchKey;
+      checkIn.personalId = pidFinal || "";
+      checkIn.first = first || "";
+      checkIn.last = last || "";
+      checkInsByKey.set(dedupeKey, checkIn);
+    });
+  }
+
+  return { rawData: results, dData, directoryIdSet, checkIns: Array.from(checkInsByKey.values()), sundayDates };
 }
 
 /**
- * Calculates stats (Q1–Q4, Total, Last Event, Guest Flag) for YEAR 2026.
+ * Tidies a serving role label: trims, collapses spaces, title-cases ("worship  team" -> "Worship Team").
+ */
+function normalizeServingRole_(role) {
+  const text = String(role || "").replace(/\s+/g, " ").trim();
+  if (!text) return "";
+  return text.toLowerCase().replace(/\b\w/g, ch => ch.toUpperCase());
+}
+
+/**
+ * Reads the report year(s) from Config!B4.
+ * Accepts a single year ("2026") or a list ("2025, 2026").
+ * Falls back to the current report year (see getStatsPeriodConfig_) when the cell is empty.
+ *
+ * @returns {number[]} Sorted, de-duplicated list of years (oldest first).
+ */
+function getReportYears_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const configSheet = ss.getSheetByName("Config");
+  const raw = configSheet ? configSheet.getRange("B4").getValue() : "";
+
+  const years = new Set();
+  if (typeof raw === "number") {
+    years.add(Math.floor(raw));
+  } else {
+    (String(raw || "").match(/\d{4}/g) || []).forEach(y => years.add(Number(y)));
+  }
+
+  if (years.size === 0) {
+    Logger.log('ℹ️ "Config!B4" has no report year. Using the current year.');
+    const today = new Date();
+    const startMonth = getStatsPeriodConfig_().startMonth;
+    years.add(today.getMonth() < startMonth ? today.getFullYear() - 1 : today.getFullYear());
+  }
+
+  return Array.from(years).sort((a, b) => a - b);
+}
+
+const STATS_MAX_PERIODS = 4; // G:J, N:Q and S:V on the stats tabs
+
+const STATS_PERIOD_TYPES = {
+  quarters: { count: 4, prefix: "Q" },
+  trimesters: { count: 3, prefix: "T" },
+  semesters: { count: 2, prefix: "S" }
+};
+
+/**
+ * Reads how the report year is split from Config:
+ *   B7 = first month of the report (ministry / fiscal) year: 1-12 or a month name
+ *        ("August", "Aug"). Empty = January.
+ *   B8 = "Quarters" (default), "Trimesters" or "Semesters".
+ *
+ * A report year is named after the calendar year it starts in: with August in B7,
+ * 2026 runs Aug 1, 2026 – Jul 31, 2027 and is labelled "2026-27".
+ *
+ * @returns {{startMonth: number, count: number, prefix: string}} startMonth is 0-based.
+ */
+function getStatsPeriodConfig_() {
+  const configSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Config");
+  const rawMonth = configSheet ? configSheet.getRange("B7").getValue() : "";
+  const rawType = configSheet ? String(configSheet.getRange("B8").getValue() || "").trim().toLowerCase() : "";
+
+  let startMonth = 0;
+  if (rawMonth instanceof Date) {
+    startMonth = rawMonth.getMonth();
+  } else if (rawMonth !== "" && !isNaN(Number(rawMonth)) && Number(rawMonth) >= 1 && Number(rawMonth) <= 12) {
+    startMonth = Math.floor(Number(rawMonth)) - 1;
+  } else if (rawMonth !== "") {
+    const names = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+    const index = names.indexOf(String(rawMonth).trim().toLowerCase().slice(0, 3));
+    if (index === -1) Logger.log(`⚠️ Config!B7: "${rawMonth}" is not a month. Using January.`);
+    startMonth = Math.max(index, 0);
+  }
+
+  const type = STATS_PERIOD_TYPES[rawType] || STATS_PERIOD_TYPES[rawType + "s"];
+  if (rawType && !type) Logger.log(`⚠️ Config!B8: unknown period type "${rawType}". Using quarters.`);
+
+  const periods = type || STATS_PERIOD_TYPES.quarters;
+  return { startMonth, count: periods.count, prefix: periods.prefix };
+}
+
+/**
+ * Month of the report year (0 = its first month) a date falls in, or -1 when the
+ * date is outside that report year.
+ */
+function reportMonthIndex_(date, reportYear, periods) {
+  const monthsIn = (date.getFullYear() - reportYear) * 12 + date.getMonth() - periods.startMonth;
+  return monthsIn < 0 || monthsIn >= 12 ? -1 : monthsIn;
+}
+
+/**
+ * Index of the period (0-based) a date falls in for a report year, or -1 when the
+ * date is outside that report year.
+ */
+function reportPeriodIndex_(date, reportYear, periods) {
+  const monthsIn = reportMonthIndex_(date, reportYear, periods);
+  return monthsIn === -1 ? -1 : Math.floor(monthsIn / (12 / periods.count));
+}
+
+/**
+ * "2026" for calendar report years, "2026-27" when the year starts in another month.
+ */
+function reportYearLabel_(reportYear, periods) {
+  return periods.startMonth === 0 ? String(reportYear) : `${reportYear}-${String(reportYear + 1).slice(-2)}`;
+}
+
+/**
+ * Header labels for the STATS_MAX_PERIODS period columns ("Q1 2026", "T2 2026-27", ...);
+ * columns past the configured period count get a blank header.
+ */
+function reportPeriodHeaders_(reportYear, periods, label) {
+  const yearLabel = reportYearLabel_(reportYear, periods);
+  const headers = [];
+  for (let p = 1; p <= STATS_MAX_PERIODS; p++) {
+    headers.push(p <= periods.count ? `${label}${periods.prefix}${p} ${yearLabel}` : "");
+  }
+  return headers;
+}
+
+/**
+ * Calculates stats (periods 1–4, Total, Last Event, Guest Flag, Served per period, Late per period)
+ * for one report year. Periods follow Config!B7/B8 (see getStatsPeriodConfig_); with
+ * trimesters or semesters the unused trailing period counts are 0.
  * FIXED: Column M returns full event name even if it contains hyphens,
- * and Pastoral Check-In is forced to exact label.
+ * resolved to its canonical name through the 'Events' catalog.
  *
  * IMPORTANT CHANGE:
  * - Grouping is by PersonalID+Last+First match key (stored at index 7 in raw records).
  * - Guest detection includes matching Personal ID.
+ * - Serving records (index 6 = true) only feed the Served counts, so serving
+ *   and attending on the same day counts once as attendance and once as serving.
+ *
+ * - Late arrivals: timed check-ins more than Config!B6 minutes after the
+ *   service start in Config!B5 (services without a start time are never late).
+ *
+ * Returns [pid, first, last, p1, p2, p3, p4, total, lastDate, lastEvent, guest, matchKey,
+ *          served p1, served p2, served p3, served p4, served total,
+ *          late p1, late p2, late p3, late p4,
+ *          month 1 ... month 12,
+ *          current streak, longest streak, sundays missed]
+ * The month counts (first month of the report year first) use the same distinct
+ * eventKey sets as the periods; see 'Attendance Monthly'. Streaks count consecutive
+ * 'Sunday Service' dates up to the end of the report year (or today); see 'Attendance Streaks'.
+ *
+ * @param {number} reportYear Year to report on (defaults to the latest year in Config!B4).
+ * @param {Object} periods Optional result of getStatsPeriodConfig_().
+ * @param {Object} collected Optional result of matchOrAssignBelCodes(), so several years
+ *   can be calculated from the same raw records without re-reading the sheets.
  */
-function calculateAttendanceStats() {
-  const { rawData, dData, directoryIdSet } = matchOrAssignBelCodes();
-  if (rawData.length === 0) return [];
-
-  // Fallback name set (only used if Personal ID is missing)
-  const directoryNamesSet = new Set();
-  if (dData && dData.length > 1) {
-    dData.slice(1).forEach(row => {
-      const lastName = row[2];
-      const firstName = row[3];
-      if (lastName || firstName) {
-        directoryNamesSet.add(normalizeName(`${lastName || ''}, ${firstName || ''}`));
-      }
-    });
+function calculateAttendanceStats(reportYear, collected, periods) {
+  assertAuthorizedUser_();
+  if (!reportYear) {
+    const years = getReportYears_();
+    reportYear = years[years.length - 1];
   }
+  if (!periods) periods = getStatsPeriodConfig_();
 
-  const reportYear = 2026;
+  if (!collected) collected = matchOrAssignBelCodes();
+  const { rawData, dData, directoryIdSet, checkIns, sundayDates } = collected;
+  if (rawData.length === 0) return [];
+
+  const reportYearEnd = new Date(reportYear, periods.startMonth + 12, 0);
+  const streaks = calculateSundayStreaks_(getCollectedSundayAttendance_(collected), sundayDates || [], reportYearEnd);
+
+  // matchKey -> [late p1, p2, p3, p4]
+  const lateByKey = new Map();
+  const lateGrace = getLateGraceMinutes_();
+  (checkIns || []).forEach(c => {
+    if (c.offset === null || c.offset <= lateGrace) return;
+    const period = reportPeriodIndex_(c.date, reportYear, periods);
+    if (period === -1) return;
+    if (!lateByKey.has(c.matchKey)) lateByKey.set(c.matchKey, [0, 0, 0, 0]);
+    lateByKey.get(c.matchKey)[period]++;
+  });
 
-  const q1_start = new Date(reportYear, 0, 1);
-  const q1_end   = new Date(reportYear, 3, 0);
-  const q2_start = new Date(reportYear, 3, 1);
-  const q2_end   = new Date(reportYear, 6, 0);
-  const q3_start = new Date(reportYear, 6, 1);
-  const q3_end   = new Date(reportYear, 9, 0);
-  const q4_start = new Date(reportYear, 9, 1);
-  const q4_end   = new Date(reportYear, 11, 31);
+  // Fallback name set (only used if Personal ID is missing)
+  const directoryNamesSet = buildDirectoryNameSet_(dData);
 
   const grouped = new Map(); // matchKey -> records[]
 
@@ -463,10 +703,13 @@ function calculateAttendanceStats() {
     const date = dateVal instanceof Date ? dateVal : new Date(String(dateVal));
     if (isNaN(date.getTime())) return;
 
-    // Only count records inside 2026 for Q/Totals/Last Event (2026)
-    if (date.getFullYear() !== reportYear) return;
+    // Only count records inside the report year for periods/Totals/Last Event
+    const month = reportMonthIndex_(date, reportYear, periods);
+    if (month === -1) return;
 
-    const isSundayService = /sunday service/i.test(eventName);
+    // Sunday Service is keyed by day only, so attending several service slots
+    // on the same day counts once.
+    const isSundayService = isSundayServiceEvent_(eventName);
     const eventKey = isSundayService
       ? `Sunday Service-${date.toDateString()}`
       : `${eventName}-${date.toDateString()}`;
@@ -476,6 +719,8 @@ function calculateAttendanceStats() {
       firstName,
       lastName,
       date,
+      month,
+      period: Math.floor(month / (12 / periods.count)),
       eventKey,
       isVolunteer: isVolunteer === true
     };
@@ -488,17 +733,20 @@ function calculateAttendanceStats() {
   grouped.forEach((records, matchKey) => {
     if (!records || records.length === 0) return;
 
-    const q1Events = new Set(),
-          q2Events = new Set(),
-          q3Events = new Set(),
-          q4Events = new Set();
+    const attended = [new Set(), new Set(), new Set(), new Set()];
+
+    // Served at the same event/day in several roles counts once
+    const served = [new Set(), new Set(), new Set(), new Set()];
+
+    const monthly = Array.from({ length: 12 }, () => new Set());
 
     records.forEach(r => {
-      if (r.date >= q1_start && r.date <= q1_end) q1Events.add(r.eventKey);
-      if (r.date >= q2_start && r.date <= q2_end) q2Events.add(r.eventKey);
-      if (r.date >= q3_start && r.date <= q3_end) q3Events.add(r.eventKey);
-      if (r.date >= q4_start && r.date <= q4_end) q4Events.add(r.eventKey);
+      (r.isVolunteer ? served : attended)[r.period].add(r.eventKey);
+      if (!r.isVolunteer) monthly[r.month].add(r.eventKey);
     });
+    const attendedCounts = attended.map(events => events.size);
+    const servedCounts = served.map(events => events.size);
+    const sum = counts => counts.reduce((a, b) => a + b, 0);
 
     records.sort((a, b) => b.date.getTime() - a.date.getTime());
     const mostRecentRecord = records[0];
@@ -508,57 +756,78 @@ function calculateAttendanceStats() {
       ? mostRecentRecord.eventKey.substring(0, lastDashIndex)
       : mostRecentRecord.eventKey;
 
-    if (/pastoral\s*check[-\s]*in/i.test(lastEventName)) {
-      lastEventName = "Pastoral Check-In";
-    }
-
-    const pidNorm = normalizePersonalId(mostRecentRecord.personalId);
-    const nameNorm = normalizeName(`${mostRecentRecord.lastName || ''}, ${mostRecentRecord.firstName || ''}`);
+    lastEventName = canonicalEventName_(lastEventName);
 
-    // Guest logic:
-    // - If Personal ID exists: guest if NOT in Directory Personal IDs
-    // - Else (no ID): fallback to name-based check
-    let isGuest = false;
-    if (pidNorm) {
-      isGuest = !(directoryIdSet && directoryIdSet.has(pidNorm));
-    } else {
-      isGuest = !directoryNamesSet.has(nameNorm);
-    }
+    const isGuest = isDirectoryGuest_(
+      mostRecentRecord.personalId, mostRecentRecord.lastName, mostRecentRecord.firstName,
+      directoryIdSet, directoryNamesSet
+    );
 
     const guestStatus = isGuest ? "Guest" : "";
 
     summary.push([
       mostRecentRecord.personalId || "",     // Personal ID (will go to Column B in Attendance Stats)
       mostRecentRecord.firstName || "",
-      mostRecentRecord.lastName || "",
-      q1Events.size,
-      q2Events.size,
-      q3Events.size,
-      q4Events.size,
-      q1Events.size + q2Events.size + q3Events.size + q4Events.size,
+      mostRecentRecord.lastName || ""
+    ].concat(attendedCounts, [
+      sum(attendedCounts),
       mostRecentRecord.date,
       lastEventName,
       guestStatus,
       matchKey
-    ]);
+    ], servedCounts, [
+      sum(servedCounts)
+    ], lateByKey.get(matchKey) || [0, 0, 0, 0], monthly.map(events => events.size), sundayStreakCells_(streaks.get(matchKey))));
   });
 
   return summary;
 }
 
+/**
+ * Normalized "Last, First" names from the Directory (C/D), for people without a Personal ID.
+ */
+function buildDirectoryNameSet_(dData) {
+  const directoryNamesSet = new Set();
+  if (dData && dData.length > 1) {
+    dData.slice(1).forEach(row => {
+      const lastName = row[2];
+      const firstName = row[3];
+      if (lastName || firstName) {
+        directoryNamesSet.add(normalizeName(`${lastName || ''}, ${firstName || ''}`));
+      }
+    });
+  }
+  return directoryNamesSet;
+}
+
+/**
+ * Guest logic shared by the stats tabs and the export:
+ * - If Personal ID exists: guest if NOT in Directory Personal IDs
+ * - Else (no ID): fallback to name-based check
+ */
+function isDirectoryGuest_(personalId, lastName, firstName, directoryIdSet, directoryNamesSet) {
+  const pidNorm = normalizePersonalId(personalId);
+  if (pidNorm) return !(directoryIdSet && directoryIdSet.has(pidNorm));
+  return !directoryNamesSet.has(normalizeName(`${lastName || ''}, ${firstName || ''}`));
+}
+
 /**
  * Update activity level (Column F) based on attendance in the past 91 days.
  * If last attendance is over 12 months ago → "Archive".
  *
  * IMPORTANT CHANGE:
  * - Matching to Attendance Stats is by (Personal ID + Last + First)
+ *
+ * @param {string} sheetName Stats tab to update (defaults to "Attendance Stats").
+ * @param {Array[]} rawData Optional raw records from matchOrAssignBelCodes().
  */
-function updateActivityLevels() {
+function updateActivityLevels(sheetName, rawData) {
+  assertAuthorizedUser_();
   const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sheet = ss.getSheetByName("Attendance Stats");
+  const sheet = ss.getSheetByName(sheetName || "Attendance Stats");
   if (!sheet || sheet.getLastRow() < 3) return;
 
-  const { rawData } = matchOrAssignBelCodes();
+  if (!rawData) rawData = matchOrAssignBelCodes().rawData;
   const today = new Date();
 
   const cutoff91 = new Date(today);
@@ -572,6 +841,7 @@ function updateActivityLevels() {
 
   rawData.forEach(r => {
     if (!r || r.length < 8) return;
+    if (r[6] === true) return; // serving records duplicate the attendance already counted
 
     const dateVal = r[5];
     const matchKey = r[7];
@@ -617,37 +887,18 @@ function updateActivityLevels() {
  * IMPORTANT CHANGE:
  * - Column B (Personal ID) always left aligned + vertical middle
  * - Column M (Last Event) left aligned + vertical middle
+ *
+ * @param {string} sheetName Stats tab to sort (defaults to "Attendance Stats").
  */
-function performFinalSort() {
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Attendance Stats");
+function performFinalSort(sheetName) {
+  assertAuthorizedUser_();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName || "Attendance Stats");
   if (!sheet || sheet.getLastRow() <= 2) return;
 
   const range = sheet.getRange(3, 1, sheet.getLastRow() - 2, sheet.getLastColumn());
   const data = range.getValues();
 
-  const order = { "Core": 1, "Active": 2, "Inactive": 3, "Archive": 4 };
-
-  data.sort((a, b) => {
-    const guestA = a[4] === "Guest";
-    const guestB = b[4] === "Guest";
-    if (guestA !== guestB) return guestA ? -1 : 1;
-
-    const aLvl = order[a[5]] || 99;
-    const bLvl = order[b[5]] || 99;
-    if (aLvl !== bLvl) return aLvl - bLvl;
-
-    const lastA = (a[2] || "").toString().toLowerCase();
-    const lastB = (b[2] || "").toString().toLowerCase();
-    if (lastA < lastB) return -1;
-    if (lastA > lastB) return 1;
-
-    const firstA = (a[3] || "").toString().toLowerCase();
-    const firstB = (b[3] || "").toString().toLowerCase();
-    if (firstA < firstB) return -1;
-    if (firstA > firstB) return 1;
-
-    return 0;
-  });
+  data.sort(compareStatsRows_);
 
   range.setValues(data);
   range.clearFormat();
@@ -669,43 +920,155 @@ function performFinalSort() {
   colMRange.setHorizontalAlignment("left");
   colMRange.setVerticalAlignment("middle");
 
+  // Center N–Y (Served per period, Served Total, Late per period, streaks)
+  const servedRange = sheet.getRange(3, 14, numRows, 12);
+  servedRange.setHorizontalAlignment("center");
+  servedRange.setVerticalAlignment("middle");
+
   Logger.log("✅ Final sort and alignment complete (Column B & M left-aligned).");
 }
 
+/**
+ * Sort order of performFinalSort for rows laid out like the stats tabs
+ * (C = Last, D = First, E = Guest, F = Activity Level).
+ */
+function compareStatsRows_(a, b) {
+  const order = { "Core": 1, "Active": 2, "Inactive": 3, "Archive": 4 };
+
+  const guestA = a[4] === "Guest";
+  const guestB = b[4] === "Guest";
+  if (guestA !== guestB) return guestA ? -1 : 1;
+
+  const aLvl = order[a[5]] || 99;
+  const bLvl = order[b[5]] || 99;
+  if (aLvl !== bLvl) return aLvl - bLvl;
+
+  const lastA = (a[2] || "").toString().toLowerCase();
+  const lastB = (b[2] || "").toString().toLowerCase();
+  if (lastA < lastB) return -1;
+  if (lastA > lastB) return 1;
+
+  const firstA = (a[3] || "").toString().toLowerCase();
+  const firstB = (b[3] || "").toString().toLowerCase();
+  if (firstA < firstB) return -1;
+  if (firstA > firstB) return 1;
+
+  return 0;
+}
+
 /**
  * Main update flow.
  *
- * OUTPUT COLUMNS (13):
+ * Builds one stats tab per report year listed in Config!B4
+ * ("Attendance Stats 2025", "Attendance Stats 2026", ...) so past years stay
+ * available side by side. The latest year is also written to "Attendance Stats",
+ * which the sync/sort and Directory activity scripts read.
+ *
+ * All years are calculated from the same matchOrAssignBelCodes() raw records.
+ */
+function updateAttendanceStatsSheet() {
+  return withJobLock_('Update Attendance Stats', function () {
+    return updateAttendanceStatsSheetUnlocked_();
+  });
+}
+
+function updateAttendanceStatsSheetUnlocked_() {
+  Logger.log("🚀 Starting the process to update the 'Attendance Stats' sheet...");
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName("Attendance Stats");
+  if (!sheet) return;
+
+  const years = getReportYears_();
+  const currentYear = years[years.length - 1];
+  const periods = getStatsPeriodConfig_();
+  const collected = matchOrAssignBelCodes();
+
+  if (collected.rawData.length === 0) {
+    Logger.log("No data to update.");
+    return;
+  }
+
+  let currentStats = null;
+  years.forEach(year => {
+    const yearSheet = getOrCreateYearStatsSheet_(ss, sheet, year);
+    const stats = calculateAttendanceStats(year, collected, periods);
+    writeAttendanceStatsSheet_(yearSheet, stats, year, collected.rawData, periods);
+    if (year === currentYear) currentStats = stats; // reused for the main tab, Monthly and Perfect Attendance
+  });
+
+  writeAttendanceStatsSheet_(sheet, currentStats, currentYear, collected.rawData, periods);
+  if (isAttendanceMonthlyEnabled_()) updateAttendanceMonthlySheet_(ss, currentStats, currentYear, periods, sheet);
+  updatePerfectAttendanceSheet_(ss, collected, currentYear, periods);
+  updateVolunteersSheet_(ss, collected.rawData, currentYear);
+  updateCheckInTimeAnalytics_(ss, collected.checkIns, currentYear);
+
+  Logger.log(`✅ Finished updating Attendance Stats for ${years.join(", ")}.`);
+}
+
+/**
+ * Returns the "Attendance Stats YYYY" tab, creating it from the main
+ * "Attendance Stats" tab (headers + formatting) when it does not exist yet.
+ */
+function getOrCreateYearStatsSheet_(ss, templateSheet, year) {
+  const name = `Attendance Stats ${year}`;
+  let yearSheet = ss.getSheetByName(name);
+  if (!yearSheet) {
+    yearSheet = templateSheet.copyTo(ss).setName(name);
+    Logger.log(`Created stats tab '${name}'.`);
+  }
+  return yearSheet;
+}
+
+/**
+ * Writes calculateAttendanceStats() output into a stats tab.
+ *
+ * OUTPUT COLUMNS (25):
  * A: blank
  * B: Personal ID
  * C: Last Name
  * D: First Name
  * E: Guest
  * F: Activity Level (filled by updateActivityLevels)
- * G: Q1
- * H: Q2
- * I: Q3
- * J: Q4
+ * G: Period 1
+ * H: Period 2
+ * I: Period 3
+ * J: Period 4
  * K: Total
  * L: Last Date
  * M: Last Event
+ * N: Served Period 1
+ * O: Served Period 2
+ * P: Served Period 3
+ * Q: Served Period 4
+ * R: Served Total
+ * S: Late Period 1
+ * T: Late Period 2
+ * U: Late Period 3
+ * V: Late Period 4
+ * W: Current Streak (consecutive Sunday Service dates, see 'Attendance Streaks')
+ * X: Longest Streak
+ * Y: Sundays Missed (since the last Sunday attended; blank if never)
+ *
+ * Row 2 G:J, N:Q and S:V headers are labelled with the period and report year (e.g. "Q1 2026",
+ * "Served T2 2026-27", "Late S1 2026"). With trimesters or semesters the unused period
+ * columns are left blank.
  */
-function updateAttendanceStatsSheet() {
-  Logger.log("🚀 Starting the process to update the 'Attendance Stats' sheet...");
-
-  const data = calculateAttendanceStats();
-  if (data.length === 0) {
-    Logger.log("No data to update.");
-    return;
-  }
-
-  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Attendance Stats");
-  if (!sheet) return;
-
+function writeAttendanceStatsSheet_(sheet, data, reportYear, rawData, periods) {
+  if (!periods) periods = getStatsPeriodConfig_();
+  const periodCells = counts => counts.map((n, p) => p < periods.count ? n || 0 : "");
+  const numCols = 25; // A..Y
   const output = data.map(row => {
     const [
-      personalId, first, last, q1, q2, q3, q4, total, lastDate, lastEvent, guest
+      personalId, first, last, q1, q2, q3, q4, total, lastDate, lastEvent, guest, ,
+      served1, served2, served3, served4, servedTotal,
+      late1, late2, late3, late4
     ] = row;
+    const [currentStreak, longestStreak, sundaysMissed] = row.slice(STATS_STREAK_INDEX);
+
+    const attended = periodCells([q1, q2, q3, q4]);
+    const served = periodCells([served1, served2, served3, served4]);
+    const late = periodCells([late1, late2, late3, late4]);
 
     const formattedDate = lastDate instanceof Date
       ? Utilities.formatDate(lastDate, Session.getScriptTimeZone(), "MM/dd/yyyy")
@@ -718,27 +1081,47 @@ function updateAttendanceStatsSheet() {
       first || "",     // D
       guest || "",     // E
       "",              // F (Activity Level computed later)
-      q1 || 0,         // G
-      q2 || 0,         // H
-      q3 || 0,         // I
-      q4 || 0,         // J
+      attended[0],     // G
+      attended[1],     // H
+      attended[2],     // I
+      attended[3],     // J
       total || 0,      // K
       formattedDate,   // L
-      lastEvent || ""  // M
+      lastEvent || "", // M
+      served[0],       // N
+      served[1],       // O
+      served[2],       // P
+      served[3],       // Q
+      servedTotal || 0,// R
+      late[0],         // S
+      late[1],         // T
+      late[2],         // U
+      late[3],         // V
+      currentStreak || 0, // W
+      longestStreak || 0, // X
+      sundaysMissed    // Y
     ];
   });
 
   const maxRows = sheet.getMaxRows();
   if (sheet.getLastRow() > 2) {
-    sheet.getRange(3, 1, maxRows - 2, 13).clearContent().clearFormat();
+    sheet.getRange(3, 1, maxRows - 2, numCols).clearContent().clearFormat();
   }
 
-  sheet.getRange(3, 1, output.length, 13).setValues(output);
+  sheet.getRange(2, 7, 1, 4).setValues([reportPeriodHeaders_(reportYear, periods, "")]);
+  sheet.getRange(2, 14, 1, 5).setValues([reportPeriodHeaders_(reportYear, periods, "Served ").concat(["Served Total"])]);
+  sheet.getRange(2, 19, 1, 4).setValues([reportPeriodHeaders_(reportYear, periods, "Late ")]);
+  sheet.getRange(2, 23, 1, 3).setValues([["Current Streak", "Longest Streak", "Sundays Missed"]]);
+
+  if (output.length === 0) {
+    Logger.log(`No ${reportYearLabel_(reportYear, periods)} data for '${sheet.getName()}'.`);
+    return;
+  }
 
-  updateActivityLevels();
-  performFinalSort();
+  sheet.getRange(3, 1, output.length, numCols).setValues(output);
 
-  Logger.log("✅ Finished updating Attendance Stats.");
+  updateActivityLevels(sheet.getName(), rawData);
+  performFinalSort(sheet.getName());
 }
 
 /**
@@ -746,7 +1129,7 @@ function updateAttendanceStatsSheet() {
  */
 function runManualUpdate() {
   updateAttendanceStatsSheet();
-  SpreadsheetApp.getUi().alert('The "Attendance Stats" sheet has been successfully updated.');
+  showAlert_('The "Attendance Stats" sheet has been successfully updated.');
 }
 function ensurePersonalIdsAcrossAttendanceTabs_ForSpreadsheet_(ss) {
   // --- External Directory ---
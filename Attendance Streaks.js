@@ -0,0 +1,168 @@
+/**
+ * Sunday attendance streaks and the 'Perfect Attendance' list.
+ *
+ * Streaks run over the dates that have a 'Sunday Service' column (any slot; several
+ * slots on one day are one Sunday), so a week without a service column does not
+ * break a streak. Only attendance counts, not serving.
+ *
+ * Attendance Stats W:Y (see writeAttendanceStatsSheet_), as of the end of the report
+ * year or today, whichever is earlier:
+ *   W = Current Streak   Sundays in a row up to the latest service date
+ *   X = Longest Streak   longest run up to that date
+ *   Y = Sundays Missed   service dates since the last Sunday attended (blank if never)
+ *
+ * 'Perfect Attendance' (rebuilt with the stats for the current report year): one row per
+ * person who was at every Sunday service of a period (Config!B7/B8, see getStatsPeriodConfig_).
+ * Periods still running list who is perfect so far as "In progress".
+ */
+const PERFECT_ATTENDANCE_SHEET_NAME = 'Perfect Attendance';
+const PERFECT_ATTENDANCE_NUM_COLS = 8;
+const STATS_STREAK_INDEX = 33; // current streak in a calculateAttendanceStats() row
+
+/**
+ * Manual run: rebuilds 'Perfect Attendance' for the latest report year in Config!B4.
+ */
+function updatePerfectAttendanceSheet() {
+  return withJobLock_('Update Perfect Attendance', function () {
+    return updatePerfectAttendanceSheetUnlocked_();
+  });
+}
+
+function updatePerfectAttendanceSheetUnlocked_() {
+  const years = getReportYears_();
+  updatePerfectAttendanceSheet_(SpreadsheetApp.getActiveSpreadsheet(), matchOrAssignBelCodes(), years[years.length - 1], getStatsPeriodConfig_());
+}
+
+/**
+ * Distinct days (midnight dates, oldest first) among 'Sunday Service' row 2 header cells.
+ */
+function getSundayServiceDays_(dateCells) {
+  const days = new Map();
+  dateCells.forEach(d => {
+    if (!(d instanceof Date) || isNaN(d.getTime())) return;
+    const day = new Date(d.getFullYear(), d.getMonth(), d.getDate());
+    days.set(day.getTime(), day);
+  });
+  return Array.from(days.values()).sort((a, b) => a - b);
+}
+
+/**
+ * Sunday Service attendance by match key: the person's latest spelling and the days attended.
+ *
+ * @param {Array[]} rawData Raw records from matchOrAssignBelCodes().
+ * @returns {Map<string, {personalId: string, first: string, last: string, days: Set<number>}>}
+ */
+function getSundayAttendanceByKey_(rawData) {
+  const byKey = new Map();
+  rawData.forEach(r => {
+    if (!r || r[6] === true || !isSundayServiceEvent_(r[3])) return;
+    const date = r[5] instanceof Date ? r[5] : new Date(String(r[5]));
+    if (isNaN(date.getTime())) return;
+
+    if (!byKey.has(r[7])) byKey.set(r[7], { personalId: "", first: "", last: "", days: new Set() });
+    const entry = byKey.get(r[7]);
+    entry.days.add(new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime());
+    entry.personalId = r[0] || entry.personalId;
+    entry.first = r[1] || entry.first;
+    entry.last = r[2] || entry.last;
+  });
+  return byKey;
+}
+
+/**
+ * getSundayAttendanceByKey_() for a matchOrAssignBelCodes() result, built once and kept
+ * on it so every report year and 'Perfect Attendance' share the same map.
+ */
+function getCollectedSundayAttendance_(collected) {
+  if (!collected.sundayAttendance) collected.sundayAttendance = getSundayAttendanceByKey_(collected.rawData || []);
+  return collected.sundayAttendance;
+}
+
+/**
+ * Streaks per match key over the service dates up to asOf (capped at today).
+ *
+ * @param {Map} attendance From getCollectedSundayAttendance_().
+ * @returns {Map<string, {current: number, longest: number, missed: number|string}>}
+ */
+function calculateSundayStreaks_(attendance, sundayDates, asOf) {
+  const today = new Date();
+  const cutoff = asOf && asOf < today ? asOf : today;
+  const dates = sundayDates.filter(d => d <= cutoff).map(d => d.getTime());
+
+  const streaks = new Map();
+  attendance.forEach((entry, matchKey) => {
+    let run = 0;
+    let longest = 0;
+    let lastIndex = -1;
+    dates.forEach((d, i) => {
+      if (entry.days.has(d)) {
+        run++;
+        longest = Math.max(longest, run);
+        lastIndex = i;
+      } else {
+        run = 0;
+      }
+    });
+    streaks.set(matchKey, { current: run, longest, missed: lastIndex === -1 ? "" : dates.length - 1 - lastIndex });
+  });
+  return streaks;
+}
+
+/**
+ * [current, longest, missed] for a stats row; people without Sunday attendance get [0, 0, ""].
+ */
+function sundayStreakCells_(streak) {
+  return streak ? [streak.current, streak.longest, streak.missed] : [0, 0, ""];
+}
+
+/**
+ * Rebuilds 'Perfect Attendance' for one report year.
+ *
+ * @param {Spreadsheet} ss
+ * @param {Object} collected Result of matchOrAssignBelCodes().
+ * @param {number} reportYear
+ * @param {Object} periods From getStatsPeriodConfig_().
+ */
+function updatePerfectAttendanceSheet_(ss, collected, reportYear, periods) {
+  const today = new Date();
+  const attendance = getCollectedSundayAttendance_(collected);
+  const labels = reportPeriodHeaders_(reportYear, periods, "");
+  const monthsPerPeriod = 12 / periods.count;
+
+  const rows = [];
+  for (let p = 0; p < periods.count; p++) {
+    const from = new Date(reportYear, periods.startMonth + p * monthsPerPeriod, 1);
+    const to = new Date(reportYear, periods.startMonth + (p + 1) * monthsPerPeriod, 0);
+    const dates = (collected.sundayDates || [])
+      .filter(d => d >= from && d <= to && d <= today)
+      .map(d => d.getTime());
+    if (dates.length === 0) continue;
+
+    const status = to < today ? "Complete" : "In progress";
+    const periodRows = [];
+    attendance.forEach(entry => {
+      if (dates.every(d => entry.days.has(d))) {
+        periodRows.push([labels[p], from, to, dates.length, entry.personalId, entry.last, entry.first, status]);
+      }
+    });
+    periodRows.sort((a, b) => String(a[5]).localeCompare(String(b[5])) || String(a[6]).localeCompare(String(b[6])));
+    periodRows.forEach(r => rows.push(r));
+  }
+
+  let sheet = ss.getSheetByName(PERFECT_ATTENDANCE_SHEET_NAME);
+  if (!sheet) sheet = ss.insertSheet(PERFECT_ATTENDANCE_SHEET_NAME);
+  sheet.clearContents();
+
+  sheet.getRange(1, 1, 1, PERFECT_ATTENDANCE_NUM_COLS).setValues([[
+    'Period', 'From', 'To', 'Sundays', 'Personal ID', 'Last Name', 'First Name', 'Status'
+  ]]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, PERFECT_ATTENDANCE_NUM_COLS).setValues(rows);
+    sheet.getRange(2, 2, rows.length, 2).setNumberFormat("MM/dd/yyyy");
+    sheet.getRange(2, 4, rows.length, 1).setHorizontalAlignment("center");
+  }
+
+  Logger.log(`✅ Perfect Attendance updated for ${reportYearLabel_(reportYear, periods)}: ${rows.length} row(s).`);
+}
@@ -0,0 +1,111 @@
+/**
+ * Printable QR-code badges keyed by Personal ID.
+ *
+ * Badges.html (web app URL + "?page=badges", or openBadgePrinter() from the sheet)
+ * renders one card per person on a chosen tab. The QR code holds only the
+ * Personal ID, so scanning it in the kiosk's scan mode (see 'Kiosk') logs
+ * attendance without anyone typing a name. The badge page lists names, so only
+ * authorized users (see 'Access') get data from it.
+ *
+ * Filters:
+ * - Lineage: Column F of 'Sunday Service' / 'Event Attendance' (filled by processMemberStatus)
+ * - Activity Level: Column F of 'Attendance Stats' (Core / Active / Inactive / Archive)
+ */
+
+/**
+ * Tabs badges can be printed from: data start row and the lineage column (0 = none).
+ */
+const BADGE_SOURCE_TABS = {
+  'Sunday Service': { startRow: 4, lineageCol: 6 },
+  'Event Attendance': { startRow: 5, lineageCol: 6 },
+  'Pastoral Check-In': { startRow: 4, lineageCol: 0 },
+  'Attendance Stats': { startRow: 3, lineageCol: 0 }
+};
+
+/**
+ * Menu entry: opens a small dialog with a link to the badge printer page.
+ */
+function openBadgePrinter() {
+  assertAuthorizedUser_();
+  const url = ScriptApp.getService().getUrl();
+  if (!url) {
+    showAlert_('Deploy the project as a web app first (Deploy > New deployment > Web app).');
+    return;
+  }
+  const html = HtmlService.createHtmlOutput(
+    '<p style="font-family:Arial">Open the <a href="' + url + '?page=badges" target="_blank">badge printer</a> in a new tab, ' +
+    'choose the tab and filters, then print.</p>'
+  ).setWidth(360).setHeight(120);
+  SpreadsheetApp.getUi().showModalDialog(html, 'Print badges');
+}
+
+/**
+ * Filter choices for the badge page.
+ *
+ * @param {string} tabName One of BADGE_SOURCE_TABS.
+ * @return {{tabs: string[], lineages: string[], levels: string[]}}
+ */
+function badgeGetFilterOptions(tabName) {
+  assertAuthorizedUser_();
+  const people = loadBadgePeople_(tabName);
+  const distinct = function (field) {
+    return Array.from(new Set(people.map(function (p) { return p[field]; }).filter(String))).sort();
+  };
+  return { tabs: Object.keys(BADGE_SOURCE_TABS), lineages: distinct('lineage'), levels: distinct('level') };
+}
+
+/**
+ * People to print badges for.
+ *
+ * @param {string} tabName One of BADGE_SOURCE_TABS.
+ * @param {string} lineage '' for all.
+ * @param {string} level '' for all.
+ * @return {Object[]} [{personalId, lastName, firstName, lineage, level}] sorted by name.
+ */
+function badgeGetPeople(tabName, lineage, level) {
+  assertAuthorizedUser_();
+  return loadBadgePeople_(tabName).filter(function (p) {
+    return (!lineage || p.lineage === lineage) && (!level || p.level === level);
+  });
+}
+
+function loadBadgePeople_(tabName) {
+  const cfg = BADGE_SOURCE_TABS[tabName];
+  if (!cfg) throw new Error('Badges cannot be printed from "' + tabName + '".');
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(tabName);
+  if (!sheet || sheet.getLastRow() < cfg.startRow) return [];
+
+  // Activity level by Personal ID from 'Attendance Stats' (B = ID, F = level)
+  const levels = new Map();
+  const statsSheet = ss.getSheetByName('Attendance Stats');
+  if (statsSheet && statsSheet.getLastRow() >= 3) {
+    statsSheet.getRange(3, 2, statsSheet.getLastRow() - 2, 5).getValues().forEach(function (r) {
+      const pidNorm = normalizePersonalId(r[0]);
+      if (pidNorm && r[4]) levels.set(pidNorm, String(r[4]).trim());
+    });
+  }
+
+  const width = cfg.lineageCol ? cfg.lineageCol - 1 : 3; // B..lineage column, or B:D
+  const rows = sheet.getRange(cfg.startRow, 2, sheet.getLastRow() - cfg.startRow + 1, width).getValues();
+
+  const seen = new Set();
+  const people = [];
+  rows.forEach(function (r) {
+    const pidNorm = normalizePersonalId(r[0]);
+    if (!pidNorm || seen.has(pidNorm)) return; // badges need a Personal ID
+    seen.add(pidNorm);
+    people.push({
+      personalId: String(r[0]).trim(),
+      lastName: String(r[1] || '').trim(),
+      firstName: String(r[2] || '').trim(),
+      lineage: cfg.lineageCol ? String(r[cfg.lineageCol - 2] || '').trim() : '',
+      level: levels.get(pidNorm) || ''
+    });
+  });
+
+  return people.sort(function (a, b) {
+    return a.lastName.localeCompare(b.lastName) || a.firstName.localeCompare(b.firstName);
+  });
+}
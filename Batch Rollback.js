@@ -0,0 +1,431 @@
+/**
+ * Batch journal + rollback for processAttendanceLogV2.
+ *
+ * Each processing run gets a batch ID. The run stamps it on the Attendance Log
+ * rows it marks "Logged" (Column M) and records what it changed in the
+ * 'Batch Journal' tab:
+ *   A = Batch ID
+ *   B = Timestamp
+ *   C = User
+ *   D = Log Row
+ *   E = Action (CHECK, ADD_ROW, PASTORAL, ADD_EVENT_COLUMN, ADD_DATE_COLUMN)
+ *   F = Sheet
+ *   G = Person Key (buildAttendanceKey_)
+ *   H = Column Key (Sunday "M-D" or "M-D|slot", Event "M-D-YYYY_event name")
+ *   I = Before
+ *   J = After
+ *   K = Rolled Back (timestamp, blank while the batch is active)
+ *
+ * Rows and columns are resolved again by key at rollback time, so sorting the
+ * attendance tabs between the run and the rollback does not break it.
+ */
+const BATCH_JOURNAL_SHEET_NAME = 'Batch Journal';
+const BATCH_JOURNAL_NUM_COLS = 11;
+
+/**
+ * Destination tab layouts used when resolving journal entries.
+ */
+const ROLLBACK_SHEETS_CONFIG = {
+  'Sunday Service': { dataStartRow: 4, dataStartCol: 9, keyRows: [2], slotRow: 1, useFullDate: false, isEventSheet: false, isGrid: true },
+  'Event Attendance': { dataStartRow: 5, dataStartCol: 9, keyRows: [2, 3], useFullDate: true, isEventSheet: true, isGrid: true },
+  'Pastoral Check-In': { dataStartRow: 4, isGrid: false }
+};
+
+/**
+ * ROLLBACK_SHEETS_CONFIG entry for a tab; "Event Attendance Archive YYYY" tabs share the
+ * 'Event Attendance' layout.
+ */
+function getRollbackSheetConfig_(sheetName) {
+  if (Object.prototype.hasOwnProperty.call(ROLLBACK_SHEETS_CONFIG, sheetName)) return ROLLBACK_SHEETS_CONFIG[sheetName];
+  return isEventArchiveSheetName_(sheetName) ? ROLLBACK_SHEETS_CONFIG['Event Attendance'] : null;
+}
+
+/**
+ * Creates a new batch ID, e.g. "AL-20260104-093015-3f9a1c". The random suffix keeps two
+ * runs started in the same second (a trigger and a manual run, or a resume) apart.
+ */
+function newProcessingBatchId_() {
+  const tz = SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone() || 'GMT';
+  return 'AL-' + Utilities.formatDate(new Date(), tz, 'yyyyMMdd-HHmmss') + '-' + Utilities.getUuid().slice(0, 6);
+}
+
+/**
+ * Best-effort label for whoever is running the script.
+ */
+function getCurrentUserLabel_() {
+  try {
+    return Session.getActiveUser().getEmail() || Session.getEffectiveUser().getEmail() || 'unknown';
+  } catch (e) {
+    return 'unknown';
+  }
+}
+
+/**
+ * Returns the 'Batch Journal' tab, creating it (with headers) if needed.
+ */
+function getOrCreateBatchJournalSheet_(ss) {
+  let sheet = ss.getSheetByName(BATCH_JOURNAL_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(BATCH_JOURNAL_SHEET_NAME);
+    sheet.getRange(1, 1, 1, BATCH_JOURNAL_NUM_COLS).setValues([[
+      'Batch ID', 'Timestamp', 'User', 'Log Row', 'Action', 'Sheet',
+      'Person Key', 'Column Key', 'Before', 'After', 'Rolled Back'
+    ]]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * Appends journal entries for one batch in a single write.
+ *
+ * @param {Spreadsheet} ss
+ * @param {string} batchId
+ * @param {Array[]} entries [logRow, action, sheetName, personKey, columnKey, before, after]
+ */
+function appendBatchJournal_(ss, batchId, entries) {
+  const sheet = getOrCreateBatchJournalSheet_(ss);
+  const now = new Date();
+  const user = getCurrentUserLabel_();
+
+  const rows = entries.map(function (e) {
+    return [batchId, now, user, e[0], e[1], e[2], e[3], e[4], e[5], e[6], ''];
+  });
+
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, BATCH_JOURNAL_NUM_COLS).setValues(rows);
+}
+
+/**
+ * Returns the most recent batch ID that has not been rolled back (or '').
+ */
+function getLatestActiveBatchId_() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(BATCH_JOURNAL_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return '';
+
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, BATCH_JOURNAL_NUM_COLS).getValues();
+  for (let i = values.length - 1; i >= 0; i--) {
+    if (values[i][0] && !values[i][10]) return String(values[i][0]).trim();
+  }
+  return '';
+}
+
+/**
+ * Menu entry: asks for a batch ID (defaults to the latest active batch) and rolls it back.
+ */
+function rollbackAttendanceLogBatchPrompt() {
+  assertAuthorizedUser_();
+  const ui = SpreadsheetApp.getUi();
+  const latest = getLatestActiveBatchId_();
+
+  const response = ui.prompt(
+    'Rollback Attendance Log batch',
+    'Batch ID to roll back' + (latest ? ' (leave blank for the latest: ' + latest + ')' : '') + ':',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  const batchId = response.getResponseText().trim() || latest;
+  if (!batchId) {
+    ui.alert('No batch ID given and no active batch found.');
+    return;
+  }
+
+  ui.alert(rollbackAttendanceLogBatch(batchId));
+}
+
+/**
+ * Reverts exactly one processAttendanceLogV2 batch:
+ * - unchecks the checkboxes it set
+ * - restores the Pastoral Check-In summary (E:J) and removes its Pastoral History rows
+ * - deletes the rows it added
+ * - restores event column headers it claimed (if no other attendance remains there)
+ * - deletes Sunday Service date columns it created (if no other attendance remains there)
+ * - sets the rows it logged back to Pending (Status/Remarks/Batch ID/Reason Code)
+ *
+ * @param {string} batchId
+ * @return {string} Summary message.
+ */
+function rollbackAttendanceLogBatch(batchId) {
+  return withJobLock_('Rollback Attendance Log Batch', function () {
+    return rollbackAttendanceLogBatchUnlocked_(batchId);
+  });
+}
+
+function rollbackAttendanceLogBatchUnlocked_(batchId) {
+  batchId = String(batchId || '').trim();
+  if (!batchId) throw new Error('Batch ID is required.');
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const journalSheet = ss.getSheetByName(BATCH_JOURNAL_SHEET_NAME);
+  const journalValues = (journalSheet && journalSheet.getLastRow() >= 2)
+    ? journalSheet.getRange(2, 1, journalSheet.getLastRow() - 1, BATCH_JOURNAL_NUM_COLS).getValues()
+    : [];
+
+  const entries = [];
+  journalValues.forEach(function (r, i) {
+    if (String(r[0]).trim() !== batchId || r[10]) return;
+    entries.push({
+      index: i,
+      logRow: r[3],
+      action: String(r[4]),
+      sheetName: String(r[5]),
+      personKey: String(r[6]),
+      columnKey: String(r[7]),
+      before: r[8],
+      after: r[9]
+    });
+  });
+
+  // --- Per-sheet state, loaded lazily ---
+  const targets = {};
+  const getTarget = function (sheetName) {
+    if (Object.prototype.hasOwnProperty.call(targets, sheetName)) return targets[sheetName];
+
+    const cfg = getRollbackSheetConfig_(sheetName);
+    const sheet = cfg ? ss.getSheetByName(sheetName) : null;
+    if (!sheet) {
+      Logger.log('Rollback: sheet "' + sheetName + '" not found. Skipping its entries.');
+      targets[sheetName] = null;
+      return null;
+    }
+
+    targets[sheetName] = {
+      sheet: sheet,
+      cfg: cfg,
+      data: cfg.isGrid
+        ? prepareSheetDataWithPersonalId_(sheet, cfg.dataStartRow, cfg.dataStartCol, cfg.keyRows, cfg.useFullDate, cfg.isEventSheet, cfg.slotRow)
+        : null,
+      rowKeys: readAttendanceKeysByRow_(sheet, cfg.dataStartRow),
+      gridChanged: false,
+      rowsToDelete: new Set(),
+      columnsToRestore: [],
+      columnsToDelete: []
+    };
+    return targets[sheetName];
+  };
+
+  let reverted = 0;
+  let skipped = 0;
+
+  // Undo in reverse order of the original run
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const entry = entries[i];
+    const target = getTarget(entry.sheetName);
+    if (!target) { skipped++; continue; }
+
+    const hintRow = entry.action === 'ADD_ROW' ? Number(entry.after) : null;
+    const rowNum = (entry.action === 'ADD_EVENT_COLUMN' || entry.action === 'ADD_DATE_COLUMN')
+      ? null
+      : findRowByAttendanceKey_(target.rowKeys, target.cfg.dataStartRow, entry.personKey, hintRow);
+
+    if (entry.action === 'CHECK') {
+      const colNum = target.data ? target.data.dateMap.get(entry.columnKey) : null;
+      const gridRow = rowNum ? target.data.checkboxes[rowNum - target.cfg.dataStartRow] : null;
+      if (!gridRow || !colNum) {
+        Logger.log('Rollback: could not locate ' + entry.personKey + ' / ' + entry.columnKey + ' in ' + entry.sheetName + '.');
+        skipped++;
+        continue;
+      }
+      gridRow[colNum - target.cfg.dataStartCol] = false;
+      target.gridChanged = true;
+      reverted++;
+
+    } else if (entry.action === 'PASTORAL') {
+      if (!rowNum) { skipped++; continue; }
+      const before = parseJournalJson_(entry.before);
+      const after = parseJournalJson_(entry.after);
+      if (!Array.isArray(before) || !Array.isArray(after)) { skipped++; continue; }
+      // Only cells still holding what this batch wrote; later batches' updates stay
+      const range = target.sheet.getRange(rowNum, 5, 1, before.length); // E:H (older batches) or E:J
+      const current = range.getValues()[0];
+      let kept = 0;
+      const restored = current.map(function (value, c) {
+        if (isSameJournalValue_(value, after[c])) return before[c];
+        kept++;
+        return value;
+      });
+      range.setValues([restored]);
+      if (kept > 0) {
+        Logger.log('Rollback: ' + kept + ' Pastoral Check-In cell(s) of ' + entry.personKey + ' changed after this batch. Kept.');
+      }
+      reverted++;
+
+    } else if (entry.action === 'ADD_ROW') {
+      if (!rowNum) { skipped++; continue; }
+      target.rowsToDelete.add(rowNum);
+      reverted++;
+
+    } else if (entry.action === 'ADD_EVENT_COLUMN') {
+      const colNum = target.data ? target.data.dateMap.get(entry.columnKey) : null;
+      if (!colNum) { skipped++; continue; }
+      target.columnsToRestore.push({ colNum: colNum, before: parseJournalJson_(entry.before) || {} });
+      reverted++;
+
+    } else if (entry.action === 'ADD_DATE_COLUMN') {
+      const colNum = target.data ? target.data.dateMap.get(entry.columnKey) : null;
+      if (!colNum) { skipped++; continue; }
+      target.columnsToDelete.push(colNum);
+      reverted++;
+    }
+  }
+
+  // --- Commit grid changes, then structural changes ---
+  Object.keys(targets).forEach(function (sheetName) {
+    const target = targets[sheetName];
+    if (!target) return;
+    const cfg = target.cfg;
+
+    if (target.gridChanged && target.data.checkboxes.length > 0 && target.data.checkboxes[0].length > 0) {
+      target.sheet.getRange(
+        cfg.dataStartRow,
+        cfg.dataStartCol,
+        target.data.checkboxes.length,
+        target.data.checkboxes[0].length
+      ).setValues(target.data.checkboxes);
+    }
+
+    Array.from(target.rowsToDelete).sort(function (a, b) { return b - a; }).forEach(function (rowNum) {
+      target.sheet.deleteRow(rowNum);
+    });
+
+    const columnStillUsed = function (colNum) {
+      const lastRow = target.sheet.getLastRow();
+      return lastRow >= cfg.dataStartRow && target.sheet
+        .getRange(cfg.dataStartRow, colNum, lastRow - cfg.dataStartRow + 1, 1)
+        .getValues()
+        .some(function (r) { return r[0] === true; });
+    };
+
+    target.columnsToRestore.forEach(function (c) {
+      if (columnStillUsed(c.colNum)) {
+        Logger.log('Rollback: event column ' + c.colNum + ' still has attendance from other batches. Header kept.');
+        return;
+      }
+      if (!c.before.name) {
+        // Appended by the run: clear the header, the COUNTIF and the checkboxes
+        target.sheet.getRange(cfg.keyRows[0], c.colNum, target.sheet.getMaxRows() - cfg.keyRows[0] + 1, 1)
+          .clearContent()
+          .clearDataValidations();
+        return;
+      }
+      // A 'Post event name here' placeholder: back to its blank date and placeholder name
+      target.sheet.getRange(cfg.keyRows[0], c.colNum).setValue(c.before.date || '');
+      target.sheet.getRange(cfg.keyRows[1], c.colNum).setValue(c.before.name);
+    });
+
+    target.columnsToDelete.sort(function (a, b) { return b - a; }).forEach(function (colNum) {
+      if (columnStillUsed(colNum)) {
+        Logger.log('Rollback: date column ' + colNum + ' still has attendance from other batches. Column kept.');
+        return;
+      }
+      target.sheet.deleteColumn(colNum);
+    });
+  });
+
+  // --- Reset the Attendance Log rows stamped with this batch ---
+  let logRowsReset = 0;
+  const logSheet = ss.getSheetByName('Attendance Log');
+  if (logSheet && logSheet.getLastRow() >= 2) {
+    const numRows = logSheet.getLastRow() - 1;
+    const statusRange = logSheet.getRange(2, 9, numRows, 2);  // I:J
+    const batchRange = logSheet.getRange(2, 13, numRows, 1);  // M
+    const reasonRange = logSheet.getRange(2, LOG_REASON_COLUMN, numRows, 1); // P
+    const statusValues = statusRange.getValues();
+    const batchValues = batchRange.getValues();
+    const reasonValues = reasonRange.getValues();
+
+    for (let r = 0; r < numRows; r++) {
+      if (String(batchValues[r][0]).trim() !== batchId) continue;
+      statusValues[r][0] = LOG_STATUS.PENDING;
+      statusValues[r][1] = 'Rolled back (' + batchId + ').';
+      batchValues[r][0] = '';
+      reasonValues[r][0] = LOG_REASON.ROLLED_BACK;
+      logRowsReset++;
+    }
+
+    if (logRowsReset > 0) {
+      statusRange.setValues(statusValues);
+      batchRange.setValues(batchValues);
+      reasonRange.setValues(reasonValues);
+    }
+  }
+
+  const historyRowsRemoved = removePastoralHistoryBatch_(ss, batchId);
+  removeLogTargetsForBatch_(ss, batchId);
+
+  if (entries.length === 0 && logRowsReset === 0 && historyRowsRemoved === 0) {
+    return 'Nothing to roll back for batch ' + batchId + ' (unknown or already rolled back).';
+  }
+
+  // --- Mark journal entries as rolled back ---
+  if (entries.length > 0) {
+    const rolledBackCol = journalSheet.getRange(2, 11, journalValues.length, 1);
+    const rolledBackValues = rolledBackCol.getValues();
+    const now = new Date();
+    entries.forEach(function (e) { rolledBackValues[e.index][0] = now; });
+    rolledBackCol.setValues(rolledBackValues);
+  }
+
+  const summary = 'Batch ' + batchId + ' rolled back: ' + reverted + ' change(s) reverted, ' +
+    skipped + ' could not be located, ' + logRowsReset + ' log row(s) reset, ' +
+    historyRowsRemoved + ' pastoral history row(s) removed.';
+  Logger.log(summary);
+  return summary;
+}
+
+/**
+ * Reads B:D from dataStartRow down and returns buildAttendanceKey_ per row
+ * (index 0 = dataStartRow). Includes rows WITHOUT Personal ID so rows added
+ * for people without an ID can still be found.
+ */
+function readAttendanceKeysByRow_(sheet, dataStartRow) {
+  const lastRow = sheet.getLastRow();
+  if (lastRow < dataStartRow) return [];
+
+  return sheet.getRange(dataStartRow, 2, lastRow - dataStartRow + 1, 3).getValues().map(function (r) {
+    const pid = (r[0] || '').toString().trim();
+    const ln = (r[1] || '').toString().trim();
+    const fn = (r[2] || '').toString().trim();
+    return (pid || ln || fn) ? buildAttendanceKey_(pid, ln, fn) : '';
+  });
+}
+
+/**
+ * Finds the row for a person key. Uses hintRow first when it still holds that key.
+ */
+function findRowByAttendanceKey_(rowKeys, dataStartRow, personKey, hintRow) {
+  if (hintRow && rowKeys[hintRow - dataStartRow] === personKey) return hintRow;
+
+  const idx = rowKeys.indexOf(personKey);
+  return idx >= 0 ? idx + dataStartRow : null;
+}
+
+/**
+ * True when a sheet cell still holds a value parsed from the journal (dates by time).
+ */
+function isSameJournalValue_(cellValue, journalValue) {
+  if (cellValue instanceof Date || journalValue instanceof Date) {
+    return cellValue instanceof Date && journalValue instanceof Date && cellValue.getTime() === journalValue.getTime();
+  }
+  const blank = function (v) { return v === '' || v === null || v === undefined; };
+  if (blank(cellValue) || blank(journalValue)) return blank(cellValue) && blank(journalValue);
+  return String(cellValue) === String(journalValue);
+}
+
+/**
+ * Parses a JSON journal cell, turning ISO date strings back into Dates.
+ */
+function parseJournalJson_(text) {
+  if (!text) return null;
+  try {
+    return JSON.parse(String(text), function (key, value) {
+      if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}/.test(value)) {
+        return new Date(value);
+      }
+      return value;
+    });
+  } catch (e) {
+    Logger.log('Rollback: could not parse journal value: ' + text);
+    return null;
+  }
+}
@@ -0,0 +1,323 @@
+/**
+ * CSV bulk import into the Attendance Log.
+ *
+ * openCsvImportDialog() shows CsvImport.html:
+ * 1) paste CSV text, or give a Drive file URL/ID
+ * 2) map the CSV columns to Attendance Log fields (guessed from the headers)
+ * 3) import: good rows are appended to 'Attendance Log' as Pending (Column I),
+ *    so processAttendanceLogV2 routes and dedupes them as usual; bad rows go to
+ *    the 'Import Quarantine' tab with the reasons.
+ *
+ * Validation per row:
+ * - Personal ID or at least one name part
+ * - Personal ID, when given, is already known (Directory or an attendance tab)
+ * - event name present, not an inactive catalog event, and already known (catalog or
+ *   'Event Attendance') unless "allow new event names" is ticked
+ * - date readable and not in the future
+ * - not a repeat of another CSV row or an existing log row (same person, event, date, slot)
+ */
+const IMPORT_QUARANTINE_SHEET_NAME = 'Import Quarantine';
+
+/**
+ * Attendance Log fields a CSV column can be mapped to (column number on the log).
+ * FULL_NAME is split into Last/First ("Last, First" or "First Last").
+ */
+const CSV_IMPORT_FIELDS = [
+  { key: 'personalId', label: 'Personal ID (B)', col: 2, pattern: /personal\s*id|^pid$|^id$|member\s*id/i },
+  { key: 'lastName', label: 'Last Name (C)', col: 3, pattern: /last|surname|family/i },
+  { key: 'firstName', label: 'First Name (D)', col: 4, pattern: /first|given/i },
+  { key: 'fullName', label: 'Full Name (split into C/D)', col: 0, pattern: /^(full\s*)?name$/i },
+  { key: 'type', label: 'Type (E)', col: 5, pattern: /^type$|member\s*type/i },
+  { key: 'eventName', label: 'Event (F)', col: 6, pattern: /^event|^service$|group|meeting/i },
+  { key: 'eventDate', label: 'Date (G)', col: 7, pattern: /date/i },
+  { key: 'timestamp', label: 'Timestamp (H)', col: 8, pattern: /time\s*stamp|check.?in\s*time|^time$/i },
+  { key: 'notes', label: 'Notes (K)', col: 11, pattern: /note/i },
+  { key: 'extra', label: 'Extra (L)', col: 12, pattern: /extra/i },
+  { key: 'serviceSlot', label: 'Service Slot (N)', col: 14, pattern: /slot/i },
+  { key: 'role', label: 'Serving Role (O)', col: 15, pattern: /role|served\s*as/i }
+];
+
+/**
+ * Menu entry: opens the import dialog.
+ */
+function openCsvImportDialog() {
+  assertAuthorizedUser_();
+  const html = HtmlService.createHtmlOutputFromFile('CsvImport').setWidth(760).setHeight(620);
+  SpreadsheetApp.getUi().showModalDialog(html, 'Import attendance CSV');
+}
+
+/**
+ * Parses the CSV and suggests a mapping.
+ *
+ * @param {{text: string, fileRef: string}} source
+ * @return {{headers: string[], sample: string[][], rowCount: number, fields: Object[], mapping: Object}}
+ */
+function csvImportPreview(source) {
+  assertAuthorizedUser_();
+  const rows = readCsvImportSource_(source);
+  const headers = rows[0].map(function (h) { return String(h).trim(); });
+
+  // Guess: first header matching each field's pattern (each header used once)
+  const mapping = {};
+  const used = new Set();
+  CSV_IMPORT_FIELDS.forEach(function (field) {
+    const idx = headers.findIndex(function (h, i) { return !used.has(i) && field.pattern.test(h); });
+    if (idx !== -1) {
+      mapping[field.key] = idx;
+      used.add(idx);
+    }
+  });
+
+  return {
+    headers: headers,
+    sample: rows.slice(1, 6),
+    rowCount: rows.length - 1,
+    fields: CSV_IMPORT_FIELDS.map(function (f) { return { key: f.key, label: f.label }; }),
+    mapping: mapping
+  };
+}
+
+/**
+ * Validates and imports the CSV.
+ *
+ * @param {{text: string, fileRef: string}} source
+ * @param {Object} mapping field key -> CSV column index (missing/'' = not mapped)
+ * @param {{eventName: string, eventDate: string, allowNewEvents: boolean}} defaults
+ *   Used when the event/date column is not mapped or empty.
+ * @return {string} Summary message.
+ */
+function csvImportRun(source, mapping, defaults) {
+  return withJobLock_('Import Attendance CSV', function () {
+    return csvImportRunUnlocked_(source, mapping, defaults || {});
+  });
+}
+
+function csvImportRunUnlocked_(source, mapping, defaults) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const logSheet = ss.getSheetByName('Attendance Log');
+  if (!logSheet) throw new Error('Attendance Log tab not found.');
+
+  const rows = readCsvImportSource_(source);
+  const sourceLabel = source.fileRef ? 'Drive ' + String(source.fileRef).trim() : 'Pasted CSV';
+  const tz = ss.getSpreadsheetTimeZone();
+  const now = new Date();
+  const knownEvents = getKnownEventNames_(ss);
+  const knownIds = loadKioskPeople_().allIds;
+  const defaultDate = defaults.eventDate ? parseImportDate_(defaults.eventDate) : null;
+  if (defaults.eventDate && !defaultDate) throw new Error('Default date "' + defaults.eventDate + '" is not a date.');
+
+  // Existing log rows: person|event|date|slot -> row number
+  const seen = new Map();
+  if (logSheet.getLastRow() >= 2) {
+    logSheet.getRange(2, 2, logSheet.getLastRow() - 1, 13).getValues().forEach(function (r, i) {
+      if (!(r[5] instanceof Date)) return;
+      seen.set(importDedupeKey_(r[0], r[1], r[2], r[4], r[5], r[12], tz), 'log row ' + (i + 2));
+    });
+  }
+
+  const cell = function (row, key) {
+    const idx = mapping[key];
+    return idx === undefined || idx === null || idx === '' ? '' : row[Number(idx)];
+  };
+
+  const good = [];
+  const quarantined = [];
+
+  rows.slice(1).forEach(function (row, i) {
+    const csvRow = i + 2; // 1-based, after the header
+    if (row.every(function (v) { return String(v).trim() === ''; })) return;
+
+    const rec = {
+      personalId: String(cell(row, 'personalId')).trim().toUpperCase(),
+      lastName: String(cell(row, 'lastName')).trim(),
+      firstName: String(cell(row, 'firstName')).trim(),
+      type: String(cell(row, 'type')).trim(),
+      eventName: String(cell(row, 'eventName')).trim() || String(defaults.eventName || '').trim(),
+      eventDateRaw: String(cell(row, 'eventDate')).trim(),
+      timestamp: parseImportDate_(cell(row, 'timestamp')),
+      notes: String(cell(row, 'notes')).trim(),
+      extra: String(cell(row, 'extra')).trim(),
+      serviceSlot: normalizeServiceSlot_(cell(row, 'serviceSlot')),
+      role: String(cell(row, 'role')).trim()
+    };
+
+    const fullName = String(cell(row, 'fullName')).trim();
+    if (fullName && !rec.lastName && !rec.firstName) {
+      const split = splitImportFullName_(fullName);
+      rec.lastName = split.lastName;
+      rec.firstName = split.firstName;
+    }
+
+    rec.eventDate = rec.eventDateRaw ? parseImportDate_(rec.eventDateRaw) : defaultDate;
+
+    const reasons = [];
+    if (!rec.personalId && !rec.lastName && !rec.firstName) reasons.push('No Personal ID or name');
+    if (rec.personalId && !knownIds.has(normalizePersonalId(rec.personalId))) {
+      reasons.push('Unknown Personal ID "' + rec.personalId + '"');
+    }
+    if (!rec.eventName) {
+      reasons.push('No event name');
+    } else if (!isEventActive_(rec.eventName)) {
+      reasons.push('Inactive event "' + rec.eventName + '"');
+    } else if (!defaults.allowNewEvents && !knownEvents.has(canonicalEventName_(rec.eventName).toLowerCase())) {
+      reasons.push('Unknown event "' + rec.eventName + '"');
+    }
+    if (!rec.eventDate) {
+      reasons.push(rec.eventDateRaw ? 'Unreadable date "' + rec.eventDateRaw + '"' : 'No date');
+    } else if (rec.eventDate.getTime() > now.getTime() + 24 * 60 * 60 * 1000) {
+      reasons.push('Date is in the future');
+    }
+
+    if (reasons.length === 0) {
+      const key = importDedupeKey_(rec.personalId, rec.lastName, rec.firstName, rec.eventName, rec.eventDate, rec.serviceSlot, tz);
+      if (seen.has(key)) {
+        reasons.push('Duplicate of ' + seen.get(key));
+      } else {
+        seen.set(key, 'CSV row ' + csvRow);
+      }
+    }
+
+    if (reasons.length > 0) {
+      quarantined.push([now, sourceLabel, csvRow, reasons.join('; '),
+        rec.personalId, rec.lastName, rec.firstName, rec.eventName, rec.eventDateRaw, JSON.stringify(row)]);
+      return;
+    }
+
+    good.push([
+      Utilities.getUuid().slice(0, 8),       // A: row ID
+      rec.personalId,                        // B
+      rec.lastName ? capitalizeName(rec.lastName) : '',   // C
+      rec.firstName ? capitalizeName(rec.firstName) : '', // D
+      rec.type,                              // E
+      rec.eventName,                         // F
+      rec.eventDate,                         // G
+      rec.timestamp || '',                   // H
+      LOG_STATUS.PENDING,                    // I: status
+      'Imported from ' + sourceLabel + ' (CSV row ' + csvRow + ').', // J
+      rec.notes,                             // K
+      rec.extra,                             // L
+      '',                                    // M: batch ID (set when processed)
+      rec.serviceSlot,                       // N
+      rec.role                               // O
+    ]);
+  });
+
+  if (good.length > 0) {
+    logSheet.getRange(logSheet.getLastRow() + 1, 1, good.length, good[0].length).setValues(good);
+  }
+  if (quarantined.length > 0) {
+    const qSheet = getOrCreateImportQuarantineSheet_(ss);
+    qSheet.getRange(qSheet.getLastRow() + 1, 1, quarantined.length, quarantined[0].length).setValues(quarantined);
+  }
+
+  const message = 'Imported ' + good.length + ' row(s) into Attendance Log (unprocessed). ' +
+    quarantined.length + ' row(s) sent to ' + IMPORT_QUARANTINE_SHEET_NAME + '.';
+  Logger.log(message);
+  return message;
+}
+
+/**
+ * Reads CSV rows from pasted text or a Drive file (URL or ID).
+ * The delimiter (comma, semicolon or tab) is taken from the header line.
+ */
+function readCsvImportSource_(source) {
+  let text = source && source.text ? String(source.text) : '';
+  if (!text && source && source.fileRef) {
+    text = DriveApp.getFileById(extractSpreadsheetIdFromString_(String(source.fileRef).trim())).getBlob().getDataAsString();
+  }
+  text = text.replace(/^\uFEFF/, ''); // BOM from Excel exports
+  if (!text.trim()) throw new Error('Paste CSV text or give a Drive file.');
+
+  const headerLine = text.split(/\r?\n/)[0];
+  const delimiter = [',', ';', '\t'].reduce(function (best, d) {
+    return headerLine.split(d).length > headerLine.split(best).length ? d : best;
+  }, ',');
+
+  const rows = Utilities.parseCsv(text, delimiter);
+  if (rows.length < 2) throw new Error('The CSV needs a header row and at least one data row.');
+  return rows;
+}
+
+/**
+ * Reads "2026-01-04", "1/4/2026", "01/04/2026 09:15" or a Date. Returns null when unreadable.
+ */
+function parseImportDate_(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  let m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2}))?/);
+  if (m) return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4] || 0), Number(m[5] || 0));
+
+  m = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})(?:\s+(\d{1,2}):(\d{2})\s*(am|pm)?)?/i);
+  if (m) {
+    let year = Number(m[3]);
+    if (year < 100) year += 2000;
+    let hours = Number(m[4] || 0);
+    if (m[6] && /pm/i.test(m[6]) && hours < 12) hours += 12;
+    if (m[6] && /am/i.test(m[6]) && hours === 12) hours = 0;
+    const d = new Date(year, Number(m[1]) - 1, Number(m[2]), hours, Number(m[5] || 0));
+    return d.getMonth() === Number(m[1]) - 1 ? d : null; // rejects 13/40/2026
+  }
+
+  const d = new Date(text);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * "Dela Cruz, Maria" -> Last "Dela Cruz", First "Maria".
+ * Without a comma the last word is the last name: "Maria Santos" -> Last "Santos", First "Maria".
+ */
+function splitImportFullName_(fullName) {
+  if (fullName.indexOf(',') !== -1) {
+    const parts = fullName.split(',');
+    return { lastName: parts[0].trim(), firstName: parts.slice(1).join(',').trim() };
+  }
+  const words = fullName.split(/\s+/);
+  return { lastName: words.length > 1 ? words.pop() : words[0], firstName: words.length > 0 ? words.join(' ') : '' };
+}
+
+/**
+ * Same person, canonical event name, day and slot (aliases count as their catalog event).
+ */
+function importDedupeKey_(personalId, lastName, firstName, eventName, eventDate, slot, tz) {
+  const person = normalizePersonalId(personalId) || (normalizeKeyPart_(lastName) + '|' + normalizeKeyPart_(firstName));
+  return [
+    person,
+    canonicalEventName_(eventName).toLowerCase(),
+    Utilities.formatDate(eventDate, tz, 'yyyy-MM-dd'),
+    normalizeServiceSlot_(slot)
+  ].join('|');
+}
+
+/**
+ * Canonical event names already in use (lowercase): the 'Events' catalog and every
+ * named column on 'Event Attendance' (row 3).
+ */
+function getKnownEventNames_(ss) {
+  const names = new Set(getEventCatalog_().map(function (e) { return e.name.toLowerCase(); }));
+  const eventSheet = ss.getSheetByName('Event Attendance');
+  if (eventSheet && eventSheet.getLastColumn() >= 9) {
+    eventSheet.getRange(3, 9, 1, eventSheet.getLastColumn() - 8).getValues()[0].forEach(function (n) {
+      const name = String(n || '').trim();
+      if (name && name !== 'Post event name here') names.add(canonicalEventName_(name).toLowerCase());
+    });
+  }
+  return names;
+}
+
+/**
+ * Returns the 'Import Quarantine' tab, creating it (with headers) if needed.
+ */
+function getOrCreateImportQuarantineSheet_(ss) {
+  let sheet = ss.getSheetByName(IMPORT_QUARANTINE_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(IMPORT_QUARANTINE_SHEET_NAME);
+    sheet.getRange(1, 1, 1, 10).setValues([[
+      'Imported At', 'Source', 'CSV Row', 'Reasons', 'Personal ID', 'Last Name',
+      'First Name', 'Event', 'Date (as given)', 'Raw Row'
+    ]]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
@@ -0,0 +1,272 @@
+/**
+ * Check-in time analytics from the Attendance Log timestamp (Column H).
+ *
+ * Config:
+ *   B5 = Service start times, "Label=HH:MM" separated by ";" or new lines, e.g.
+ *        "Sunday Service=10:00; 9AM=09:00; 11AM=11:00; Youth=17:00; Prayer Meeting=19:30"
+ *        A label matches a Sunday service slot first, then an event name.
+ *        "Sunday Service" is the start time for Sunday columns without a slot.
+ *   B6 = Late grace period in minutes (default 5). Arriving more than this many
+ *        minutes after the start counts as late.
+ *
+ * Outputs:
+ *   'Check-in Times'   = 15-minute arrival distribution per service (report year)
+ *   'Arrival Profiles' = each person's typical arrival relative to service start
+ *   Attendance Stats S:V = late arrivals per period (see calculateAttendanceStats)
+ */
+const CHECKIN_TIMES_SHEET_NAME = 'Check-in Times';
+const ARRIVAL_PROFILES_SHEET_NAME = 'Arrival Profiles';
+const ARRIVAL_PROFILES_NUM_COLS = 9;
+const CHECKIN_BUCKET_MINUTES = 15;
+const DEFAULT_LATE_GRACE_MINUTES = 5;
+
+/**
+ * Reads service start times from Config!B5.
+ *
+ * @return {Map<string, number>} lower-case label -> minutes after midnight
+ */
+function getServiceStartTimes_() {
+  const configSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Config");
+  const raw = configSheet ? String(configSheet.getRange("B5").getDisplayValue() || "") : "";
+
+  const starts = new Map();
+  raw.split(/[;\n]+/).forEach(part => {
+    const m = part.match(/^\s*(.+?)\s*=\s*(.+?)\s*$/);
+    if (!m) return;
+    const minutes = parseTimeOfDay_(m[2]);
+    if (minutes === null) {
+      Logger.log(`⚠️ Config!B5: could not read start time "${part.trim()}".`);
+      return;
+    }
+    starts.set(m[1].toLowerCase(), minutes);
+  });
+  return starts;
+}
+
+/**
+ * Reads the late grace period (minutes) from Config!B6.
+ */
+function getLateGraceMinutes_() {
+  const configSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Config");
+  const raw = configSheet ? configSheet.getRange("B6").getValue() : "";
+  const grace = Number(raw);
+  return raw !== "" && !isNaN(grace) && grace >= 0 ? grace : DEFAULT_LATE_GRACE_MINUTES;
+}
+
+/**
+ * Parses "9:30", "09:30", "9:30 AM", "5PM" or "17:00" into minutes after midnight.
+ * Returns null when the text is not a time.
+ */
+function parseTimeOfDay_(text) {
+  const m = String(text || "").trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+  if (!m) return null;
+
+  let hours = Number(m[1]);
+  const minutes = Number(m[2] || 0);
+  const suffix = (m[3] || "").toLowerCase();
+  if (suffix === "am" && hours === 12) hours = 0;
+  if (suffix === "pm" && hours < 12) hours += 12;
+  if (hours > 23 || minutes > 59) return null;
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Formats minutes after midnight as "h:mm AM".
+ */
+function formatTimeOfDay_(minutes) {
+  const h = Math.floor(minutes / 60) % 24;
+  const m = minutes % 60;
+  const suffix = h < 12 ? "AM" : "PM";
+  return `${h % 12 === 0 ? 12 : h % 12}:${String(m).padStart(2, "0")} ${suffix}`;
+}
+
+/**
+ * Label used to group check-ins by service: "Sunday Service 9AM", "Sunday Service", or the event name.
+ */
+function getCheckInServiceLabel_(eventName, slot) {
+  const name = canonicalEventName_(eventName);
+  if (name === "Sunday Service") return slot ? `Sunday Service ${slot}` : "Sunday Service";
+  return name;
+}
+
+/**
+ * Start time (minutes) for a service: slot first, then event name. null when not configured.
+ */
+function getServiceStartMinutes_(startTimes, eventName, slot) {
+  if (slot && startTimes.has(slot.toLowerCase())) return startTimes.get(slot.toLowerCase());
+  const name = canonicalEventName_(eventName).toLowerCase();
+  if (startTimes.has(name)) return startTimes.get(name);
+  const raw = String(eventName || "").trim().toLowerCase();
+  return startTimes.has(raw) ? startTimes.get(raw) : null;
+}
+
+/**
+ * Builds a check-in record from an Attendance Log timestamp, or null when the
+ * timestamp is missing or was taken on a different day (e.g. back-entered rows).
+ * Time-only timestamps are read as a time on the event date.
+ *
+ * @return {Object|null} {date, minutes, startMinutes, offset, serviceLabel}
+ */
+function buildCheckIn_(eventName, eventDate, timestamp, slot, startTimes, tz) {
+  if (!(timestamp instanceof Date) || isNaN(timestamp.getTime())) return null;
+
+  const date = eventDate instanceof Date ? eventDate : new Date(String(eventDate));
+  if (isNaN(date.getTime())) return null;
+
+  const timeOnly = timestamp.getFullYear() < 1900;
+  if (!timeOnly && Utilities.formatDate(timestamp, tz, "yyyy-MM-dd") !== Utilities.formatDate(date, tz, "yyyy-MM-dd")) {
+    return null;
+  }
+
+  const hhmm = Utilities.formatDate(timestamp, tz, "HH:mm").split(":");
+  const minutes = Number(hhmm[0]) * 60 + Number(hhmm[1]);
+  const startMinutes = getServiceStartMinutes_(startTimes, eventName, slot);
+
+  return {
+    date: date,
+    minutes: minutes,
+    startMinutes: startMinutes,
+    offset: startMinutes === null ? null : minutes - startMinutes,
+    serviceLabel: getCheckInServiceLabel_(eventName, slot)
+  };
+}
+
+/**
+ * Manual run: rebuilds 'Check-in Times' and 'Arrival Profiles' for the latest report year.
+ */
+function updateCheckInTimeAnalytics() {
+  return withJobLock_('Update Check-in Time Analytics', function () {
+    return updateCheckInTimeAnalyticsUnlocked_();
+  });
+}
+
+function updateCheckInTimeAnalyticsUnlocked_() {
+  const years = getReportYears_();
+  const collected = matchOrAssignBelCodes();
+  updateCheckInTimeAnalytics_(SpreadsheetApp.getActiveSpreadsheet(), collected.checkIns, years[years.length - 1]);
+}
+
+/**
+ * Writes the distribution and arrival profile tabs.
+ *
+ * @param {Spreadsheet} ss
+ * @param {Object[]} checkIns From matchOrAssignBelCodes().checkIns.
+ * @param {number} reportYear Report year as in Config!B4 (see getStatsPeriodConfig_ for its months).
+ */
+function updateCheckInTimeAnalytics_(ss, checkIns, reportYear) {
+  const periods = getStatsPeriodConfig_();
+  const yearCheckIns = (checkIns || []).filter(c => reportPeriodIndex_(c.date, reportYear, periods) !== -1);
+  const yearLabel = reportYearLabel_(reportYear, periods);
+  writeCheckInDistribution_(ss, yearCheckIns, yearLabel);
+  writeArrivalProfiles_(ss, yearCheckIns, yearLabel);
+}
+
+/**
+ * 'Check-in Times': one row per 15-minute bucket, one column per service, plus All.
+ * The last row names each service's peak bucket.
+ */
+function writeCheckInDistribution_(ss, checkIns, yearLabel) {
+  let sheet = ss.getSheetByName(CHECKIN_TIMES_SHEET_NAME);
+  if (!sheet) sheet = ss.insertSheet(CHECKIN_TIMES_SHEET_NAME);
+  sheet.clearContents();
+
+  const services = Array.from(new Set(checkIns.map(c => c.serviceLabel))).sort();
+  const header = [`Arrival (${yearLabel})`].concat(services, ["All"]);
+  sheet.getRange(1, 1, 1, header.length).setValues([header]).setFontWeight("bold");
+  sheet.setFrozenRows(1);
+
+  if (checkIns.length === 0) {
+    Logger.log(`No timed check-ins for ${yearLabel}.`);
+    return;
+  }
+
+  const bucketOf = minutes => Math.floor(minutes / CHECKIN_BUCKET_MINUTES) * CHECKIN_BUCKET_MINUTES;
+  const firstBucket = Math.min.apply(null, checkIns.map(c => bucketOf(c.minutes)));
+  const lastBucket = Math.max.apply(null, checkIns.map(c => bucketOf(c.minutes)));
+
+  const rows = [];
+  const rowIndex = {};
+  for (let b = firstBucket; b <= lastBucket; b += CHECKIN_BUCKET_MINUTES) {
+    rowIndex[b] = rows.length;
+    rows.push([`${formatTimeOfDay_(b)} – ${formatTimeOfDay_(b + CHECKIN_BUCKET_MINUTES - 1)}`]
+      .concat(Array(services.length + 1).fill(0)));
+  }
+
+  checkIns.forEach(c => {
+    const row = rows[rowIndex[bucketOf(c.minutes)]];
+    row[1 + services.indexOf(c.serviceLabel)]++;
+    row[header.length - 1]++;
+  });
+
+  const peakRow = ["Peak"];
+  for (let col = 1; col < header.length; col++) {
+    let best = -1;
+    let label = "";
+    rows.forEach(r => {
+      if (r[col] > best) { best = r[col]; label = r[0]; }
+    });
+    peakRow.push(best > 0 ? label : "");
+  }
+  rows.push(peakRow);
+
+  sheet.getRange(2, 1, rows.length, header.length).setValues(rows);
+  sheet.getRange(2, 2, rows.length, header.length - 1).setHorizontalAlignment("center");
+  sheet.getRange(rows.length + 1, 1, 1, header.length).setFontWeight("bold");
+
+  Logger.log(`✅ Check-in distribution written: ${checkIns.length} check-in(s), ${services.length} service(s).`);
+}
+
+/**
+ * 'Arrival Profiles': one row per person with their median arrival relative to
+ * service start (negative = early). Only services with a start time in Config!B5 count.
+ */
+function writeArrivalProfiles_(ss, checkIns, yearLabel) {
+  const grace = getLateGraceMinutes_();
+  const people = new Map(); // matchKey -> profile
+
+  checkIns.forEach(c => {
+    if (c.offset === null) return;
+    if (!people.has(c.matchKey)) {
+      people.set(c.matchKey, { personalId: c.personalId, last: c.last, first: c.first, offsets: [], late: 0, lastLate: null });
+    }
+    const p = people.get(c.matchKey);
+    p.offsets.push(c.offset);
+    if (c.offset > grace) {
+      p.late++;
+      if (!p.lastLate || c.date > p.lastLate) p.lastLate = c.date;
+    }
+  });
+
+  const rows = Array.from(people.values()).map(p => {
+    const sorted = p.offsets.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+    const typical = median < 0 ? `${-median} min early` : (median === 0 ? "On time" : `${median} min late`);
+    return [
+      p.personalId || "", p.last || "", p.first || "",
+      sorted.length, median, typical, p.late,
+      sorted.length ? Math.round(100 * p.late / sorted.length) / 100 : 0,
+      p.lastLate || ""
+    ];
+  }).sort((a, b) => String(a[1]).localeCompare(String(b[1])) || String(a[2]).localeCompare(String(b[2])));
+
+  let sheet = ss.getSheetByName(ARRIVAL_PROFILES_SHEET_NAME);
+  if (!sheet) sheet = ss.insertSheet(ARRIVAL_PROFILES_SHEET_NAME);
+  sheet.clearContents();
+
+  sheet.getRange(1, 1, 1, ARRIVAL_PROFILES_NUM_COLS).setValues([[
+    'Personal ID', 'Last Name', 'First Name', `Timed Check-ins (${yearLabel})`,
+    'Median vs Start (min)', 'Typical Arrival', `Late (> ${grace} min)`, 'Late Rate', 'Last Late'
+  ]]).setFontWeight("bold");
+  sheet.setFrozenRows(1);
+
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, ARRIVAL_PROFILES_NUM_COLS).setValues(rows);
+    sheet.getRange(2, 4, rows.length, 6).setHorizontalAlignment("center");
+    sheet.getRange(2, 8, rows.length, 1).setNumberFormat("0%");
+    sheet.getRange(2, 9, rows.length, 1).setNumberFormat("MM/dd/yyyy");
+  }
+
+  Logger.log(`✅ Arrival profiles written for ${rows.length} person(s).`);
+}
@@ -0,0 +1,207 @@
+/**
+ * Year-based rollover of 'Event Attendance' columns.
+ *
+ * rolloverEventAttendance() moves every event column dated before the current
+ * year into an "Event Attendance Archive YYYY" tab (one per year) with the same
+ * layout: rows 1-4 headers (row 4 = COUNTIF), A:H person columns, data from
+ * row 5, event columns from Col I. The log processor then only reads the
+ * current year's columns.
+ *
+ * - First rollover for a year: the tab is a copy of 'Event Attendance' with the
+ *   other years' columns removed (formats, checkboxes and formulas kept).
+ * - Later rollovers for the same year: columns are appended, people are matched
+ *   by Personal ID (else last + first name) and missing people are added.
+ *
+ * Readers that need history (Attendance Stats, guest intro dates, Other Events
+ * averages) read getEventAttendanceSheets_(), i.e. the archives plus the live tab.
+ * The log processor logs a past year's event that is already archived on its archive
+ * tab, rather than opening a second column for it on the live tab.
+ * Batch rollback cannot undo changes in columns that have been archived.
+ */
+const EVENT_ARCHIVE_TAB_PREFIX = 'Event Attendance Archive ';
+
+/**
+ * Menu entry: asks for confirmation, then archives columns from past years.
+ */
+function rolloverEventAttendance() {
+  return withJobLock_('Roll Over Event Attendance', function () {
+    return rolloverEventAttendanceUnlocked_();
+  });
+}
+
+function rolloverEventAttendanceUnlocked_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const ui = SpreadsheetApp.getUi();
+  const sheet = ss.getSheetByName('Event Attendance');
+  if (!sheet) throw new Error('Event Attendance tab not found.');
+
+  const cutoffYear = new Date().getFullYear();
+  const lastCol = sheet.getLastColumn();
+  const colsByYear = new Map(); // year -> [column numbers]
+  if (lastCol >= 9) {
+    sheet.getRange(2, 9, 1, lastCol - 8).getValues()[0].forEach(function (d, i) {
+      if (!(d instanceof Date) || d.getFullYear() >= cutoffYear) return;
+      if (!colsByYear.has(d.getFullYear())) colsByYear.set(d.getFullYear(), []);
+      colsByYear.get(d.getFullYear()).push(i + 9);
+    });
+  }
+
+  if (colsByYear.size === 0) {
+    ui.alert('No Event Attendance columns dated before ' + cutoffYear + '.');
+    return;
+  }
+
+  const years = Array.from(colsByYear.keys()).sort();
+  const total = years.reduce(function (n, y) { return n + colsByYear.get(y).length; }, 0);
+  const response = ui.alert(
+    'Roll over Event Attendance',
+    'Move ' + total + ' column(s) from ' + years.join(', ') + ' to "' + EVENT_ARCHIVE_TAB_PREFIX + 'YYYY" tabs?',
+    ui.ButtonSet.YES_NO
+  );
+  if (response !== ui.Button.YES) return;
+
+  const summary = [];
+  years.forEach(function (year) {
+    const cols = colsByYear.get(year);
+    const name = EVENT_ARCHIVE_TAB_PREFIX + year;
+    const archive = ss.getSheetByName(name);
+    if (archive) {
+      appendEventColumnsToArchive_(sheet, archive, cols);
+    } else {
+      createEventArchiveSheet_(ss, sheet, name, cols);
+    }
+    summary.push(name + ': ' + cols.length);
+  });
+
+  // Remove the moved columns from the live tab, right to left in contiguous runs
+  const moved = [].concat.apply([], years.map(function (y) { return colsByYear.get(y); }));
+  deleteColumnRuns_(sheet, moved);
+
+  SpreadsheetApp.flush();
+  const message = 'Archived ' + total + ' Event Attendance column(s). ' + summary.join('; ');
+  Logger.log(message);
+  ui.alert(message);
+}
+
+/**
+ * 'Event Attendance' plus its archive tabs, oldest archive first and the live tab last.
+ */
+function getEventAttendanceSheets_(ss) {
+  const archives = ss.getSheets()
+    .filter(function (s) { return isEventArchiveSheetName_(s.getName()); })
+    .sort(function (a, b) { return a.getName().localeCompare(b.getName()); });
+  const live = ss.getSheetByName('Event Attendance');
+  return live ? archives.concat([live]) : archives;
+}
+
+function isEventArchiveSheetName_(name) {
+  return new RegExp('^' + EVENT_ARCHIVE_TAB_PREFIX + '\\d{4}$').test(name);
+}
+
+/**
+ * New archive tab: a full copy of the live tab minus the columns not being archived.
+ */
+function createEventArchiveSheet_(ss, source, name, cols) {
+  const archive = source.copyTo(ss).setName(name);
+  const keep = new Set(cols);
+  const drop = [];
+  for (let c = 9; c <= archive.getLastColumn(); c++) {
+    if (!keep.has(c)) drop.push(c);
+  }
+  deleteColumnRuns_(archive, drop);
+  return archive;
+}
+
+/**
+ * Appends columns to an existing archive tab, lining people up by Personal ID / name.
+ */
+function appendEventColumnsToArchive_(source, archive, cols) {
+  const dataStartRow = 5;
+  const sourceRows = Math.max(source.getLastRow() - dataStartRow + 1, 0);
+  const sourcePeople = sourceRows > 0 ? source.getRange(dataStartRow, 2, sourceRows, 7).getValues() : []; // B:H
+  const sourceGrid = cols.map(function (c) {
+    return sourceRows > 0 ? source.getRange(dataStartRow, c, sourceRows, 1).getValues().map(function (r) { return r[0]; }) : [];
+  });
+
+  // Existing archive people
+  const archiveLastCol = archive.getLastColumn();
+  let archiveRows = Math.max(archive.getLastRow() - dataStartRow + 1, 0);
+  const rowByKey = new Map();
+  if (archiveRows > 0) {
+    archive.getRange(dataStartRow, 2, archiveRows, 3).getValues().forEach(function (p, i) {
+      const key = archivePersonKey_(p[0], p[1], p[2]);
+      if (key && !rowByKey.has(key)) rowByKey.set(key, i);
+    });
+  }
+
+  // People with attendance in the moved columns but no archive row yet
+  const newPeople = [];
+  const sourceToArchive = sourcePeople.map(function (p, i) {
+    const key = archivePersonKey_(p[0], p[1], p[2]);
+    if (!key) return -1;
+    if (rowByKey.has(key)) return rowByKey.get(key);
+    const attended = sourceGrid.some(function (col) { return col[i] === true; });
+    if (!attended) return -1;
+    rowByKey.set(key, archiveRows + newPeople.length);
+    newPeople.push(p);
+    return archiveRows + newPeople.length - 1;
+  });
+
+  if (newPeople.length > 0) {
+    const firstNewRow = dataStartRow + archiveRows;
+    archive.getRange(firstNewRow, 2, newPeople.length, 7).setValues(newPeople);
+    if (archiveLastCol >= 9) archive.getRange(firstNewRow, 9, newPeople.length, archiveLastCol - 8).insertCheckboxes();
+    archiveRows += newPeople.length;
+  }
+
+  // New columns: headers (rows 1-3), COUNTIF (row 4), checkboxes
+  const firstCol = Math.max(archiveLastCol, 8) + 1;
+  const header = cols.map(function (c) { return source.getRange(1, c, 3, 1).getValues().map(function (r) { return r[0]; }); });
+  archive.getRange(1, firstCol, 3, cols.length).setValues([0, 1, 2].map(function (r) {
+    return header.map(function (h) { return h[r]; });
+  }));
+  cols.forEach(function (c, i) {
+    source.getRange(1, c, 4, 1).copyFormatToRange(archive, firstCol + i, firstCol + i, 1, 4);
+  });
+  archive.getRange(4, firstCol, 1, cols.length).setFormulas([cols.map(function (c, i) {
+    const letter = archive.getRange(1, firstCol + i).getA1Notation().replace(/\d+/g, '');
+    return '=COUNTIF(' + letter + dataStartRow + ':' + letter + ', TRUE)';
+  })]);
+
+  if (archiveRows > 0) {
+    const grid = [];
+    for (let r = 0; r < archiveRows; r++) grid.push(cols.map(function () { return false; }));
+    sourceToArchive.forEach(function (archiveIndex, i) {
+      if (archiveIndex === -1) return;
+      sourceGrid.forEach(function (col, j) { if (col[i] === true) grid[archiveIndex][j] = true; });
+    });
+    const range = archive.getRange(dataStartRow, firstCol, archiveRows, cols.length);
+    range.insertCheckboxes();
+    range.setValues(grid);
+  }
+}
+
+function archivePersonKey_(personalId, lastName, firstName) {
+  const pidNorm = normalizePersonalId(personalId);
+  if (pidNorm) return pidNorm;
+  const nameKey = normalizeKeyPart_(lastName) + '|' + normalizeKeyPart_(firstName);
+  return nameKey === '|' ? '' : nameKey;
+}
+
+/**
+ * Deletes the given column numbers, right to left, one deleteColumns() call per contiguous run.
+ */
+function deleteColumnRuns_(sheet, cols) {
+  const sorted = cols.slice().sort(function (a, b) { return b - a; });
+  let i = 0;
+  while (i < sorted.length) {
+    let start = sorted[i];
+    let count = 1;
+    while (i + count < sorted.length && sorted[i + count] === start - 1) {
+      start--;
+      count++;
+    }
+    sheet.deleteColumns(start, count);
+    i += count;
+  }
+}
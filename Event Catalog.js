@@ -0,0 +1,171 @@
+/**
+ * Event catalog: one place that says what each event name means.
+ *
+ * 'Events' tab (row 1 headers, data from row 2):
+ *   A = Canonical Name   e.g. "Community Intro"
+ *   B = Category         service | intro | pastoral | outreach | small group
+ *   C = Aliases          comma-separated; "*" is a wildcard ("orient*", "*youth night*")
+ *   D = Active           checkbox; inactive events still resolve (history), but are not
+ *                        offered on the kiosk or accepted by the CSV import
+ *
+ * Event names typed on 'Attendance Log' (F) or 'Event Attendance' (row 3) are
+ * resolved to their canonical name through canonicalEventName_(), and modules ask
+ * getEventCategory_() instead of matching text themselves. Names not in the catalog
+ * pass through unchanged (trimmed), so a missing or empty tab changes nothing.
+ *
+ * Matching ignores case, repeated spaces and spaces around hyphens, so
+ * "Pastoral check -In" and "pastoral check-in" are the same name.
+ *
+ * Without an 'Events' tab the built-in DEFAULT_EVENT_CATALOG is used;
+ * setupEventCatalog() creates the tab from it plus the names already on 'Event Attendance'.
+ */
+const EVENT_CATALOG_TAB_NAME = 'Events';
+const EVENT_CATEGORIES = ['service', 'intro', 'pastoral', 'outreach', 'small group'];
+
+const DEFAULT_EVENT_CATALOG = [
+  { name: 'Sunday Service', category: 'service', aliases: ['*sunday service*'], active: true },
+  { name: 'Pastoral Check-In', category: 'pastoral', aliases: ['*pastoral check-in*', '*pastoral checkin*', '*pastoral check in*'], active: true },
+  { name: 'Community Intro', category: 'intro', aliases: ['*community intro*', '*orient*'], active: true }
+];
+
+let eventCatalogCache_ = null; // per execution
+
+/**
+ * Menu entry: creates the 'Events' tab (defaults + names already used on 'Event Attendance').
+ */
+function setupEventCatalog() {
+  assertAuthorizedUser_();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  if (ss.getSheetByName(EVENT_CATALOG_TAB_NAME)) {
+    showAlert_('The "' + EVENT_CATALOG_TAB_NAME + '" tab already exists.');
+    return;
+  }
+
+  const rows = DEFAULT_EVENT_CATALOG.map(function (e) { return [e.name, e.category, e.aliases.join(', '), e.active]; });
+
+  // Names already used on 'Event Attendance' that the defaults do not cover
+  const eventSheet = ss.getSheetByName('Event Attendance');
+  if (eventSheet && eventSheet.getLastColumn() >= 9) {
+    const seen = new Set();
+    eventSheet.getRange(3, 9, 1, eventSheet.getLastColumn() - 8).getValues()[0].forEach(function (n) {
+      const name = String(n || '').trim();
+      if (!name || name === 'Post event name here' || resolveEventEntry_(name)) return;
+      const norm = normalizeEventName_(name);
+      if (seen.has(norm)) return;
+      seen.add(norm);
+      rows.push([name, '', '', true]);
+    });
+  }
+
+  const sheet = ss.insertSheet(EVENT_CATALOG_TAB_NAME);
+  sheet.getRange(1, 1, 1, 4).setValues([['Canonical Name', 'Category', 'Aliases', 'Active']]).setFontWeight('bold');
+  sheet.getRange(2, 1, rows.length, 4).setValues(rows);
+  sheet.getRange(2, 2, Math.max(rows.length, 50), 1).setDataValidation(
+    SpreadsheetApp.newDataValidation().requireValueInList(EVENT_CATEGORIES, true).setAllowInvalid(false).build()
+  );
+  sheet.getRange(2, 4, Math.max(rows.length, 50), 1).insertCheckboxes();
+  sheet.getRange(2, 4, rows.length, 1).setValues(rows.map(function (r) { return [r[3]]; }));
+  sheet.setFrozenRows(1);
+
+  eventCatalogCache_ = null;
+  showAlert_(
+    'Created the "' + EVENT_CATALOG_TAB_NAME + '" tab with ' + rows.length + ' event(s). ' +
+    'Fill in the Category for events added from Event Attendance.'
+  );
+}
+
+/**
+ * Reads the catalog (once per execution).
+ *
+ * @return {{name: string, category: string, active: boolean, exact: Set<string>, patterns: RegExp[]}[]}
+ */
+function getEventCatalog_() {
+  if (eventCatalogCache_) return eventCatalogCache_;
+
+  let source = DEFAULT_EVENT_CATALOG;
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(EVENT_CATALOG_TAB_NAME);
+  if (sheet && sheet.getLastRow() >= 2) {
+    source = sheet.getRange(2, 1, sheet.getLastRow() - 1, 4).getValues()
+      .filter(function (r) { return String(r[0] || '').trim(); })
+      .map(function (r) {
+        return {
+          name: String(r[0]).trim(),
+          category: String(r[1] || '').trim().toLowerCase(),
+          aliases: String(r[2] || '').split(/[,;]/),
+          active: r[3] !== false && String(r[3]).toUpperCase() !== 'FALSE'
+        };
+      });
+  }
+
+  eventCatalogCache_ = source.map(function (e) {
+    const exact = new Set([normalizeEventName_(e.name)]);
+    const patterns = [];
+    e.aliases.forEach(function (a) {
+      const alias = normalizeEventName_(a);
+      if (!alias) return;
+      if (alias.indexOf('*') === -1) {
+        exact.add(alias);
+      } else {
+        const body = alias.split('*').map(function (part) { return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'); }).join('.*');
+        patterns.push(new RegExp('^' + body + '$'));
+      }
+    });
+    return { name: e.name, category: e.category, active: e.active, exact: exact, patterns: patterns };
+  });
+  return eventCatalogCache_;
+}
+
+/**
+ * Catalog entry for an event name, or null. Exact names/aliases win over wildcard aliases.
+ */
+function resolveEventEntry_(eventName) {
+  const norm = normalizeEventName_(eventName);
+  if (!norm) return null;
+
+  const catalog = getEventCatalog_();
+  const exact = catalog.find(function (e) { return e.exact.has(norm); });
+  if (exact) return exact;
+  return catalog.find(function (e) { return e.patterns.some(function (p) { return p.test(norm); }); }) || null;
+}
+
+/**
+ * Canonical event name ("orientation night" -> "Community Intro"); unknown names come back trimmed.
+ */
+function canonicalEventName_(eventName) {
+  const entry = resolveEventEntry_(eventName);
+  return entry ? entry.name : String(eventName || '').trim();
+}
+
+/**
+ * Catalog category of an event name ('' when not in the catalog or uncategorized).
+ */
+function getEventCategory_(eventName) {
+  const entry = resolveEventEntry_(eventName);
+  return entry ? entry.category : '';
+}
+
+/**
+ * True when the name resolves to the event recorded on the 'Sunday Service' tab.
+ */
+function isSundayServiceEvent_(eventName) {
+  return canonicalEventName_(eventName) === 'Sunday Service';
+}
+
+/**
+ * True for pastoral events (recorded on 'Pastoral Check-In' / 'Pastoral History').
+ */
+function isPastoralEvent_(eventName) {
+  return getEventCategory_(eventName) === 'pastoral';
+}
+
+/**
+ * False only for catalog events whose Active box is unticked.
+ */
+function isEventActive_(eventName) {
+  const entry = resolveEventEntry_(eventName);
+  return !entry || entry.active;
+}
+
+function normalizeEventName_(eventName) {
+  return String(eventName || '').toLowerCase().replace(/\s*-\s*/g, '-').replace(/\s+/g, ' ').trim();
+}
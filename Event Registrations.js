@@ -0,0 +1,264 @@
+/**
+ * Event registrations vs. attendance (no-show tracking).
+ *
+ * 'Event Registrations' tab (row 1 headers, data from row 2) — who signed up beforehand:
+ *   A = Personal ID   B = Last Name   C = First Name   D = Event   E = Event Date
+ *   F = Registered On G = Notes
+ *
+ * updateEventRegistrationSummary() compares it with the 'Event Attendance' grid and
+ * its archive tabs (event columns matched by date + canonical event name, people by
+ * Personal ID, else by last + first name) and writes:
+ * - on the attendance tabs, a note on the row 4 COUNTIF cell of each registered event
+ *   column: "Reg 12 · Attended 10 · No-show 3 · Walk-in 2". Cell values are not touched
+ *   (row 1 included); notes someone else wrote are kept, and this summary's notes on
+ *   columns without registrations are cleared.
+ * - 'Registration Summary': Registered / Attended / Registered & Attended /
+ *   No-Shows / Walk-ins / Show Rate per event
+ * - 'No-Shows': registrants of past events who were not checked in. The Follow-up
+ *   column is kept across rebuilds (matched by event, date and person).
+ *
+ * Registrations are not Attendance Log rows, so the log processor never turns them
+ * into attendance.
+ */
+const REGISTRATIONS_TAB_NAME = 'Event Registrations';
+const REGISTRATION_SUMMARY_TAB_NAME = 'Registration Summary';
+const NO_SHOWS_TAB_NAME = 'No-Shows';
+const REGISTRATION_NOTE_PREFIX = 'Reg ';
+
+/**
+ * Menu entry: rebuilds the registration counts, summary and no-show list.
+ */
+function updateEventRegistrationSummary() {
+  return withJobLock_('Update Event Registrations', function () {
+    return updateEventRegistrationSummaryUnlocked_();
+  });
+}
+
+function updateEventRegistrationSummaryUnlocked_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const tz = ss.getSpreadsheetTimeZone();
+
+  let regSheet = ss.getSheetByName(REGISTRATIONS_TAB_NAME);
+  if (!regSheet) {
+    regSheet = ss.insertSheet(REGISTRATIONS_TAB_NAME);
+    regSheet.getRange(1, 1, 1, 7).setValues([[
+      'Personal ID', 'Last Name', 'First Name', 'Event', 'Event Date', 'Registered On', 'Notes'
+    ]]).setFontWeight('bold');
+    regSheet.setFrozenRows(1);
+    showAlert_('Created the "' + REGISTRATIONS_TAB_NAME + '" tab. Add registrations and run this again.');
+    return;
+  }
+
+  if (!ss.getSheetByName('Event Attendance')) throw new Error('Event Attendance tab not found.');
+
+  // 1) Registrations grouped by event (date|canonical name)
+  const events = new Map(); // eventKey -> { name, date, registrants: Map(personKey -> registrant) }
+  if (regSheet.getLastRow() >= 2) {
+    regSheet.getRange(2, 1, regSheet.getLastRow() - 1, 7).getValues().forEach(function (r) {
+      const name = canonicalEventName_(r[3]);
+      if (!name || !(r[4] instanceof Date)) return;
+      if (!r[0] && !r[1] && !r[2]) return;
+
+      const eventKey = registrationEventKey_(r[4], name, tz);
+      if (!events.has(eventKey)) events.set(eventKey, { name: name, date: r[4], grid: null, col: null, registrants: new Map() });
+
+      const registrant = {
+        personalId: String(r[0] || '').trim(),
+        lastName: String(r[1] || '').trim(),
+        firstName: String(r[2] || '').trim(),
+        registeredOn: r[5],
+        notes: r[6]
+      };
+      events.get(eventKey).registrants.set(registrationPersonKey_(registrant), registrant);
+    });
+  }
+
+  // 2) Event columns on 'Event Attendance' and its archive tabs (see 'Event Archive')
+  const grids = getEventAttendanceSheets_(ss).map(loadRegistrationGrid_);
+  grids.forEach(function (g) {
+    for (let c = 0; c < g.width; c++) {
+      const name = String(g.header[1][c] || '').trim();
+      if (!(g.header[0][c] instanceof Date) || !name || name === 'Post event name here') continue;
+      const entry = events.get(registrationEventKey_(g.header[0][c], canonicalEventName_(name), tz));
+      if (entry && entry.col === null) {
+        entry.grid = g;
+        entry.col = c;
+      }
+    }
+  });
+
+  // 3) Counts and no-shows
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const summaryRows = [];
+  const noShowRows = [];
+  const countNotes = new Map(); // grid -> row 4 notes by column index
+
+  events.forEach(function (entry) {
+    const attendedRows = new Set();
+    if (entry.col !== null) {
+      entry.grid.grid.forEach(function (r, i) { if (r[entry.col] === true) attendedRows.add(i); });
+    }
+
+    const registeredRows = new Set();
+    let registeredAttended = 0;
+    const missing = [];
+    entry.registrants.forEach(function (registrant) {
+      const rowIndex = entry.col !== null ? entry.grid.findRow(registrant) : -1;
+      if (rowIndex !== -1) registeredRows.add(rowIndex);
+      if (rowIndex !== -1 && attendedRows.has(rowIndex)) {
+        registeredAttended++;
+      } else {
+        missing.push(registrant);
+      }
+    });
+
+    const isPast = entry.date < today;
+    const noShows = isPast ? missing.length : 0;
+    let walkIns = 0;
+    attendedRows.forEach(function (i) { if (!registeredRows.has(i)) walkIns++; });
+
+    if (entry.col !== null) {
+      if (!countNotes.has(entry.grid)) countNotes.set(entry.grid, new Map());
+      countNotes.get(entry.grid).set(entry.col, REGISTRATION_NOTE_PREFIX + entry.registrants.size +
+        ' · Attended ' + attendedRows.size + (isPast ? ' · No-show ' + noShows : '') + ' · Walk-in ' + walkIns);
+    }
+
+    summaryRows.push([
+      entry.name, entry.date, entry.registrants.size, attendedRows.size, registeredAttended,
+      isPast ? noShows : '', walkIns,
+      isPast && entry.registrants.size > 0 ? registeredAttended / entry.registrants.size : ''
+    ]);
+
+    if (isPast) {
+      missing.forEach(function (m) {
+        noShowRows.push([entry.name, entry.date, m.personalId, m.lastName, m.firstName, m.registeredOn || '', m.notes || '', '']);
+      });
+    }
+  });
+
+  summaryRows.sort(function (a, b) { return a[1] - b[1] || String(a[0]).localeCompare(String(b[0])); });
+  noShowRows.sort(function (a, b) {
+    return b[1] - a[1] || String(a[0]).localeCompare(String(b[0])) || String(a[3]).localeCompare(String(b[3]));
+  });
+
+  grids.forEach(function (g) { writeRegistrationCountNotes_(g, countNotes.get(g) || new Map()); });
+  writeRegistrationSummary_(ss, summaryRows);
+  writeNoShows_(ss, noShowRows, tz);
+
+  const message = 'Registrations: ' + summaryRows.length + ' event(s), ' + noShowRows.length + ' no-show(s) listed.';
+  Logger.log(message);
+  return message;
+}
+
+/**
+ * One 'Event Attendance' layout tab: header rows 2-3, checkbox grid and a person lookup
+ * (Personal ID first, then last + first name) returning the grid row index or -1.
+ */
+function loadRegistrationGrid_(sheet) {
+  const lastRow = sheet.getLastRow();
+  const width = Math.max(sheet.getLastColumn() - 8, 0);
+  const header = width > 0 ? sheet.getRange(2, 9, 2, width).getValues() : [[], []];
+  const people = lastRow >= 5 ? sheet.getRange(5, 2, lastRow - 4, 3).getValues() : [];
+  const grid = lastRow >= 5 && width > 0 ? sheet.getRange(5, 9, lastRow - 4, width).getValues() : [];
+
+  const rowByPid = new Map();
+  const rowByName = new Map();
+  people.forEach(function (p, i) {
+    const pidNorm = normalizePersonalId(p[0]);
+    if (pidNorm && !rowByPid.has(pidNorm)) rowByPid.set(pidNorm, i);
+    const nameKey = normalizeKeyPart_(p[1]) + '|' + normalizeKeyPart_(p[2]);
+    if (nameKey !== '|' && !rowByName.has(nameKey)) rowByName.set(nameKey, i);
+  });
+
+  return {
+    sheet: sheet,
+    width: width,
+    header: header,
+    grid: grid,
+    findRow: function (registrant) {
+      const pidNorm = normalizePersonalId(registrant.personalId);
+      if (pidNorm && rowByPid.has(pidNorm)) return rowByPid.get(pidNorm);
+      const nameKey = normalizeKeyPart_(registrant.lastName) + '|' + normalizeKeyPart_(registrant.firstName);
+      return rowByName.has(nameKey) ? rowByName.get(nameKey) : -1;
+    }
+  };
+}
+
+/**
+ * Sets the count notes on row 4 (the COUNTIF row) of one attendance tab. Notes not
+ * starting with REGISTRATION_NOTE_PREFIX were written by someone else and stay.
+ *
+ * @param {Object} g From loadRegistrationGrid_.
+ * @param {Map<number, string>} notesByCol Column index (from Col I) -> note.
+ */
+function writeRegistrationCountNotes_(g, notesByCol) {
+  if (g.width === 0) return;
+  const range = g.sheet.getRange(4, 9, 1, g.width);
+  const current = range.getNotes()[0];
+  let changed = false;
+  const notes = current.map(function (note, c) {
+    if (note && note.indexOf(REGISTRATION_NOTE_PREFIX) !== 0) return note;
+    const next = notesByCol.get(c) || '';
+    if (next !== note) changed = true;
+    return next;
+  });
+  if (changed) range.setNotes([notes]);
+}
+
+function registrationEventKey_(date, canonicalName, tz) {
+  return Utilities.formatDate(date, tz, 'yyyy-MM-dd') + '|' + canonicalName.toLowerCase();
+}
+
+function registrationPersonKey_(registrant) {
+  const pidNorm = normalizePersonalId(registrant.personalId);
+  return pidNorm || (normalizeKeyPart_(registrant.lastName) + '|' + normalizeKeyPart_(registrant.firstName));
+}
+
+function writeRegistrationSummary_(ss, rows) {
+  let sheet = ss.getSheetByName(REGISTRATION_SUMMARY_TAB_NAME);
+  if (!sheet) sheet = ss.insertSheet(REGISTRATION_SUMMARY_TAB_NAME);
+  sheet.clearContents();
+
+  const headers = ['Event', 'Date', 'Registered', 'Attended', 'Registered & Attended', 'No-Shows', 'Walk-ins', 'Show Rate'];
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  if (rows.length === 0) return;
+
+  sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+  sheet.getRange(2, 2, rows.length, 1).setNumberFormat('yyyy-mm-dd');
+  sheet.getRange(2, 8, rows.length, 1).setNumberFormat('0%');
+}
+
+/**
+ * Rewrites 'No-Shows', keeping what was typed in the Follow-up column (H).
+ */
+function writeNoShows_(ss, rows, tz) {
+  let sheet = ss.getSheetByName(NO_SHOWS_TAB_NAME);
+  if (!sheet) sheet = ss.insertSheet(NO_SHOWS_TAB_NAME);
+
+  const keyOf = function (r) {
+    const date = r[1] instanceof Date ? Utilities.formatDate(r[1], tz, 'yyyy-MM-dd') : String(r[1]);
+    return [String(r[0]).toLowerCase(), date, registrationPersonKey_({ personalId: r[2], lastName: r[3], firstName: r[4] })].join('|');
+  };
+
+  const followUps = new Map();
+  if (sheet.getLastRow() >= 2) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, 8).getValues().forEach(function (r) {
+      if (r[7] !== '' && r[7] !== null) followUps.set(keyOf(r), r[7]);
+    });
+  }
+  rows.forEach(function (r) {
+    const key = keyOf(r);
+    if (followUps.has(key)) r[7] = followUps.get(key);
+  });
+
+  sheet.clearContents();
+  const headers = ['Event', 'Date', 'Personal ID', 'Last Name', 'First Name', 'Registered On', 'Notes', 'Follow-up'];
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  if (rows.length === 0) return;
+
+  sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+  sheet.getRange(2, 2, rows.length, 1).setNumberFormat('yyyy-mm-dd');
+}
@@ -36,6 +36,12 @@ function buildGuestKey(personalId, lastName, firstName) {
  * This function CLEARS all data from B4:G and rewrites it.
  */
 function updateGuestData() {
+  return withJobLock_('Update Guest Data', function () {
+    return updateGuestDataUnlocked_();
+  });
+}
+
+function updateGuestDataUnlocked_() {
   try {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
     const configSheet = ss.getSheetByName("Config");
@@ -178,6 +184,12 @@ function updateGuestData() {
  * This function does NOT sort the sheet or remove old guests.
  */
 function addNewGuests() {
+  return withJobLock_('Add New Guests', function () {
+    return addNewGuestsUnlocked_();
+  });
+}
+
+function addNewGuestsUnlocked_() {
   try {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
     const configSheet = ss.getSheetByName("Config");
@@ -339,6 +351,12 @@ function addNewGuests() {
  * This function does NOT add or remove rows.
  */
 function updateExistingGuestDates() {
+  return withJobLock_('Update Existing Guest Dates', function () {
+    return updateExistingGuestDatesUnlocked_();
+  });
+}
+
+function updateExistingGuestDatesUnlocked_() {
   try {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
     const configSheet = ss.getSheetByName("Config");
@@ -465,6 +483,7 @@ function updateExistingGuestDates() {
  * and value is the registration Date object.
  */
 function getDirectoryData(sheetId) {
+  assertAuthorizedUser_();
   const directoryMap = new Map();
   try {
     const ss = SpreadsheetApp.openById(sheetId);
@@ -512,6 +531,7 @@ function getDirectoryData(sheetId) {
  * and value is the first service Date object.
  */
 function getServiceData(sheet) {
+  assertAuthorizedUser_();
   const serviceMap = new Map();
   const values = sheet.getDataRange().getValues();
 
@@ -548,7 +568,8 @@ function getServiceData(sheet) {
 
 /**
  * Gets the first "Intro/Orientation" date for all GUESTS
- * from the "Event Attendance" sheet.
+ * from the "Event Attendance" sheet and its archive tabs
+ * (events in the "intro" category of the 'Events' catalog).
  * Uses Column H = "Guest" and allows first-name-only or last-name-only.
  * Also uses Personal ID in Column B when present.
  *
@@ -557,39 +578,38 @@ function getServiceData(sheet) {
  * and value is the event Date object.
  */
 function getIntroData(sheet) {
+  assertAuthorizedUser_();
   const introMap = new Map();
-  const values = sheet.getDataRange().getValues();
 
-  const eventDates = values[1].slice(8); // Row 2
-  const eventNames = values[2].slice(8); // Row 3
+  // Archive tabs (oldest first) come before the live tab, so the earliest intro wins
+  for (const eventTab of getEventAttendanceSheets_(sheet.getParent())) {
+    const values = eventTab.getDataRange().getValues();
 
-  // Data starts from row 5 (index 4)
-  for (let i = 4; i < values.length; i++) {
-    const row = values[i];
-    const personalId = String(row[1] || "").trim();  // Column B (index 1)
-    const lastName = String(row[2] || "").trim();    // Column C (index 2)
-    const firstName = String(row[3] || "").trim();   // Column D (index 3)
-    const status = String(row[7] || "").trim();      // Column H (index 7)
+    const eventDates = values[1].slice(8); // Row 2
+    const eventNames = values[2].slice(8); // Row 3
 
-    if ((firstName || lastName) && status === "Guest") {
-      const key = buildGuestKey(personalId, lastName, firstName);
-      if (!key) continue;
+    // Data starts from row 5 (index 4)
+    for (let i = 4; i < values.length; i++) {
+      const row = values[i];
+      const personalId = String(row[1] || "").trim();  // Column B (index 1)
+      const lastName = String(row[2] || "").trim();    // Column C (index 2)
+      const firstName = String(row[3] || "").trim();   // Column D (index 3)
+      const status = String(row[7] || "").trim();      // Column H (index 7)
 
-      if (!introMap.has(key)) {
-        const attendance = row.slice(8);
-        for (let j = 0; j < attendance.length; j++) {
-          if (attendance[j] === true) {
-            const eventName = String(eventNames[j] || "").toLowerCase();
-
-            if (
-              eventName.includes("community intro") ||
-              eventName.includes("orientation") ||
-              eventName.includes("orient")
-            ) {
-              const eventDate = eventDates[j];
-              if (eventDate instanceof Date) {
-                introMap.set(key, eventDate);
-                break;
+      if ((firstName || lastName) && status === "Guest") {
+        const key = buildGuestKey(personalId, lastName, firstName);
+        if (!key) continue;
+
+        if (!introMap.has(key)) {
+          const attendance = row.slice(8);
+          for (let j = 0; j < attendance.length; j++) {
+            if (attendance[j] === true) {
+              if (getEventCategory_(eventNames[j]) === "intro") {
+                const eventDate = eventDates[j];
+                if (eventDate instanceof Date) {
+                  introMap.set(key, eventDate);
+                  break;
+                }
               }
             }
           }
@@ -601,21 +621,22 @@ function getIntroData(sheet) {
 }
 
 /**
- * Gets the first "Pastoral check -In" date for all names
+ * Gets the first Pastoral Check-In date for all names
  * from the "Attendance Log" sheet.
  *
  * Uses:
  * - Column B: Personal ID
  * - Column C: Last Name
  * - Column D: First Name
- * - Column B (Date) is still index 1 in this sheet as per your original script
- * - Column F: Event name (must be "Pastoral check -In")
+ * - Column F: Event name (a "pastoral" event in the 'Events' catalog)
+ * - Column G: Event date
  *
  * @param {Sheet} sheet The "Attendance Log" sheet.
  * @returns {Map<string, Date>} A Map where key is buildGuestKey(personalId,last,first)
  * and value is the first Pastoral Check-In Date object.
  */
 function getPastoralIntroData(sheet) {
+  assertAuthorizedUser_();
   const pastoralMap = new Map();
   const values = sheet.getDataRange().getValues();
 
@@ -624,15 +645,14 @@ function getPastoralIntroData(sheet) {
     const personalId = String(row[1] || "").trim();     // Column B (index 1)
     const lastName = String(row[2] || "").trim();       // Column C (index 2)
     const firstName = String(row[3] || "").trim();      // Column D (index 3)
-    const dateVal = row[1];                             // Column B (index 1) (original)
+    const dateVal = row[6];                             // Column G (index 6)
     const eventNameRaw = String(row[5] || "").trim();   // Column F (index 5)
 
     if (!firstName && !lastName) {
       continue;
     }
 
-    const eventName = eventNameRaw.toLowerCase();
-    if (eventName === "pastoral check -in") {
+    if (isPastoralEvent_(eventNameRaw)) {
       if (dateVal instanceof Date) {
         const key = buildGuestKey(personalId, lastName, firstName);
         if (!key) continue;
@@ -655,8 +675,8 @@ function getPastoralIntroData(sheet) {
 /**
  * Compiles a unique list of GUESTS from:
  * - Sunday Service (Column H = "Guest", with attendance)
- * - Event Attendance (Column H = "Guest", with attendance)
- * - Attendance Log: "Pastoral check -In" rows
+ * - Event Attendance and its archive tabs (Column H = "Guest", with attendance)
+ * - Attendance Log: Pastoral Check-In rows
  *
  * Uses Personal ID from Column B of each source sheet when present.
  *
@@ -664,6 +684,7 @@ function getPastoralIntroData(sheet) {
  * value = { personalId, firstName, lastName }
  */
 function getUniqueGuests(serviceSheet, eventSheet, attendanceLogSheet) {
+  assertAuthorizedUser_();
   const guests = new Map();
 
   // --- 1. Guests from Sunday Service WITH attendance ---
@@ -690,24 +711,26 @@ function getUniqueGuests(serviceSheet, eventSheet, attendanceLogSheet) {
     }
   }
 
-  // --- 2. Guests from Event Attendance WITH attendance ---
-  const eventValues = eventSheet.getDataRange().getValues();
-  if (eventValues.length >= 5) {
-    for (let i = 4; i < eventValues.length; i++) {
-      const row = eventValues[i];
-      const personalId = String(row[1] || "").trim(); // Col B
-      const lastName = String(row[2] || "").trim();   // Col C
-      const firstName = String(row[3] || "").trim();  // Col D
-      const status = String(row[7] || "").trim();     // Col H
-
-      if ((firstName || lastName) && status === "Guest") {
-        const attendance = row.slice(8);
-        const hasAttendance = attendance.some(v => v === true);
-
-        if (hasAttendance) {
-          const key = buildGuestKey(personalId, lastName, firstName);
-          if (key && !guests.has(key)) {
-            guests.set(key, { personalId: personalId, firstName: firstName, lastName: lastName });
+  // --- 2. Guests from Event Attendance (and its archive tabs) WITH attendance ---
+  for (const eventTab of getEventAttendanceSheets_(eventSheet.getParent())) {
+    const eventValues = eventTab.getDataRange().getValues();
+    if (eventValues.length >= 5) {
+      for (let i = 4; i < eventValues.length; i++) {
+        const row = eventValues[i];
+        const personalId = String(row[1] || "").trim(); // Col B
+        const lastName = String(row[2] || "").trim();   // Col C
+        const firstName = String(row[3] || "").trim();  // Col D
+        const status = String(row[7] || "").trim();     // Col H
+
+        if ((firstName || lastName) && status === "Guest") {
+          const attendance = row.slice(8);
+          const hasAttendance = attendance.some(v => v === true);
+
+          if (hasAttendance) {
+            const key = buildGuestKey(personalId, lastName, firstName);
+            if (key && !guests.has(key)) {
+              guests.set(key, { personalId: personalId, firstName: firstName, lastName: lastName });
+            }
           }
         }
       }
@@ -729,8 +752,7 @@ function getUniqueGuests(serviceSheet, eventSheet, attendanceLogSheet) {
           continue;
         }
 
-        const eventName = eventNameRaw.toLowerCase();
-        if (eventName === "pastoral check -in") {
+        if (isPastoralEvent_(eventNameRaw)) {
           const key = buildGuestKey(personalId, lastName, firstName);
           if (key && !guests.has(key)) {
             guests.set(key, { personalId: personalId, firstName: firstName, lastName: lastName });
@@ -0,0 +1,162 @@
+/**
+ * Shared job lock for every function that rewrites attendance tabs by row position.
+ *
+ * Only one mutating job runs at a time. The holder is kept in the script property
+ * ACTIVE_JOB_LOCK as JSON { job, user, startedAt, token }, so a second job can say
+ * who is running and since when:
+ *   Another job is running: "Process Attendance Log" started by jane@church.org at 2026-01-04 09:30:15.
+ *
+ * LockService only guards the short check-and-set of that property. If an execution
+ * is killed (e.g. the 6-minute limit) the property stays behind; it is treated as
+ * stale after JOB_LOCK_STALE_MINUTES, or can be cleared with recoverStaleJobLock().
+ *
+ * Jobs that call other locked jobs (e.g. updateAttendanceStatsSheet ->
+ * updateVolunteersSheet_) reuse the lock already held by the execution.
+ *
+ * Taking the lock also checks that the active user may run jobs (see 'Access').
+ */
+const JOB_LOCK_PROPERTY = 'ACTIVE_JOB_LOCK';
+const JOB_LOCK_STALE_MINUTES = 30;
+const JOB_LOCK_BUSY_ERROR = 'JobLockBusy';
+
+let jobLockDepth_ = 0; // > 0 while this execution holds the lock
+
+/**
+ * Runs fn while holding the job lock.
+ * Throws an Error named JOB_LOCK_BUSY_ERROR when another job holds it, and
+ * a plain Error when the active user is not authorized.
+ *
+ * @param {string} jobName Label shown to anyone who finds the lock taken.
+ * @param {Function} fn
+ * @return {*} Whatever fn returns.
+ */
+function withJobLock_(jobName, fn) {
+  if (jobLockDepth_ > 0) {
+    jobLockDepth_++;
+    try {
+      return fn();
+    } finally {
+      jobLockDepth_--;
+    }
+  }
+
+  assertAuthorizedUser_();
+  const holder = acquireJobLock_(jobName);
+  jobLockDepth_ = 1;
+  try {
+    return fn();
+  } finally {
+    jobLockDepth_ = 0;
+    releaseJobLock_(holder.token);
+  }
+}
+
+/**
+ * True when err was thrown because another job holds the lock.
+ */
+function isJobLockBusyError_(err) {
+  return !!err && err.name === JOB_LOCK_BUSY_ERROR;
+}
+
+function acquireJobLock_(jobName) {
+  const scriptLock = LockService.getScriptLock();
+  if (!scriptLock.tryLock(30000)) {
+    throw newJobLockBusyError_('Another job is starting right now. Try again in a moment.');
+  }
+
+  try {
+    const props = PropertiesService.getScriptProperties();
+    const current = readJobLock_();
+    if (current && !isJobLockStale_(current)) {
+      throw newJobLockBusyError_(
+        'Another job is running: ' + describeJobLock_(current) +
+        '. Try again when it finishes, or run recoverStaleJobLock if it is stuck.'
+      );
+    }
+    if (current) {
+      Logger.log('Job lock: replacing stale lock ' + describeJobLock_(current) + '.');
+    }
+
+    const holder = {
+      job: jobName,
+      user: getCurrentUserLabel_(),
+      startedAt: new Date().toISOString(),
+      token: Utilities.getUuid()
+    };
+    props.setProperty(JOB_LOCK_PROPERTY, JSON.stringify(holder));
+    return holder;
+  } finally {
+    scriptLock.releaseLock();
+  }
+}
+
+function releaseJobLock_(token) {
+  const scriptLock = LockService.getScriptLock();
+  scriptLock.waitLock(30000);
+  try {
+    const current = readJobLock_();
+    // Only remove our own lock (a stale one may have been taken over meanwhile)
+    if (current && current.token === token) {
+      PropertiesService.getScriptProperties().deleteProperty(JOB_LOCK_PROPERTY);
+    }
+  } finally {
+    scriptLock.releaseLock();
+  }
+}
+
+function readJobLock_() {
+  const raw = PropertiesService.getScriptProperties().getProperty(JOB_LOCK_PROPERTY);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return { job: 'unknown job', user: 'unknown', startedAt: '', token: '' };
+  }
+}
+
+function isJobLockStale_(holder) {
+  const started = new Date(holder.startedAt);
+  if (isNaN(started.getTime())) return true;
+  return (Date.now() - started.getTime()) > JOB_LOCK_STALE_MINUTES * 60 * 1000;
+}
+
+function describeJobLock_(holder) {
+  const started = new Date(holder.startedAt);
+  const when = isNaN(started.getTime())
+    ? 'an unknown time'
+    : Utilities.formatDate(started, SpreadsheetApp.getActiveSpreadsheet().getSpreadsheetTimeZone() || 'GMT', 'yyyy-MM-dd HH:mm:ss');
+  return '"' + holder.job + '" started by ' + (holder.user || 'unknown') + ' at ' + when;
+}
+
+function newJobLockBusyError_(message) {
+  const err = new Error(message);
+  err.name = JOB_LOCK_BUSY_ERROR;
+  return err;
+}
+
+/**
+ * Menu entry: shows the current job lock and, after confirmation, clears it.
+ * Use when a job was killed mid-run and everything else now reports "Another job is running".
+ */
+function recoverStaleJobLock() {
+  assertAuthorizedUser_();
+  const ui = SpreadsheetApp.getUi();
+  const current = readJobLock_();
+  if (!current) {
+    ui.alert('No job lock is held.');
+    return;
+  }
+
+  const age = isJobLockStale_(current) ? ' It looks stale (older than ' + JOB_LOCK_STALE_MINUTES + ' minutes).' : '';
+  const response = ui.alert(
+    'Clear job lock',
+    'Lock held by ' + describeJobLock_(current) + '.' + age +
+    '\n\nOnly clear it if that job is no longer running. Clear it now?',
+    ui.ButtonSet.YES_NO
+  );
+  if (response !== ui.Button.YES) return;
+
+  PropertiesService.getScriptProperties().deleteProperty(JOB_LOCK_PROPERTY);
+  Logger.log('Job lock cleared by ' + getCurrentUserLabel_() + ' (was ' + describeJobLock_(current) + ').');
+  ui.alert('Job lock cleared.');
+}
@@ -0,0 +1,472 @@
+/**
+ * Lobby kiosk check-in web app.
+ *
+ * Deploy: Deploy > New deployment > Web app (see "webapp" in appsscript.json).
+ * Open the /exec URL on the lobby tablet.
+ *
+ * The page (Kiosk.html) lets people:
+ * - search themselves by Personal ID or name (Directory + attendance tabs)
+ * - pick one of today's services/events
+ * - check in, or register as a new guest (a Personal ID is issued with generateUniquePersonalId_)
+ * - scan a QR badge (see 'Badges') in scan mode: the scanner types the Personal ID + Enter
+ *
+ * Each check-in appends one Attendance Log row that processAttendanceLogV2 already understands:
+ *   A = Row ID, B = Personal ID, C = Last, D = First, E = Type (Member/Guest),
+ *   F = Event, G = Date, H = Timestamp, I = Status (Pending until processed), N = Service Slot
+ * With the Attendance Log triggers installed (see 'Log Triggers') the grids pick it up within a minute.
+ *
+ * The page reaches the server only through kioskRequest(); doPost accepts the same
+ * actions as JSON for other front ends:
+ *   {"action": "options"}
+ *   {"action": "search", "query": "dela cruz"}
+ *   {"action": "checkIn", "personalId": "...", "lastName": "...", "firstName": "...", "optionId": "..."}
+ *   {"action": "newGuest", "lastName": "...", "firstName": "...", "optionId": "..."}
+ *   {"action": "scan", "code": "<badge QR text>", "optionId": "..."}
+ *
+ * ?page=badges serves the badge printer instead (Badges.html).
+ *
+ * Anyone in the domain can open the web app, so every other function here ends in "_"
+ * (see 'Access'), and a check-in is only accepted for a Personal ID the kiosk knows.
+ */
+const KIOSK_MAX_RESULTS = 10;
+const KIOSK_DUPLICATE_SCAN_ROWS = 1000; // recent log rows checked for a double tap
+const KIOSK_MAX_TEXT_LENGTH = 100;      // longest query / name / code accepted
+const KIOSK_PEOPLE_CACHE_KEY = 'KIOSK_PEOPLE';
+const KIOSK_PEOPLE_CACHE_SECONDS = 300;
+const KIOSK_CACHE_CHUNK_LENGTH = 30000; // characters; up to 90 KB of UTF-8
+
+/**
+ * Serves the kiosk page (or the badge printer with ?page=badges).
+ */
+function doGet(e) {
+  if (e && e.parameter && e.parameter.page === 'badges') {
+    return HtmlService.createHtmlOutputFromFile('Badges').setTitle('Badges');
+  }
+  return HtmlService.createHtmlOutputFromFile('Kiosk')
+    .setTitle('Check-In')
+    .addMetaTag('viewport', 'width=device-width, initial-scale=1');
+}
+
+/**
+ * JSON API for the same actions as the page.
+ */
+function doPost(e) {
+  let result;
+  try {
+    const body = e && e.postData && e.postData.contents ? JSON.parse(e.postData.contents) : (e && e.parameter) || {};
+    const value = kioskRequest(body);
+    if (body.action === 'options') {
+      result = { ok: true, options: value };
+    } else if (body.action === 'search') {
+      result = { ok: true, people: value };
+    } else {
+      result = { ok: true, message: value };
+    }
+  } catch (err) {
+    result = { ok: false, error: String(err && err.message || err) };
+  }
+  return ContentService.createTextOutput(JSON.stringify(result)).setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * The one server function the kiosk page calls (google.script.run.kioskRequest), and
+ * the dispatcher behind doPost. Only the fields of the given action are read, and each
+ * must be a short string.
+ *
+ * @param {Object} request {action, ...} as listed above.
+ * @return {Object[]|string} Today's options, search results, or the message for the screen.
+ */
+function kioskRequest(request) {
+  if (!request || typeof request !== 'object') throw new Error('Invalid request.');
+  const text = function (field) {
+    const value = request[field];
+    if (value === undefined || value === null) return '';
+    if (typeof value !== 'string' && typeof value !== 'number') throw new Error('Invalid ' + field + '.');
+    const trimmed = String(value).trim();
+    if (trimmed.length > KIOSK_MAX_TEXT_LENGTH) throw new Error('The ' + field + ' is too long.');
+    return trimmed;
+  };
+
+  if (request.action === 'options') {
+    return kioskGetTodayOptions_();
+  } else if (request.action === 'search') {
+    return kioskSearchPeople_(text('query'));
+  } else if (request.action === 'checkIn') {
+    const person = { personalId: text('personalId'), lastName: text('lastName'), firstName: text('firstName') };
+    return kioskCheckIn_(person, text('optionId'));
+  } else if (request.action === 'scan') {
+    return kioskScanBadge_(text('code'), text('optionId'));
+  } else if (request.action === 'newGuest') {
+    return kioskRegisterGuest_(text('lastName'), text('firstName'), text('optionId'));
+  }
+  throw new Error('Unknown action: ' + text('action'));
+}
+
+/**
+ * Today's services and events, from the 'Sunday Service' and 'Event Attendance' column headers.
+ * On a Sunday without a column yet, a plain "Sunday Service" option is offered.
+ * Event names are shown by their canonical name; inactive catalog events are left out.
+ *
+ * @return {Object[]} [{id, label, eventName, slot}]
+ */
+function kioskGetTodayOptions_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const tz = ss.getSpreadsheetTimeZone();
+  const today = Utilities.formatDate(new Date(), tz, 'yyyy-MM-dd');
+  const isToday = function (v) {
+    return v instanceof Date && Utilities.formatDate(v, tz, 'yyyy-MM-dd') === today;
+  };
+
+  const options = [];
+  const seen = new Set();
+  const add = function (eventName, slot) {
+    const id = eventName + '|' + slot;
+    if (seen.has(id)) return;
+    seen.add(id);
+    options.push({ id: id, label: slot ? eventName + ' – ' + slot : eventName, eventName: eventName, slot: slot });
+  };
+
+  // Sunday Service: row 1 slots, row 2 dates, from Col I
+  const sunSheet = ss.getSheetByName('Sunday Service');
+  if (sunSheet && sunSheet.getLastColumn() >= 9) {
+    const header = sunSheet.getRange(1, 9, 2, sunSheet.getLastColumn() - 8).getValues();
+    header[1].forEach(function (d, i) {
+      if (isToday(d)) add('Sunday Service', normalizeServiceSlot_(header[0][i]));
+    });
+  }
+  if (options.length === 0 && new Date().getDay() === 0) add('Sunday Service', '');
+
+  // Event Attendance: row 2 dates, row 3 names, from Col I
+  const eventSheet = ss.getSheetByName('Event Attendance');
+  if (eventSheet && eventSheet.getLastColumn() >= 9) {
+    const header = eventSheet.getRange(2, 9, 2, eventSheet.getLastColumn() - 8).getValues();
+    header[0].forEach(function (d, i) {
+      const name = String(header[1][i] || '').trim();
+      if (!isToday(d) || !name || name === 'Post event name here' || !isEventActive_(name)) return;
+      add(canonicalEventName_(name), '');
+    });
+  }
+
+  options.sort(function (a, b) {
+    if (a.eventName !== b.eventName) return a.eventName === 'Sunday Service' ? -1 : (b.eventName === 'Sunday Service' ? 1 : a.eventName.localeCompare(b.eventName));
+    return serviceSlotSortValue_(a.slot) - serviceSlotSortValue_(b.slot);
+  });
+  return options;
+}
+
+/**
+ * Finds people by Personal ID (exact) or name (every word must start a last or first name).
+ *
+ * @param {string} query
+ * @return {Object[]} [{personalId, lastName, firstName, type}] at most KIOSK_MAX_RESULTS
+ */
+function kioskSearchPeople_(query) {
+  const text = String(query || '').trim().toLowerCase();
+  if (text.length < 2) return [];
+
+  const pidQuery = normalizePersonalId(text);
+  const words = text.split(/[\s,]+/).map(normalizeKeyPart_).filter(String);
+
+  const matches = [];
+  loadKioskPeople_().people.forEach(function (p) {
+    if (pidQuery && normalizePersonalId(p.personalId) === pidQuery) {
+      matches.push({ person: p, rank: 0 });
+      return;
+    }
+    const names = [normalizeKeyPart_(p.lastName), normalizeKeyPart_(p.firstName)];
+    const all = words.length > 0 && words.every(function (w) {
+      return names.some(function (n) { return n.indexOf(w) === 0; });
+    });
+    if (all) matches.push({ person: p, rank: 1 });
+  });
+
+  return matches
+    .sort(function (a, b) {
+      return a.rank - b.rank ||
+        String(a.person.lastName).localeCompare(String(b.person.lastName)) ||
+        String(a.person.firstName).localeCompare(String(b.person.firstName));
+    })
+    .slice(0, KIOSK_MAX_RESULTS)
+    .map(function (m) {
+      return {
+        personalId: m.person.personalId,
+        lastName: m.person.lastName,
+        firstName: m.person.firstName,
+        type: m.person.isMember ? 'Member' : 'Guest'
+      };
+    });
+}
+
+/**
+ * Checks an existing person in to one of today's options. The Personal ID must be
+ * one the kiosk knows; the name is taken from the kiosk's own list (the spelling that
+ * matches the given name, else the first one for that ID).
+ *
+ * @param {Object} person {personalId, lastName, firstName}
+ * @param {string} optionId From kioskGetTodayOptions_().
+ * @return {string} Message for the screen.
+ */
+function kioskCheckIn_(person, optionId) {
+  const option = findKioskOption_(optionId);
+  const pidNorm = normalizePersonalId(String(person && person.personalId || '').trim());
+  if (!pidNorm) throw new Error('Please pick a person from the search results.');
+
+  const index = loadKioskPeople_();
+  const candidates = index.people.filter(function (p) { return normalizePersonalId(p.personalId) === pidNorm; });
+  if (candidates.length === 0) throw new Error('Please pick a person from the search results.');
+  const givenKey = buildAttendanceKey_(pidNorm, person.lastName, person.firstName);
+  const known = candidates.filter(function (p) {
+    return buildAttendanceKey_(pidNorm, p.lastName, p.firstName) === givenKey;
+  })[0] || candidates[0];
+
+  const personalId = known.personalId;
+  const lastName = known.lastName;
+  const firstName = known.firstName;
+  const type = index.directoryIds.has(pidNorm) ? 'Member' : 'Guest';
+
+  const appended = appendKioskLogRow_({ personalId: personalId, lastName: lastName, firstName: firstName }, type, option).appended;
+  const name = (firstName + ' ' + lastName).trim();
+  return appended
+    ? 'Welcome, ' + name + '! You are checked in to ' + option.label + '.'
+    : name + ' is already checked in to ' + option.label + '.';
+}
+
+/**
+ * Checks in whoever's badge was scanned. The QR code holds the Personal ID
+ * (an optional "PID:" prefix is accepted).
+ *
+ * @param {string} code Text typed by the scanner.
+ * @param {string} optionId From kioskGetTodayOptions_().
+ * @return {string} Message for the screen.
+ */
+function kioskScanBadge_(code, optionId) {
+  const pidNorm = normalizePersonalId(String(code || '').replace(/^\s*pid\s*:/i, ''));
+  if (!pidNorm) throw new Error('Badge could not be read. Please try again.');
+
+  const person = loadKioskPeople_().people.filter(function (p) {
+    return normalizePersonalId(p.personalId) === pidNorm;
+  })[0];
+  if (!person) throw new Error('Badge ' + String(code).trim() + ' is not registered. Please see an usher.');
+
+  return kioskCheckIn_(person, optionId);
+}
+
+/**
+ * Registers a first-time guest: issues a Personal ID and checks them in. A second tap
+ * for the same name, service and day gets the ID issued the first time.
+ *
+ * @return {string} Message for the screen (includes the Personal ID).
+ */
+function kioskRegisterGuest_(lastName, firstName, optionId) {
+  const option = findKioskOption_(optionId);
+  const last = capitalizeName(String(lastName || '').trim());
+  const first = capitalizeName(String(firstName || '').trim());
+  if (!last || !first) throw new Error('Please enter both first and last name.');
+
+  const result = appendKioskLogRow_({ personalId: '', lastName: last, firstName: first }, 'Guest', option);
+  return (result.appended ? 'Welcome, ' + first + '! You are checked in to ' : first + ' is already checked in to ') +
+    option.label + '. Your Personal ID is ' + result.personalId + '.';
+}
+
+function findKioskOption_(optionId) {
+  const option = kioskGetTodayOptions_().filter(function (o) { return o.id === optionId; })[0];
+  if (!option) throw new Error('That service or event is not open for check-in today.');
+  return option;
+}
+
+/**
+ * Appends one Attendance Log row (A–N), unless the same person is already logged for
+ * the same event, date and slot (double tap). A person without a Personal ID is a new
+ * guest: the duplicate check goes by name, and the ID is issued here. Both happen under
+ * the script lock, so two tablets can neither issue the same ID nor log the same tap twice.
+ *
+ * @param {Object} person {personalId, lastName, firstName}; personalId '' for a new guest.
+ * @return {{appended: boolean, personalId: string}}
+ */
+function appendKioskLogRow_(person, type, option) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const logSheet = ss.getSheetByName('Attendance Log');
+  if (!logSheet) throw new Error('Attendance Log tab not found.');
+
+  const tz = ss.getSpreadsheetTimeZone();
+  const now = new Date();
+  const todayKey = Utilities.formatDate(now, tz, 'yyyy-MM-dd');
+  const eventDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const pidNorm = normalizePersonalId(person.personalId);
+  const nameKey = normalizeKeyPart_(person.lastName) + '|' + normalizeKeyPart_(person.firstName);
+  const isSamePerson = function (r) {
+    return pidNorm
+      ? normalizePersonalId(r[1]) === pidNorm
+      : normalizeKeyPart_(r[2]) + '|' + normalizeKeyPart_(r[3]) === nameKey;
+  };
+
+  const knownIds = pidNorm ? null : loadKioskPeople_().allIds; // read before waiting for the lock
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(20000);
+  try {
+    const lastRow = logSheet.getLastRow();
+    if (lastRow >= 2) {
+      const firstRow = Math.max(2, lastRow - KIOSK_DUPLICATE_SCAN_ROWS + 1);
+      const recent = logSheet.getRange(firstRow, 1, lastRow - firstRow + 1, 14).getValues();
+      const duplicate = recent.filter(function (r) {
+        return isSamePerson(r) &&
+          String(r[5]).trim().toLowerCase() === option.eventName.toLowerCase() &&
+          r[6] instanceof Date && Utilities.formatDate(r[6], tz, 'yyyy-MM-dd') === todayKey &&
+          normalizeServiceSlot_(r[13]) === option.slot;
+      })[0];
+      if (duplicate) return { appended: false, personalId: String(duplicate[1]).trim() };
+    }
+
+    let personalId = person.personalId;
+    if (!pidNorm) {
+      // The cached index can miss IDs another tablet issued a moment ago; the log has them
+      const ids = new Set(knownIds);
+      if (lastRow >= 2) {
+        logSheet.getRange(2, 2, lastRow - 1, 1).getValues().forEach(function (r) {
+          const id = normalizePersonalId(r[0]);
+          if (id) ids.add(id);
+        });
+      }
+      personalId = generateUniquePersonalId_(ids);
+    }
+
+    logSheet.appendRow([
+      Utilities.getUuid().slice(0, 8), // A: row ID
+      personalId,                      // B
+      person.lastName,                 // C
+      person.firstName,                // D
+      type,                            // E
+      option.eventName,                // F
+      eventDate,                       // G
+      now,                             // H: timestamp
+      LOG_STATUS.PENDING,              // I: status
+      '', '', '', '',                  // J:M (processed later)
+      option.slot                      // N
+    ]);
+    if (!pidNorm) clearKioskPeopleCache_(); // so the new guest can be searched right away
+    return { appended: true, personalId: personalId };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * People the kiosk can find: Directory (Config!B2, Col Z/C/D) plus everyone with a
+ * Personal ID on the attendance tabs and the log (Col B/C/D). Read from the sheets at
+ * most every KIOSK_PEOPLE_CACHE_SECONDS and kept in the script cache in between, since
+ * the page searches on every keystroke.
+ *
+ * @return {{people: Object[], directoryIds: Set<string>, allIds: Set<string>}}
+ */
+function loadKioskPeople_() {
+  let rows = readKioskPeopleCache_();
+  if (!rows) {
+    rows = readKioskPeople_();
+    writeKioskPeopleCache_(rows);
+  }
+
+  const people = [];
+  const directoryIds = new Set();
+  const allIds = new Set();
+  rows.forEach(function (r) {
+    const pidNorm = normalizePersonalId(r[0]);
+    allIds.add(pidNorm);
+    if (r[3]) directoryIds.add(pidNorm);
+    people.push({ personalId: r[0], lastName: r[1], firstName: r[2], isMember: r[3] });
+  });
+  return { people: people, directoryIds: directoryIds, allIds: allIds };
+}
+
+/**
+ * Reads the people from the sheets, one [personalId, lastName, firstName, isMember]
+ * row per Personal ID + name.
+ */
+function readKioskPeople_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const rows = [];
+  const seen = new Set();
+  const directoryIds = new Set();
+
+  const add = function (pid, last, first, isMember) {
+    const pidNorm = normalizePersonalId(pid);
+    if (!pidNorm) return;
+    const key = buildAttendanceKey_(pidNorm, last, first);
+    if (seen.has(key)) return;
+    seen.add(key);
+    rows.push([String(pid).trim(), String(last || '').trim(), String(first || '').trim(), isMember]);
+  };
+
+  try {
+    const configSheet = ss.getSheetByName('Config');
+    const directoryRef = configSheet ? String(configSheet.getRange('B2').getValue() || '').trim() : '';
+    if (directoryRef) {
+      const directorySheet = SpreadsheetApp.openById(extractSpreadsheetIdFromString_(directoryRef)).getSheetByName('Directory');
+      if (directorySheet && directorySheet.getLastRow() > 1) {
+        directorySheet.getDataRange().getValues().slice(1).forEach(function (r) {
+          const pidNorm = normalizePersonalId(r[25]); // Z
+          if (pidNorm) directoryIds.add(pidNorm);
+          add(r[25], r[2], r[3], true);              // Z, C, D
+        });
+      }
+    }
+  } catch (e) {
+    Logger.log('Kiosk: could not read Directory: ' + e);
+  }
+
+  [
+    { name: 'Sunday Service', startRow: 4 },
+    { name: 'Event Attendance', startRow: 5 },
+    { name: 'Pastoral Check-In', startRow: 4 }
+  ].forEach(function (tab) {
+    const sheet = ss.getSheetByName(tab.name);
+    if (!sheet || sheet.getLastRow() < tab.startRow) return;
+    sheet.getRange(tab.startRow, 2, sheet.getLastRow() - tab.startRow + 1, 3).getValues().forEach(function (r) {
+      add(r[0], r[1], r[2], directoryIds.has(normalizePersonalId(r[0])));
+    });
+  });
+
+  // IDs already issued on the log (e.g. kiosk guests not processed yet) must not be reused
+  const logSheet = ss.getSheetByName('Attendance Log');
+  if (logSheet && logSheet.getLastRow() >= 2) {
+    logSheet.getRange(2, 2, logSheet.getLastRow() - 1, 3).getValues().forEach(function (r) {
+      add(r[0], r[1], r[2], directoryIds.has(normalizePersonalId(r[0])));
+    });
+  }
+
+  return rows;
+}
+
+function readKioskPeopleCache_() {
+  const cache = CacheService.getScriptCache();
+  const count = Number(cache.get(KIOSK_PEOPLE_CACHE_KEY));
+  if (!count) return null;
+
+  const keys = [];
+  for (let i = 0; i < count; i++) keys.push(KIOSK_PEOPLE_CACHE_KEY + '.' + i);
+  const chunks = cache.getAll(keys);
+  if (keys.some(function (k) { return chunks[k] === undefined || chunks[k] === null; })) return null;
+  return JSON.parse(keys.map(function (k) { return chunks[k]; }).join(''));
+}
+
+/**
+ * Stores the rows as JSON in chunks (a cache value holds at most 100 KB).
+ */
+function writeKioskPeopleCache_(rows) {
+  const json = JSON.stringify(rows);
+  const chunks = {};
+  let count = 0;
+  for (let i = 0; i < json.length; i += KIOSK_CACHE_CHUNK_LENGTH) {
+    chunks[KIOSK_PEOPLE_CACHE_KEY + '.' + count++] = json.slice(i, i + KIOSK_CACHE_CHUNK_LENGTH);
+  }
+  chunks[KIOSK_PEOPLE_CACHE_KEY] = String(count);
+  try {
+    CacheService.getScriptCache().putAll(chunks, KIOSK_PEOPLE_CACHE_SECONDS);
+  } catch (e) {
+    Logger.log('Kiosk: could not cache the people list: ' + e);
+  }
+}
+
+function clearKioskPeopleCache_() {
+  CacheService.getScriptCache().remove(KIOSK_PEOPLE_CACHE_KEY);
+}
@@ -0,0 +1,207 @@
+/**
+ * Attendance Log processing status (Column I) and reason codes (Column P).
+ *
+ * Column I:
+ * - Pending      not processed yet (a blank status means the same)
+ * - Logged       applied to Sunday Service / Event Attendance / Pastoral Check-In
+ * - Skipped      cannot be processed as entered (no person, no event, unreadable date)
+ * - Error        processing failed (tab missing, date column not found, script error)
+ * - NeedsReview  held until someone decides on the 'Match Review' tab
+ * - Retracted    set by hand on a Logged row to take the attendance back (see 'Log Targets')
+ *
+ * Column J keeps the remark for people; Column P holds one of the LOG_REASON codes
+ * so rows can be filtered and counted.
+ *
+ * processAttendanceLogV2 picks up Pending and NeedsReview rows only. Skipped and
+ * Error rows stay put until the row is edited (see onAttendanceLogEdit in 'Log Triggers')
+ * or retryErroredAttendanceLogRows() sets them back to Pending.
+ */
+const LOG_STATUS = {
+  PENDING: 'Pending',
+  LOGGED: 'Logged',
+  SKIPPED: 'Skipped',
+  ERROR: 'Error',
+  NEEDS_REVIEW: 'NeedsReview',
+  RETRACTED: 'Retracted'
+};
+
+const LOG_REASON = {
+  NEW_PERSON: 'NEW_PERSON',                     // Logged: a row was added for the person
+  DUPLICATE_ENTRY: 'DUPLICATE_ENTRY',           // Logged: same person/event/date earlier in the run
+  MISSING_PERSON: 'MISSING_PERSON',             // Skipped: no Personal ID and no name
+  MISSING_EVENT: 'MISSING_EVENT',               // Skipped
+  MISSING_DATE: 'MISSING_DATE',                 // Skipped
+  INVALID_DATE: 'INVALID_DATE',                 // Skipped: Column G is not a readable date
+  MATCH_REVIEW: 'MATCH_REVIEW',                 // NeedsReview
+  TARGET_SHEET_MISSING: 'TARGET_SHEET_MISSING', // Error: destination tab not found
+  SUMMARY_COLUMNS_IN_USE: 'SUMMARY_COLUMNS_IN_USE', // Error: Pastoral Check-In I:J hold other data
+  DATE_COLUMN_NOT_FOUND: 'DATE_COLUMN_NOT_FOUND', // Error
+  CELL_NOT_FOUND: 'CELL_NOT_FOUND',             // Error: row/column outside the checkbox grid
+  EXCEPTION: 'EXCEPTION',                       // Error: script error, message in Column J
+  RETRY: 'RETRY',                               // Pending: reset by retryErroredAttendanceLogRows()
+  EDITED: 'EDITED',                             // Pending: row edited by hand (Skipped/Error, or Logged and re-routed)
+  RETRACTED: 'RETRACTED',                       // Retracted: its box was unchecked
+  ROLLED_BACK: 'ROLLED_BACK',                   // Pending: batch rolled back
+  RECONCILED: 'RECONCILED'                      // set by a fix on the 'Reconciliation' tab
+};
+
+const LOG_REASON_COLUMN = 16; // Column P
+
+/**
+ * True for statuses the processor does not pick up again by itself.
+ */
+function isSettledLogStatus_(status) {
+  return status === LOG_STATUS.LOGGED || status === LOG_STATUS.SKIPPED || status === LOG_STATUS.ERROR ||
+    status === LOG_STATUS.RETRACTED;
+}
+
+/**
+ * Menu entry: sets every Error row back to Pending and processes the log from the
+ * first of them, then shows what is still stuck.
+ */
+function retryErroredAttendanceLogRows() {
+  return withJobLock_('Retry Attendance Log Errors', function () {
+    return retryErroredAttendanceLogRowsUnlocked_();
+  });
+}
+
+function retryErroredAttendanceLogRowsUnlocked_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const logSheet = ss.getSheetByName('Attendance Log');
+  if (!logSheet) throw new Error('Attendance Log tab not found.');
+
+  ensureLogReasonHeader_(logSheet);
+  const numRows = logSheet.getLastRow() - 1;
+  if (numRows < 1) {
+    showAlert_('The Attendance Log is empty.');
+    return;
+  }
+
+  const statusRange = logSheet.getRange(2, 9, numRows, 2);                 // I:J
+  const reasonRange = logSheet.getRange(2, LOG_REASON_COLUMN, numRows, 1); // P
+  const statusValues = statusRange.getValues();
+  const reasonValues = reasonRange.getValues();
+
+  let firstRow = null;
+  let reset = 0;
+  for (let r = 0; r < numRows; r++) {
+    if (statusValues[r][0] !== LOG_STATUS.ERROR) continue;
+    statusValues[r][0] = LOG_STATUS.PENDING;
+    statusValues[r][1] = 'Retry requested (was ' + (reasonValues[r][0] || 'Error') + ').';
+    reasonValues[r][0] = LOG_REASON.RETRY;
+    if (firstRow === null) firstRow = r + 2;
+    reset++;
+  }
+
+  if (reset === 0) {
+    showAlert_('No Error rows to retry.\n\n' + describeAttendanceLogStatus_(logSheet));
+    return;
+  }
+
+  statusRange.setValues(statusValues);
+  reasonRange.setValues(reasonValues);
+  SpreadsheetApp.flush();
+
+  processAttendanceLogV2({ startRow: firstRow });
+
+  const message = 'Retried ' + reset + ' Error row(s) from row ' + firstRow + '.\n\n' + describeAttendanceLogStatus_(logSheet);
+  Logger.log(message);
+  showAlert_(message);
+}
+
+/**
+ * Menu entry: counts Attendance Log rows per status, and the rows that are not
+ * Logged per reason code.
+ */
+function showAttendanceLogStatusSummary() {
+  assertAuthorizedUser_();
+  const logSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Attendance Log');
+  if (!logSheet) throw new Error('Attendance Log tab not found.');
+  const message = describeAttendanceLogStatus_(logSheet);
+  Logger.log(message);
+  showAlert_(message);
+}
+
+/**
+ * Counts per status and, for rows that are not Logged, per status + reason code
+ * (with the first row number so they are easy to find).
+ *
+ * @return {{byStatus: Object<string, number>, stuck: {status: string, reason: string, count: number, firstRow: number}[]}}
+ */
+function countAttendanceLogStatuses_(logSheet) {
+  const byStatus = {};
+  const stuckByKey = new Map();
+  const numRows = logSheet.getLastRow() - 1;
+  if (numRows < 1) return { byStatus: byStatus, stuck: [] };
+
+  const width = LOG_REASON_COLUMN - 1; // B:P
+  logSheet.getRange(2, 2, numRows, width).getValues().forEach(function (row, i) {
+    const hasData = row[0] || row[1] || row[2] || row[4] || row[5]; // B, C, D, F, G
+    if (!hasData) return;
+
+    const status = String(row[7] || '').trim() || LOG_STATUS.PENDING; // I
+    byStatus[status] = (byStatus[status] || 0) + 1;
+    if (status === LOG_STATUS.LOGGED) return;
+
+    const reason = String(row[width - 1] || '').trim(); // P
+    const key = status + '|' + reason;
+    if (!stuckByKey.has(key)) stuckByKey.set(key, { status: status, reason: reason, count: 0, firstRow: i + 2 });
+    stuckByKey.get(key).count++;
+  });
+
+  const stuck = Array.from(stuckByKey.values()).sort(function (a, b) { return b.count - a.count; });
+  return { byStatus: byStatus, stuck: stuck };
+}
+
+function describeAttendanceLogStatus_(logSheet) {
+  const counts = countAttendanceLogStatuses_(logSheet);
+  const order = [LOG_STATUS.PENDING, LOG_STATUS.LOGGED, LOG_STATUS.NEEDS_REVIEW, LOG_STATUS.SKIPPED, LOG_STATUS.ERROR, LOG_STATUS.RETRACTED];
+  Object.keys(counts.byStatus).forEach(function (s) { if (order.indexOf(s) === -1) order.push(s); });
+
+  const lines = ['Attendance Log rows by status:'];
+  order.forEach(function (s) {
+    if (counts.byStatus[s]) lines.push('  ' + s + ': ' + counts.byStatus[s]);
+  });
+
+  if (counts.stuck.length > 0) {
+    lines.push('', 'Not logged, by reason:');
+    counts.stuck.forEach(function (s) {
+      lines.push('  ' + s.status + ' / ' + (s.reason || 'no reason code') + ': ' + s.count + ' (first at row ' + s.firstRow + ')');
+    });
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Sets Skipped/Error rows in firstRow..lastRow back to Pending (used when they are edited by hand).
+ *
+ * @return {number} Rows reset.
+ */
+function resetSettledLogRowsForEdit_(logSheet, firstRow, lastRow) {
+  const numRows = lastRow - firstRow + 1;
+  if (numRows < 1) return 0;
+
+  const statusRange = logSheet.getRange(firstRow, 9, numRows, 1);                 // I
+  const reasonRange = logSheet.getRange(firstRow, LOG_REASON_COLUMN, numRows, 1); // P
+  const statusValues = statusRange.getValues();
+  const reasonValues = reasonRange.getValues();
+
+  let reset = 0;
+  statusValues.forEach(function (r, i) {
+    if (r[0] !== LOG_STATUS.SKIPPED && r[0] !== LOG_STATUS.ERROR) return;
+    r[0] = LOG_STATUS.PENDING;
+    reasonValues[i][0] = LOG_REASON.EDITED;
+    reset++;
+  });
+
+  if (reset > 0) {
+    statusRange.setValues(statusValues);
+    reasonRange.setValues(reasonValues);
+  }
+  return reset;
+}
+
+function ensureLogReasonHeader_(logSheet) {
+  const header = logSheet.getRange(1, LOG_REASON_COLUMN);
+  if (!header.getValue()) header.setValue('Reason Code');
+}
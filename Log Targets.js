@@ -0,0 +1,254 @@
+/**
+ * Which grid cell (or pastoral check-in) each Logged Attendance Log row set, so later
+ * edits and deletions can be carried over to 'Sunday Service' / 'Event Attendance' /
+ * 'Pastoral Check-In'.
+ *
+ * processAttendanceLogV2 records one row per Logged log row on the 'Log Targets' tab:
+ *   A = Log ID (Attendance Log Column A; the processor fills it in when blank)
+ *   B = Log Row (when processed; informational, rows move when others are deleted)
+ *   C = Sheet   D = Person Key (buildAttendanceKey_)
+ *   E = Column Key (as in the Batch Journal; the check-in date for 'Pastoral Check-In')
+ *   F = Fingerprint (Personal ID, names, event, date and slot the row was routed with)
+ *   G = Batch ID   H = Recorded At
+ *
+ * syncAttendanceLogTargets() compares them with the log:
+ * - log row deleted, or its Status set to "Retracted": the box is unchecked
+ * - Logged row whose person, event, date or slot was edited: the old box is unchecked
+ *   and the row goes back to Pending, so the next run routes it to the new cell
+ * - any other status (rolled back, skipped or reprocessed from Reconciliation): the
+ *   target is dropped, the grid is left alone
+ * A box is only unchecked when no remaining Logged row points at it. For a pastoral
+ * check-in, "unchecking" deletes its 'Pastoral History' row (found by Log ID) and
+ * rebuilds the person's summary on 'Pastoral Check-In'.
+ *
+ * The Attendance Log triggers (see 'Log Triggers') run the sync before processing
+ * whenever a log row was edited or deleted.
+ */
+const LOG_TARGETS_SHEET_NAME = 'Log Targets';
+const LOG_TARGETS_NUM_COLS = 8;
+const LOG_SYNC_NEEDED_PROPERTY = 'ATTENDANCE_LOG_SYNC_NEEDED';
+
+/**
+ * Routing fingerprint of an Attendance Log row read as B:P.
+ */
+function logRowFingerprint_(row) {
+  const date = row[5] instanceof Date ? row[5] : new Date(row[5]);
+  const dateText = row[5] && !isNaN(date.getTime())
+    ? (date.getMonth() + 1) + '-' + date.getDate() + '-' + date.getFullYear()
+    : String(row[5] || '');
+  return [
+    normalizePersonalId(row[0]),
+    normalizeKeyPart_(row[1]),
+    normalizeKeyPart_(row[2]),
+    canonicalEventName_(row[4]).toLowerCase(),
+    dateText,
+    normalizeServiceSlot_(row[12])
+  ].join('|');
+}
+
+/**
+ * Adds targets from a processing run, replacing older targets with the same Log ID.
+ *
+ * @param {Spreadsheet} ss
+ * @param {Array[]} targets Rows in 'Log Targets' column order.
+ */
+function recordLogTargets_(ss, targets) {
+  if (targets.length === 0) return;
+  const sheet = getOrCreateLogTargetsSheet_(ss);
+
+  const byId = new Map();
+  targets.forEach(function (t) { byId.set(String(t[0]), t); });
+
+  const existing = readLogTargets_(sheet);
+  const kept = existing.filter(function (t) { return !byId.has(String(t[0])); });
+  if (kept.length === existing.length) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, targets.length, LOG_TARGETS_NUM_COLS).setValues(targets);
+    return;
+  }
+  writeLogTargets_(sheet, kept.concat(Array.from(byId.values())));
+}
+
+/**
+ * Drops the targets recorded by one batch (used by rollbackAttendanceLogBatch).
+ */
+function removeLogTargetsForBatch_(ss, batchId) {
+  const sheet = ss.getSheetByName(LOG_TARGETS_SHEET_NAME);
+  if (!sheet) return 0;
+  const existing = readLogTargets_(sheet);
+  const kept = existing.filter(function (t) { return String(t[6]).trim() !== batchId; });
+  if (kept.length !== existing.length) writeLogTargets_(sheet, kept);
+  return existing.length - kept.length;
+}
+
+/**
+ * Called by the triggers when a log row was edited or deleted.
+ */
+function markAttendanceLogSyncNeeded_() {
+  PropertiesService.getScriptProperties().setProperty(LOG_SYNC_NEEDED_PROPERTY, 'true');
+}
+
+/**
+ * Menu entry: applies edits, deletions and retractions of Logged rows to the grids,
+ * then processes the rows that were sent back to Pending.
+ */
+function syncAttendanceLogTargets() {
+  return withJobLock_('Sync Attendance Log Targets', function () {
+    const result = syncAttendanceLogTargetsUnlocked_();
+    if (result.firstPendingRow) processAttendanceLogV2({ startRow: result.firstPendingRow });
+    showAlert_(result.message);
+  });
+}
+
+/**
+ * @return {{message: string, firstPendingRow: number|null}} firstPendingRow = lowest
+ *     log row that was set back to Pending (it still needs a processing run).
+ */
+function syncAttendanceLogTargetsUnlocked_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  PropertiesService.getScriptProperties().deleteProperty(LOG_SYNC_NEEDED_PROPERTY);
+
+  const sheet = ss.getSheetByName(LOG_TARGETS_SHEET_NAME);
+  const logSheet = ss.getSheetByName('Attendance Log');
+  const targets = sheet ? readLogTargets_(sheet) : [];
+  if (!logSheet || targets.length === 0) return { message: 'No log targets to sync.', firstPendingRow: null };
+
+  // Current log rows by Log ID
+  const logById = new Map();
+  const numLogRows = logSheet.getLastRow() - 1;
+  const logValues = numLogRows > 0 ? logSheet.getRange(2, 1, numLogRows, LOG_REASON_COLUMN).getValues() : []; // A:P
+  logValues.forEach(function (r, i) {
+    const id = String(r[0] || '').trim();
+    if (id && !logById.has(id)) logById.set(id, { row: i + 2, status: r[8], fingerprint: logRowFingerprint_(r.slice(1)) });
+  });
+
+  const kept = [];
+  const retract = [];     // targets whose box should be unchecked
+  const retracted = [];   // log rows marked Retracted
+  const rerouted = [];    // log rows set back to Pending
+  let dropped = 0;
+
+  targets.forEach(function (t) {
+    const entry = logById.get(String(t[0]).trim());
+    if (!entry) {
+      retract.push(t);
+    } else if (entry.status === LOG_STATUS.RETRACTED) {
+      retract.push(t);
+      retracted.push(entry.row);
+    } else if (entry.status !== LOG_STATUS.LOGGED) {
+      dropped++;
+    } else if (entry.fingerprint !== String(t[5])) {
+      retract.push(t);
+      rerouted.push(entry.row);
+    } else {
+      kept.push(t);
+    }
+  });
+
+  if (kept.length === targets.length) return { message: 'Log targets are in sync.', firstPendingRow: null };
+
+  // Pastoral check-ins: each log row has its own history row
+  const pastoralLogIds = new Set();
+  const pastoralKeys = new Set();
+  retract.forEach(function (t) {
+    if (String(t[2]) !== 'Pastoral Check-In') return;
+    pastoralLogIds.add(String(t[0]).trim());
+    pastoralKeys.add(String(t[3]));
+  });
+  let removedCheckIns = 0;
+  if (pastoralLogIds.size > 0) {
+    removedCheckIns = removePastoralHistoryLogIds_(ss, pastoralLogIds);
+    rebuildPastoralCheckInSummary_(ss, loadPastoralHistory_(ss), pastoralKeys);
+  }
+
+  // Uncheck boxes no remaining Logged row points at
+  const liveCells = new Set(kept.map(function (t) { return t[2] + '|' + t[3] + '|' + t[4]; }));
+  const bySheet = new Map();
+  retract.forEach(function (t) {
+    if (String(t[2]) === 'Pastoral Check-In') return;
+    const cellKey = t[2] + '|' + t[3] + '|' + t[4];
+    if (liveCells.has(cellKey)) return;
+    liveCells.add(cellKey); // once per cell
+    if (!bySheet.has(String(t[2]))) bySheet.set(String(t[2]), []);
+    bySheet.get(String(t[2])).push(t);
+  });
+
+  let unchecked = 0;
+  let notFound = 0;
+  bySheet.forEach(function (list, sheetName) {
+    const cfg = getRollbackSheetConfig_(sheetName);
+    const grid = cfg && cfg.isGrid ? ss.getSheetByName(sheetName) : null;
+    if (!grid) {
+      notFound += list.length;
+      return;
+    }
+    const data = prepareSheetDataWithPersonalId_(grid, cfg.dataStartRow, cfg.dataStartCol, cfg.keyRows, cfg.useFullDate, cfg.isEventSheet, cfg.slotRow);
+    const rowKeys = readAttendanceKeysByRow_(grid, cfg.dataStartRow);
+    let changed = false;
+    list.forEach(function (t) {
+      const rowNum = findRowByAttendanceKey_(rowKeys, cfg.dataStartRow, String(t[3]), null);
+      const colNum = data.dateMap.get(String(t[4]));
+      const gridRow = rowNum ? data.checkboxes[rowNum - cfg.dataStartRow] : null;
+      if (!gridRow || !colNum) {
+        Logger.log('Log targets: could not locate ' + t[3] + ' / ' + t[4] + ' in ' + sheetName + '.');
+        notFound++;
+        return;
+      }
+      if (gridRow[colNum - cfg.dataStartCol] === true) {
+        gridRow[colNum - cfg.dataStartCol] = false;
+        changed = true;
+        unchecked++;
+      }
+    });
+    if (changed) {
+      grid.getRange(cfg.dataStartRow, cfg.dataStartCol, data.checkboxes.length, data.checkboxes[0].length).setValues(data.checkboxes);
+    }
+  });
+
+  // Log rows: Retracted keeps its status, edited rows go back to Pending
+  retracted.forEach(function (row) {
+    logSheet.getRange(row, 10).setValue('Retracted: box unchecked.'); // J
+    logSheet.getRange(row, LOG_REASON_COLUMN).setValue(LOG_REASON.RETRACTED);
+  });
+  rerouted.forEach(function (row) {
+    logSheet.getRange(row, 9, 1, 2).setValues([[LOG_STATUS.PENDING, 'Edited after processing; old box unchecked.']]); // I:J
+    logSheet.getRange(row, LOG_REASON_COLUMN).setValue(LOG_REASON.EDITED);
+  });
+
+  writeLogTargets_(sheet, kept);
+
+  const message = 'Log targets: ' + unchecked + ' box(es) unchecked, ' +
+    (removedCheckIns ? removedCheckIns + ' pastoral check-in(s) removed, ' : '') + retracted.length + ' retracted, ' +
+    (retract.length - retracted.length - rerouted.length) + ' deleted, ' + rerouted.length + ' edited row(s) set to Pending, ' +
+    dropped + ' dropped' + (notFound ? ', ' + notFound + ' could not be located' : '') + '.';
+  Logger.log(message);
+  return { message: message, firstPendingRow: rerouted.length > 0 ? Math.min.apply(null, rerouted) : null };
+}
+
+function readLogTargets_(sheet) {
+  if (sheet.getLastRow() < 2) return [];
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, LOG_TARGETS_NUM_COLS).getValues()
+    .filter(function (t) { return String(t[0]).trim(); });
+}
+
+/**
+ * Rewrites the targets from row 2 and clears the rows below them.
+ */
+function writeLogTargets_(sheet, targets) {
+  const oldCount = Math.max(sheet.getLastRow() - 1, 0);
+  if (targets.length > 0) sheet.getRange(2, 1, targets.length, LOG_TARGETS_NUM_COLS).setValues(targets);
+  if (oldCount > targets.length) {
+    sheet.getRange(2 + targets.length, 1, oldCount - targets.length, LOG_TARGETS_NUM_COLS).clearContent();
+  }
+}
+
+function getOrCreateLogTargetsSheet_(ss) {
+  let sheet = ss.getSheetByName(LOG_TARGETS_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(LOG_TARGETS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, LOG_TARGETS_NUM_COLS).setValues([[
+      'Log ID', 'Log Row', 'Sheet', 'Person Key', 'Column Key', 'Fingerprint', 'Batch ID', 'Recorded At'
+    ]]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
@@ -0,0 +1,232 @@
+/**
+ * Trigger-driven incremental processing of the Attendance Log.
+ *
+ * installAttendanceLogTriggers() adds four installable triggers:
+ * - onAttendanceLogFormSubmit: a form response was appended to the log
+ * - onAttendanceLogChange: rows were appended/changed by another app (AppSheet, API, paste)
+ * - onAttendanceLogEdit: a log row was edited by hand, or a Match Review decision was picked
+ * - processQueuedAttendanceLogRows every 5 minutes: picks up a queue the others left behind
+ *   (a run skipped because another job held the job lock, see 'Job Lock', or a failed run).
+ *   With nothing queued it returns without taking the lock or writing properties.
+ *
+ * Each handler runs processAttendanceLogV2({ startRow }) for the new or edited rows only:
+ * - ATTENDANCE_LOG_PROCESSED_THROUGH (script property) = last log row seen by the previous run;
+ *   rows below it are not re-read.
+ * - ATTENDANCE_LOG_PENDING_FROM = lowest edited row that needs another look.
+ * Rows that are already Logged, Skipped, Error or Retracted are skipped by the processor as usual.
+ * Edits and deletions of log rows also set ATTENDANCE_LOG_SYNC_NEEDED; the next run first
+ * carries them over to the grids (see 'Log Targets').
+ */
+const LOG_PROCESSED_THROUGH_PROPERTY = 'ATTENDANCE_LOG_PROCESSED_THROUGH';
+const LOG_PENDING_FROM_PROPERTY = 'ATTENDANCE_LOG_PENDING_FROM';
+const LOG_TRIGGER_HANDLERS = [
+  'onAttendanceLogFormSubmit',
+  'onAttendanceLogChange',
+  'onAttendanceLogEdit',
+  'processQueuedAttendanceLogRows',
+  'processPendingAttendanceLogRows' // the every-minute handler of earlier versions
+];
+
+/**
+ * Menu entry: (re)installs the Attendance Log triggers for this spreadsheet.
+ */
+function installAttendanceLogTriggers() {
+  assertAuthorizedUser_();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  removeAttendanceLogTriggers_();
+
+  ScriptApp.newTrigger('onAttendanceLogFormSubmit').forSpreadsheet(ss).onFormSubmit().create();
+  ScriptApp.newTrigger('onAttendanceLogChange').forSpreadsheet(ss).onChange().create();
+  ScriptApp.newTrigger('onAttendanceLogEdit').forSpreadsheet(ss).onEdit().create();
+  ScriptApp.newTrigger('processQueuedAttendanceLogRows').timeBased().everyMinutes(5).create();
+
+  const message = 'Attendance Log triggers installed. New and edited log rows will be processed automatically.';
+  Logger.log(message);
+  showAlert_(message);
+}
+
+/**
+ * Menu entry: removes the Attendance Log triggers (manual processing still works).
+ */
+function removeAttendanceLogTriggers() {
+  assertAuthorizedUser_();
+  const removed = removeAttendanceLogTriggers_();
+  const message = removed + ' Attendance Log trigger(s) removed.';
+  Logger.log(message);
+  showAlert_(message);
+}
+
+function removeAttendanceLogTriggers_() {
+  let removed = 0;
+  ScriptApp.getProjectTriggers().forEach(function (trigger) {
+    if (LOG_TRIGGER_HANDLERS.indexOf(trigger.getHandlerFunction()) !== -1) {
+      ScriptApp.deleteTrigger(trigger);
+      removed++;
+    }
+  });
+  return removed;
+}
+
+/**
+ * Installable onFormSubmit handler.
+ */
+function onAttendanceLogFormSubmit(e) {
+  assertAuthorizedUser_(e);
+  if (e && e.range && e.range.getSheet().getName() === 'Attendance Log') {
+    markAttendanceLogRowsPending_(e.range.getRow());
+  }
+  processPendingAttendanceLogRows();
+}
+
+/**
+ * Installable onChange handler. Appended rows are picked up through the
+ * processed-through mark, so the change type only decides whether to run
+ * (and, for removed rows, that the log targets need a sync).
+ */
+function onAttendanceLogChange(e) {
+  assertAuthorizedUser_(e);
+  const changeType = e && e.changeType;
+  if (changeType === 'REMOVE_ROW') markAttendanceLogSyncNeeded_();
+  if (changeType && ['EDIT', 'INSERT_ROW', 'REMOVE_ROW', 'OTHER'].indexOf(changeType) === -1) return;
+  processPendingAttendanceLogRows();
+}
+
+/**
+ * Installable onEdit handler.
+ * - Attendance Log edits queue the edited rows; editing the data of a Skipped/Error
+ *   row sets it back to Pending (see 'Log Status').
+ * - Match Review decisions (Column M) queue the log row waiting on that decision (found by
+ *   its Log ID).
+ * - Reconciliation fixes (Column K) are applied right away (see 'Reconciliation').
+ */
+function onAttendanceLogEdit(e) {
+  assertAuthorizedUser_(e);
+  if (!e || !e.range) return;
+  const sheet = e.range.getSheet();
+  const sheetName = sheet.getName();
+
+  if (sheetName === 'Attendance Log') {
+    if (e.range.getLastRow() < 2) return;
+    const firstRow = Math.max(2, e.range.getRow());
+    if (isAttendanceLogDataEdit_(e.range)) resetSettledLogRowsForEdit_(sheet, firstRow, e.range.getLastRow());
+    markAttendanceLogSyncNeeded_(); // Logged rows edited or set to Retracted
+    markAttendanceLogRowsPending_(firstRow);
+  } else if (sheetName === MATCH_REVIEW_SHEET_NAME) {
+    if (e.range.getLastRow() < 2 || e.range.getColumn() > 13 || e.range.getLastColumn() < 13) return; // M
+    const firstRow = Math.max(2, e.range.getRow());
+    const reviewRows = sheet.getRange(firstRow, 1, e.range.getLastRow() - firstRow + 1, MATCH_REVIEW_NUM_COLS).getValues();
+    const logIdRows = new Map(); // Log ID -> current log row (rows may have moved since they were queued)
+    if (reviewRows.some(function (r) { return String(r[14] || '').trim(); })) {
+      const logSheet = sheet.getParent().getSheetByName('Attendance Log');
+      if (logSheet && logSheet.getLastRow() >= 2) {
+        logSheet.getRange(2, 1, logSheet.getLastRow() - 1, 1).getValues().forEach(function (r, i) {
+          const logId = String(r[0] || '').trim();
+          if (logId) logIdRows.set(logId, i + 2);
+        });
+      }
+    }
+    reviewRows.forEach(function (r) {
+      const logRow = logIdRows.get(String(r[14] || '').trim()) || Number(r[0]); // O = Log ID, A = Log Row
+      if (logRow >= 2) markAttendanceLogRowsPending_(logRow);
+    });
+  } else if (sheetName === RECONCILIATION_TAB_NAME) {
+    if (e.range.getLastRow() < 2 || e.range.getColumn() > RECONCILIATION_FIX_COLUMN || e.range.getLastColumn() < RECONCILIATION_FIX_COLUMN) return; // K
+    try {
+      withJobLock_('Apply Reconciliation Fixes (automatic)', applyReconciliationFixesUnlocked_);
+    } catch (err) {
+      if (!isJobLockBusyError_(err)) throw err;
+      Logger.log(err.message + ' Run applyReconciliationFixes when it finishes.');
+    }
+    return;
+  } else {
+    return;
+  }
+
+  processPendingAttendanceLogRows();
+}
+
+/**
+ * True unless the edit only touched the columns the processor writes (I, J, M, P).
+ */
+function isAttendanceLogDataEdit_(range) {
+  const processorColumns = [9, 10, 13, LOG_REASON_COLUMN];
+  for (let c = range.getColumn(); c <= range.getLastColumn(); c++) {
+    if (processorColumns.indexOf(c) === -1) return true;
+  }
+  return false;
+}
+
+/**
+ * Lowers the pending-from mark so the next run re-reads the log from fromRow.
+ */
+function markAttendanceLogRowsPending_(fromRow) {
+  const props = PropertiesService.getScriptProperties();
+  const current = Number(props.getProperty(LOG_PENDING_FROM_PROPERTY)) || Infinity;
+  if (fromRow < current) props.setProperty(LOG_PENDING_FROM_PROPERTY, String(fromRow));
+}
+
+/**
+ * Processes log rows appended since the last run plus any queued edits.
+ * Skips quietly when another job holds the job lock; the queue is kept for the next run.
+ * As a trigger handler it passes its event object to the user check (see 'Access').
+ */
+function processPendingAttendanceLogRows(e) {
+  assertAuthorizedUser_(e);
+  try {
+    withJobLock_('Process Attendance Log (automatic)', processPendingAttendanceLogRowsUnlocked_);
+  } catch (err) {
+    if (!isJobLockBusyError_(err)) throw err;
+    // Queue the rows this run would have read, for the next run or processQueuedAttendanceLogRows
+    const processedThrough = Number(PropertiesService.getScriptProperties().getProperty(LOG_PROCESSED_THROUGH_PROPERTY)) || 1;
+    markAttendanceLogRowsPending_(processedThrough + 1);
+    Logger.log(err.message + ' Pending rows will be picked up next time.');
+  }
+}
+
+/**
+ * Time-driven handler: runs processPendingAttendanceLogRows only when something is queued
+ * (ATTENDANCE_LOG_PENDING_FROM or ATTENDANCE_LOG_SYNC_NEEDED is set).
+ */
+function processQueuedAttendanceLogRows(e) {
+  const props = PropertiesService.getScriptProperties();
+  if (!props.getProperty(LOG_PENDING_FROM_PROPERTY) && !props.getProperty(LOG_SYNC_NEEDED_PROPERTY)) return;
+  processPendingAttendanceLogRows(e);
+}
+
+function processPendingAttendanceLogRowsUnlocked_() {
+  const logSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Attendance Log');
+  if (!logSheet) return;
+
+  const props = PropertiesService.getScriptProperties();
+  if (props.getProperty(LOG_SYNC_NEEDED_PROPERTY)) {
+    const sync = syncAttendanceLogTargetsUnlocked_();
+    if (sync.firstPendingRow) markAttendanceLogRowsPending_(sync.firstPendingRow);
+  }
+
+  const processedThrough = Number(props.getProperty(LOG_PROCESSED_THROUGH_PROPERTY)) || 1;
+  const pendingFrom = Number(props.getProperty(LOG_PENDING_FROM_PROPERTY)) || Infinity;
+  const lastRow = logSheet.getLastRow();
+
+  // The log shrank (rows deleted): start over from the new end
+  const startRow = Math.min(Math.min(processedThrough, lastRow) + 1, pendingFrom);
+  if (startRow > lastRow) {
+    props.deleteProperty(LOG_PENDING_FROM_PROPERTY);
+    props.setProperty(LOG_PROCESSED_THROUGH_PROPERTY, String(lastRow));
+    return;
+  }
+
+  // Clear the queue first so edits made while this run is busy are kept for the next one
+  props.deleteProperty(LOG_PENDING_FROM_PROPERTY);
+  let result;
+  try {
+    result = processAttendanceLogV2({ startRow: startRow });
+  } catch (err) {
+    Logger.log('Incremental Attendance Log processing failed: ' + err);
+    markAttendanceLogRowsPending_(startRow); // retry these rows next time
+    throw err;
+  }
+
+  // A run that stopped at its time budget only covered the rows above resumeFromRow
+  const coveredThrough = result && result.resumeFromRow ? result.resumeFromRow - 1 : lastRow;
+  props.setProperty(LOG_PROCESSED_THROUGH_PROPERTY, String(coveredThrough));
+}
@@ -0,0 +1,369 @@
+/**
+ * Fuzzy-match review queue for processAttendanceLogV2.
+ *
+ * When a log row's key (buildAttendanceKey_) does not exactly match an existing
+ * row, the processor used to append a "New person" straight away. Typos
+ * ("Cristine" vs "Christine") or a missing Personal ID then created duplicates.
+ *
+ * Now, before adding a new person, existing rows of the destination tab are
+ * ranked by:
+ * - name similarity (Levenshtein ratio on Last/First)
+ * - nicknames (Bill = William, ...)
+ * - swapped first/last names
+ * - Personal ID similarity
+ *
+ * If any candidate scores at or above MATCH_REVIEW_THRESHOLD, the log row is
+ * held back and the candidates are listed on the 'Match Review' tab:
+ *   A = Log Row
+ *   B = Log Personal ID
+ *   C = Log Last Name
+ *   D = Log First Name
+ *   E = Event
+ *   F = Date
+ *   G = Rank
+ *   H = Candidate Personal ID
+ *   I = Candidate Last Name
+ *   J = Candidate First Name
+ *   K = Score
+ *   L = Why
+ *   M = Decision ("Accept Match" on a candidate row, or "Create New")
+ *   N = Status ("Open" / "Applied")
+ *   O = Log ID (Column A of the Attendance Log)
+ *
+ * Decisions are matched to log rows by Log ID, so they still apply after rows are
+ * inserted or deleted above them. Rows queued before the Log ID column match by
+ * log row and person, as before.
+ *
+ * The next processAttendanceLogV2 run honours the decision: "Accept Match"
+ * logs the attendance to the chosen person (and rewrites the log row's B:D to
+ * that person), "Create New" adds the new person as before.
+ */
+const MATCH_REVIEW_SHEET_NAME = 'Match Review';
+const MATCH_REVIEW_NUM_COLS = 15;
+const MATCH_REVIEW_THRESHOLD = 0.75;
+const MATCH_REVIEW_MAX_CANDIDATES = 3;
+const MATCH_DECISION_ACCEPT = 'Accept Match';
+const MATCH_DECISION_CREATE = 'Create New';
+
+/**
+ * Common first-name nickname groups (normalized).
+ */
+const NICKNAME_GROUPS = [
+  ['william', 'bill', 'billy', 'will', 'willy', 'liam'],
+  ['robert', 'bob', 'bobby', 'rob', 'robby', 'bert'],
+  ['elizabeth', 'liz', 'lizzy', 'beth', 'betty', 'eliza', 'lisa', 'elsa'],
+  ['christine', 'christina', 'chris', 'chrissy', 'tina'],
+  ['christopher', 'chris', 'topher'],
+  ['michael', 'mike', 'mikey', 'mick'],
+  ['jonathan', 'john', 'jon', 'johnny', 'jack'],
+  ['katherine', 'catherine', 'kathryn', 'kate', 'katie', 'kathy', 'cathy', 'kat'],
+  ['joseph', 'joe', 'joey', 'jojo'],
+  ['josephine', 'jo', 'josie', 'jojo'],
+  ['margaret', 'maggie', 'meg', 'peggy', 'marge'],
+  ['richard', 'rick', 'ricky', 'rich', 'richie', 'dick'],
+  ['james', 'jim', 'jimmy', 'jamie'],
+  ['thomas', 'tom', 'tommy'],
+  ['anthony', 'tony'],
+  ['antonio', 'tony', 'anton'],
+  ['daniel', 'dan', 'danny'],
+  ['jennifer', 'jen', 'jenny'],
+  ['patricia', 'pat', 'patty', 'trish', 'tricia'],
+  ['samuel', 'sam', 'sammy'],
+  ['samantha', 'sam', 'sammy'],
+  ['benjamin', 'ben', 'benji'],
+  ['alexander', 'alex', 'xander'],
+  ['alexandra', 'alex', 'sandra', 'sandy'],
+  ['rebecca', 'becky', 'becca'],
+  ['deborah', 'debra', 'deb', 'debbie'],
+  ['victoria', 'vicky', 'tori'],
+  ['maria', 'mary', 'marie', 'mia'],
+  ['francisco', 'frank', 'paco', 'kiko'],
+  ['francis', 'frank', 'franky'],
+  ['edward', 'ed', 'eddie', 'ted'],
+  ['gregory', 'greg'],
+  ['matthew', 'matt'],
+  ['nicholas', 'nick', 'nicky'],
+  ['steven', 'stephen', 'steve'],
+  ['andrew', 'andy', 'drew'],
+  ['timothy', 'tim', 'timmy'],
+  ['kenneth', 'ken', 'kenny'],
+  ['ronald', 'ron', 'ronnie'],
+  ['donald', 'don', 'donnie'],
+  ['charles', 'charlie', 'chuck'],
+  ['susan', 'sue', 'suzy'],
+  ['theresa', 'teresa', 'tess', 'terry']
+];
+
+/**
+ * Loads open decisions from the 'Match Review' tab.
+ *
+ * @return {{decisions: Map, openLogRows: Set, queuedRows: Array[], appliedLogRows: Set, logRewrites: Array}}
+ */
+function loadMatchReview_(ss) {
+  const review = {
+    decisions: new Map(),   // Log ID (or "logRow|logKey") -> { decision, candidate }
+    openLogRows: new Set(), // Log IDs (or "logRow|logKey") already waiting for a decision
+    queuedRows: [],
+    appliedLogRows: new Set(),
+    logRewrites: []
+  };
+
+  const sheet = ss.getSheetByName(MATCH_REVIEW_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return review;
+
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, MATCH_REVIEW_NUM_COLS).getValues();
+  values.forEach(function (r) {
+    if (String(r[13]).trim() !== 'Open') return;
+
+    const reviewKey = matchReviewRowKey_(r);
+    review.openLogRows.add(reviewKey);
+
+    const decision = String(r[12] || '').trim();
+    if (decision === MATCH_DECISION_ACCEPT) {
+      review.decisions.set(reviewKey, {
+        decision: decision,
+        candidate: {
+          personalId: String(r[7] || '').trim(),
+          lastName: String(r[8] || '').trim(),
+          firstName: String(r[9] || '').trim()
+        }
+      });
+    } else if (decision === MATCH_DECISION_CREATE && !review.decisions.has(reviewKey)) {
+      review.decisions.set(reviewKey, { decision: decision, candidate: null });
+    }
+  });
+
+  return review;
+}
+
+/**
+ * Decides what to do with a log record that has no exact match in a destination tab.
+ *
+ * - A decision exists: "Accept Match" re-points the record to the candidate
+ *   (personalId/lastName/firstName/key) and returns 'matched';
+ *   "Create New" returns 'create'.
+ * - No decision: candidates >= threshold are queued for review and 'queued'
+ *   is returned; otherwise 'create'.
+ *
+ * @param {Object} review Result of loadMatchReview_().
+ * @param {Object} record Attendance record from processAttendanceLogV2.
+ * @param {Object[]} people Existing rows: { personalId, lastName, firstName }.
+ * @return {string} 'matched' | 'create' | 'queued'
+ */
+function reviewNewPersonMatch_(review, record, people) {
+  const legacyKey = record.originalLogRownum + '|' + record.key;
+  const reviewKey = review.openLogRows.has(legacyKey) ? legacyKey : String(record.logId || legacyKey);
+  const decision = review.decisions.get(reviewKey);
+
+  if (decision) {
+    review.appliedLogRows.add(reviewKey);
+    if (decision.decision === MATCH_DECISION_CREATE) return 'create';
+
+    const c = decision.candidate;
+    record.personalId = c.personalId;
+    record.lastName = c.lastName;
+    record.firstName = c.firstName;
+    record.key = buildAttendanceKey_(c.personalId, c.lastName, c.firstName);
+    review.logRewrites.push({ logRow: record.originalLogRownum, personalId: c.personalId, lastName: c.lastName, firstName: c.firstName });
+    return 'matched';
+  }
+
+  if (review.openLogRows.has(reviewKey)) return 'queued';
+
+  const candidates = findMatchCandidates_(record, people);
+  if (candidates.length === 0) return 'create';
+
+  candidates.forEach(function (c, i) {
+    review.queuedRows.push([
+      record.originalLogRownum,
+      record.personalId,
+      record.lastName,
+      record.firstName,
+      record.eventName,
+      record.eventDate,
+      i + 1,
+      c.personalId,
+      c.lastName,
+      c.firstName,
+      Math.round(c.score * 100) / 100,
+      c.reasons.join(', '),
+      '',
+      'Open',
+      record.logId || ''
+    ]);
+  });
+  review.openLogRows.add(reviewKey);
+  return 'queued';
+}
+
+/**
+ * Writes queued candidates, marks decided reviews as applied and rewrites
+ * B:D of log rows whose match was accepted.
+ */
+function commitMatchReview_(ss, review, logSheet) {
+  if (review.queuedRows.length > 0) {
+    const sheet = getOrCreateMatchReviewSheet_(ss);
+    const startRow = sheet.getLastRow() + 1;
+    sheet.getRange(startRow, 1, review.queuedRows.length, MATCH_REVIEW_NUM_COLS).setValues(review.queuedRows);
+    sheet.getRange(startRow, 6, review.queuedRows.length, 1).setNumberFormat('MM-dd-yy');
+    sheet.getRange(startRow, 15, review.queuedRows.length, 1).setNumberFormat('@'); // Log IDs stay text
+
+    const rule = SpreadsheetApp.newDataValidation()
+      .requireValueInList([MATCH_DECISION_ACCEPT, MATCH_DECISION_CREATE], true)
+      .setAllowInvalid(false)
+      .build();
+    sheet.getRange(startRow, 13, review.queuedRows.length, 1).setDataValidation(rule);
+    Logger.log('Match Review: queued ' + review.queuedRows.length + ' candidate row(s).');
+  }
+
+  if (review.appliedLogRows.size > 0) {
+    const sheet = ss.getSheetByName(MATCH_REVIEW_SHEET_NAME);
+    const statusRange = sheet.getRange(2, 1, sheet.getLastRow() - 1, MATCH_REVIEW_NUM_COLS);
+    const values = statusRange.getValues();
+    const statusCol = values.map(function (r) {
+      const reviewKey = matchReviewRowKey_(r);
+      return [review.appliedLogRows.has(reviewKey) && r[13] === 'Open' ? 'Applied' : r[13]];
+    });
+    sheet.getRange(2, 14, statusCol.length, 1).setValues(statusCol);
+  }
+
+  review.logRewrites.forEach(function (w) {
+    logSheet.getRange(w.logRow, 2, 1, 3).setValues([[w.personalId, w.lastName, w.firstName]]); // B:D
+  });
+}
+
+/**
+ * Key of a Match Review row: its Log ID, or "logRow|logKey" for rows queued without one.
+ */
+function matchReviewRowKey_(r) {
+  const logId = String(r[14] || '').trim();
+  return logId || r[0] + '|' + buildAttendanceKey_(r[1], r[2], r[3]);
+}
+
+/**
+ * Returns the 'Match Review' tab, creating it (with headers) if needed.
+ * Tabs made before the Log ID column get its header.
+ */
+function getOrCreateMatchReviewSheet_(ss) {
+  let sheet = ss.getSheetByName(MATCH_REVIEW_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(MATCH_REVIEW_SHEET_NAME);
+    sheet.getRange(1, 1, 1, MATCH_REVIEW_NUM_COLS).setValues([[
+      'Log Row', 'Log Personal ID', 'Log Last Name', 'Log First Name', 'Event', 'Date',
+      'Rank', 'Candidate Personal ID', 'Candidate Last Name', 'Candidate First Name',
+      'Score', 'Why', 'Decision', 'Status', 'Log ID'
+    ]]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  } else if (!String(sheet.getRange(1, 15).getValue()).trim()) {
+    sheet.getRange(1, 15).setValue('Log ID').setFontWeight('bold');
+  }
+  return sheet;
+}
+
+/**
+ * Ranks existing people against a log record.
+ *
+ * @return {Object[]} Top candidates { personalId, lastName, firstName, score, reasons } (best first).
+ */
+function findMatchCandidates_(record, people) {
+  const logLast = normalizeKeyPart_(record.lastName);
+  const logFirst = normalizeKeyPart_(record.firstName);
+  const logPid = normalizeKeyPart_(record.personalId);
+
+  if (!logLast && !logFirst && !logPid) return [];
+
+  const candidates = [];
+
+  people.forEach(function (p) {
+    const last = normalizeKeyPart_(p.lastName);
+    const first = normalizeKeyPart_(p.firstName);
+    const pid = normalizeKeyPart_(p.personalId);
+    const reasons = [];
+
+    // Straight name comparison (first names may be nicknames)
+    const firstScore = isNicknameOf_(logFirst, first) ? 1 : nameSimilarity_(logFirst, first);
+    const straight = combineNameScores_(nameSimilarity_(logLast, last), firstScore, logLast, logFirst);
+
+    // Swapped first/last
+    const swapped = combineNameScores_(nameSimilarity_(logLast, first), nameSimilarity_(logFirst, last), logLast, logFirst);
+
+    let nameScore = straight;
+    if (swapped > straight) {
+      nameScore = swapped;
+      reasons.push('swapped first/last');
+    } else if (logFirst && first && logFirst !== first && isNicknameOf_(logFirst, first)) {
+      reasons.push('nickname');
+    }
+
+    let score = nameScore;
+    if (logPid && pid) {
+      const idScore = nameSimilarity_(logPid, pid);
+      score = 0.6 * nameScore + 0.4 * idScore;
+      if (idScore >= 0.75) reasons.push('ID ' + Math.round(idScore * 100) + '%');
+    }
+
+    if (score < MATCH_REVIEW_THRESHOLD) return;
+
+    reasons.unshift('name ' + Math.round(nameScore * 100) + '%');
+    candidates.push({
+      personalId: p.personalId,
+      lastName: p.lastName,
+      firstName: p.firstName,
+      score: score,
+      reasons: reasons
+    });
+  });
+
+  candidates.sort(function (a, b) { return b.score - a.score; });
+  return candidates.slice(0, MATCH_REVIEW_MAX_CANDIDATES);
+}
+
+/**
+ * Combines last/first similarity. If the log row only has one name part,
+ * only that part counts.
+ */
+function combineNameScores_(lastScore, firstScore, logLast, logFirst) {
+  if (logLast && logFirst) return (lastScore + firstScore) / 2;
+  if (logLast) return lastScore;
+  if (logFirst) return firstScore;
+  return 0;
+}
+
+/**
+ * True if both first names belong to the same nickname group.
+ */
+function isNicknameOf_(a, b) {
+  if (!a || !b) return false;
+  if (a === b) return true;
+  return NICKNAME_GROUPS.some(function (group) {
+    return group.indexOf(a) > -1 && group.indexOf(b) > -1;
+  });
+}
+
+/**
+ * Similarity ratio in [0, 1] based on Levenshtein distance.
+ */
+function nameSimilarity_(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const maxLen = Math.max(a.length, b.length);
+  return 1 - levenshteinDistance_(a, b) / maxLen;
+}
+
+/**
+ * Classic Levenshtein edit distance.
+ */
+function levenshteinDistance_(a, b) {
+  let prev = [];
+  for (let j = 0; j <= b.length; j++) prev.push(j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1;
+      curr.push(Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost));
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
@@ -26,6 +26,12 @@
  * and then processes 'Sunday Service', 'Event Attendance', 'Attendance Log', and AppSheet tabs.
  */
 function processMemberStatus() {
+  return withJobLock_('Process Member Status', function () {
+    return processMemberStatusUnlocked_();
+  });
+}
+
+function processMemberStatusUnlocked_() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const configSheet = ss.getSheetByName('Config');
 
@@ -89,6 +95,7 @@ function processMemberStatus() {
  * @return {{byPidName: Map, byName: Map}|null}
  */
 function buildDirectoryMap(directoryUrl) {
+  assertAuthorizedUser_();
   let directorySpreadsheet;
 
   // Try opening by URL, then by ID
@@ -183,6 +190,7 @@ function buildDirectoryMap(directoryUrl) {
  * @param {{byPidName: Map, byName: Map}} directoryLookup
  */
 function processSheet(ss, sheetName, startRow, directoryLookup) {
+  assertAuthorizedUser_();
   const sheet = ss.getSheetByName(sheetName);
   if (!sheet) {
     Logger.log(`Warning: Sheet '${sheetName}' not found. Skipping.`);
@@ -281,6 +289,7 @@ function processSheet(ss, sheetName, startRow, directoryLookup) {
  * @param {{byPidName: Map, byName: Map}} directoryLookup
  */
 function processAttendanceLog(ss, sheetName, startRow, directoryLookup) {
+  assertAuthorizedUser_();
   const sheet = ss.getSheetByName(sheetName);
   if (!sheet) {
     Logger.log(`Warning: Sheet '${sheetName}' not found. Skipping Attendance Log processing.`);
@@ -354,6 +363,7 @@ function processAttendanceLog(ss, sheetName, startRow, directoryLookup) {
  * @param {{byPidName: Map, byName: Map}} directoryLookup
  */
 function processAppSheetTab(ss, sheetName, startRow, directoryLookup) {
+  assertAuthorizedUser_();
   const sheet = ss.getSheetByName(sheetName);
   if (!sheet) {
     Logger.log(`Warning: Sheet '${sheetName}' not found. Skipping.`);
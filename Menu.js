@@ -0,0 +1,61 @@
+/**
+ * The 'Attendance' menu of the spreadsheet, holding the "Menu entry" and "Manual run"
+ * commands of the other files.
+ *
+ * Commands also run from triggers, the web app or the script editor, where there is no
+ * spreadsheet UI; they report through showAlert_(), which falls back to the log there.
+ * Commands that ask first (rolling back a batch, archiving, clearing the job lock)
+ * still need the menu.
+ */
+
+/**
+ * Simple trigger: adds the 'Attendance' menu when the spreadsheet is opened.
+ */
+function onOpen() {
+  const ui = SpreadsheetApp.getUi();
+  ui.createMenu('Attendance')
+    .addItem('Process Attendance Log', 'processAttendanceLogV2')
+    .addItem('Preview processing', 'previewAttendanceLogProcessing')
+    .addItem('Apply preview', 'applyProcessingPreview')
+    .addItem('Retry Error rows', 'retryErroredAttendanceLogRows')
+    .addItem('Log status summary', 'showAttendanceLogStatusSummary')
+    .addItem('Apply log edits to the grids', 'syncAttendanceLogTargets')
+    .addItem('Roll back a batch…', 'rollbackAttendanceLogBatchPrompt')
+    .addSeparator()
+    .addItem('Reconcile grids with the log', 'reconcileAttendanceLog')
+    .addItem('Apply reconciliation fixes', 'applyReconciliationFixes')
+    .addSeparator()
+    .addSubMenu(ui.createMenu('Reports')
+      .addItem('Update Attendance Stats', 'runManualUpdate')
+      .addItem('Update Attendance Monthly', 'updateAttendanceMonthlySheet')
+      .addItem('Update Perfect Attendance', 'updatePerfectAttendanceSheet')
+      .addItem('Update Volunteers', 'updateVolunteersSheet')
+      .addItem('Update Check-in Times', 'updateCheckInTimeAnalytics')
+      .addItem('Update Event Registrations', 'updateEventRegistrationSummary')
+      .addItem('Export attendance', 'exportAttendanceData'))
+    .addSubMenu(ui.createMenu('Tools')
+      .addItem('Import CSV…', 'openCsvImportDialog')
+      .addItem('Print badges…', 'openBadgePrinter')
+      .addItem('Set up the Events catalog', 'setupEventCatalog')
+      .addItem('Archive past Event Attendance…', 'rolloverEventAttendance')
+      .addItem('Backfill Pastoral History', 'backfillPastoralHistory')
+      .addSeparator()
+      .addItem('Install Attendance Log triggers', 'installAttendanceLogTriggers')
+      .addItem('Remove Attendance Log triggers', 'removeAttendanceLogTriggers')
+      .addItem('Clear a stale job lock…', 'recoverStaleJobLock'))
+    .addToUi();
+}
+
+/**
+ * Shows message in an alert when the spreadsheet UI is available, else logs it.
+ */
+function showAlert_(message) {
+  let ui = null;
+  try {
+    ui = SpreadsheetApp.getUi();
+  } catch (e) {
+    Logger.log(message);
+    return;
+  }
+  ui.alert(message);
+}
@@ -30,6 +30,12 @@
  *   but syncing into tabs uses ID + Last + First (because tabs do not store birthdate).
  */
 function syncDirectoryNamesToAllTabs() {
+  return withJobLock_('Sync Directory Names', function () {
+    return syncDirectoryNamesToAllTabsUnlocked_();
+  });
+}
+
+function syncDirectoryNamesToAllTabsUnlocked_() {
   var CONFIG_SHEET_NAME = 'Config';
   var DIRECTORY_SHEET_NAME = 'Directory';
 
@@ -333,6 +339,12 @@ function getStatusRank_(rawStatus) {
  * NOTE: This sorting still uses Last/First only (as before).
  */
 function sortSyncedTabsByAttendanceStatus() {
+  return withJobLock_('Sort Synced Tabs', function () {
+    return sortSyncedTabsByAttendanceStatusUnlocked_();
+  });
+}
+
+function sortSyncedTabsByAttendanceStatusUnlocked_() {
   var ATTENDANCE_STATS_SHEET_NAME = 'Attendance Stats';
   var ATT_LAST_NAME_COL = 3; // C
   var ATT_FIRST_NAME_COL = 4; // D
@@ -669,6 +681,7 @@ function syncUnionNamesIntoAppsheetTabs_(ss, unionEntries) {
  * IMPORTANT: Rows without Personal ID are ignored in comparisons.
  */
 function checkNameCountsAndExtras() {
+  assertAuthorizedUser_();
   var ss = SpreadsheetApp.getActiveSpreadsheet();
 
   var CONFIG_SHEET_NAME = 'Config';
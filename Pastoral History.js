@@ -0,0 +1,403 @@
+/**
+ * Pastoral History: one row per pastoral check-in.
+ *
+ * processAttendanceLogV2 appends a row here for every Pastoral Check-In it logs,
+ * and 'Pastoral Check-In' becomes a summary view derived from this tab.
+ *
+ * 'Pastoral History' columns:
+ *   A = Personal ID
+ *   B = Last Name
+ *   C = First Name
+ *   D = Date
+ *   E = Notes
+ *   F = Extra
+ *   G = Logged By
+ *   H = Source Log Row (Attendance Log row, blank for seeded rows)
+ *   I = Batch ID (blank for backfilled rows, so rollback leaves them alone)
+ *   J = Log ID (Attendance Log Column A; see 'Log Targets')
+ *
+ * 'Pastoral Check-In' summary columns (data from row 4):
+ *   E = Last Check-In
+ *   F = Previous Check-In
+ *   G = Latest Notes
+ *   H = Latest Extra
+ *   I = Check-In Count
+ *   J = First Check-In
+ */
+const PASTORAL_HISTORY_SHEET_NAME = 'Pastoral History';
+const PASTORAL_HISTORY_NUM_COLS = 10;
+const PASTORAL_SUMMARY_START_COL = 5; // E
+const PASTORAL_SUMMARY_NUM_COLS = 6;  // E:J
+
+/**
+ * Returns the 'Pastoral History' tab, creating it (with headers) if needed.
+ * Tabs made before the Log ID column get its header.
+ */
+function getOrCreatePastoralHistorySheet_(ss) {
+  let sheet = ss.getSheetByName(PASTORAL_HISTORY_SHEET_NAME);
+  if (!sheet) {
+    sheet = ss.insertSheet(PASTORAL_HISTORY_SHEET_NAME);
+    sheet.getRange(1, 1, 1, PASTORAL_HISTORY_NUM_COLS).setValues([[
+      'Personal ID', 'Last Name', 'First Name', 'Date', 'Notes', 'Extra',
+      'Logged By', 'Source Log Row', 'Batch ID', 'Log ID'
+    ]]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  } else if (!String(sheet.getRange(1, 10).getValue()).trim()) {
+    sheet.getRange(1, 10).setValue('Log ID').setFontWeight('bold');
+  }
+  return sheet;
+}
+
+/**
+ * Reads the whole history into memory, grouped by attendance key. Read-only: a missing
+ * tab is created by commitPastoralHistory_ once there is a row to append.
+ *
+ * @return {{ss: Spreadsheet, sheet: Sheet|null, byKey: Map<string, Object[]>, sourceLogRows: Set<number>, newRows: Array[], loggedBy: string}}
+ */
+function loadPastoralHistory_(ss) {
+  const sheet = ss.getSheetByName(PASTORAL_HISTORY_SHEET_NAME);
+  const history = {
+    ss: ss,
+    sheet: sheet,
+    byKey: new Map(),
+    sourceLogRows: new Set(),
+    newRows: [],
+    loggedBy: getCurrentUserLabel_()
+  };
+
+  const lastRow = sheet ? sheet.getLastRow() : 0;
+  if (lastRow < 2) return history;
+
+  const values = sheet.getRange(2, 1, lastRow - 1, PASTORAL_HISTORY_NUM_COLS).getValues();
+  values.forEach(function (r) {
+    const key = buildAttendanceKey_(r[0], r[1], r[2]);
+    if (!key || !(r[3] instanceof Date)) return;
+    pushPastoralHistoryEntry_(history, key, { date: r[3], notes: r[4], extra: r[5] });
+    if (r[7]) history.sourceLogRows.add(Number(r[7]));
+  });
+
+  return history;
+}
+
+/**
+ * Adds one check-in to the in-memory history and queues the row for commitPastoralHistory_.
+ *
+ * @param {Object} history From loadPastoralHistory_.
+ * @param {Object} person {key, personalId, lastName, firstName}
+ * @param {Date} date
+ * @param {*} notes
+ * @param {*} extra
+ * @param {string} loggedBy
+ * @param {number|string} sourceLogRow
+ * @param {string} batchId
+ * @param {string=} logId Log ID of the source log row.
+ */
+function addPastoralHistoryEntry_(history, person, date, notes, extra, loggedBy, sourceLogRow, batchId, logId) {
+  pushPastoralHistoryEntry_(history, person.key, { date: date, notes: notes, extra: extra });
+  if (sourceLogRow) history.sourceLogRows.add(Number(sourceLogRow));
+
+  history.newRows.push([
+    person.personalId || '',
+    person.lastName ? capitalizeName(person.lastName) : '',
+    person.firstName ? capitalizeName(person.firstName) : '',
+    date,
+    notes || '',
+    extra || '',
+    loggedBy,
+    sourceLogRow || '',
+    batchId || '',
+    logId || ''
+  ]);
+}
+
+function pushPastoralHistoryEntry_(history, key, entry) {
+  if (!history.byKey.has(key)) history.byKey.set(key, []);
+  history.byKey.get(key).push(entry);
+}
+
+/**
+ * For people whose check-ins predate the history tab: turns the existing
+ * Recent/Previous dates (and notes) on 'Pastoral Check-In' into history rows,
+ * so the summary does not lose them. Does nothing once the person has history.
+ *
+ * @param {Object} history
+ * @param {Object} person {key, personalId, lastName, firstName}
+ * @param {Array} summaryValues Current E:J values of the person's row.
+ * @param {string} batchId Batch ID to stamp ('' for backfills).
+ * @return {number} Number of rows seeded.
+ */
+function seedPastoralHistoryFromSummary_(history, person, summaryValues, batchId) {
+  if (history.byKey.has(person.key)) return 0;
+
+  const recent = summaryValues[0];
+  const previous = summaryValues[1];
+  const label = 'Seeded from Pastoral Check-In';
+  let seeded = 0;
+
+  if (previous instanceof Date) {
+    addPastoralHistoryEntry_(history, person, previous, '', '', label, '', batchId);
+    seeded++;
+  }
+  if (recent instanceof Date) {
+    addPastoralHistoryEntry_(history, person, recent, summaryValues[2], summaryValues[3], label, '', batchId);
+    seeded++;
+  }
+  return seeded;
+}
+
+/**
+ * Builds the E:J summary values from a person's history entries.
+ * Same-day entries keep their logging order, so the latest logged notes win.
+ *
+ * @param {Object[]} entries
+ * @return {Array} [last, previous, latest notes, latest extra, count, first]
+ */
+function summarizePastoralHistory_(entries) {
+  if (!entries || entries.length === 0) return ['', '', '', '', 0, ''];
+
+  const sorted = entries
+    .map(function (e, i) { return { e: e, i: i }; })
+    .sort(function (a, b) { return (a.e.date.getTime() - b.e.date.getTime()) || (a.i - b.i); })
+    .map(function (x) { return x.e; });
+
+  const last = sorted[sorted.length - 1];
+  const previous = sorted.length > 1 ? sorted[sorted.length - 2].date : '';
+
+  return [last.date, previous, last.notes || '', last.extra || '', sorted.length, sorted[0].date];
+}
+
+/**
+ * Writes consecutive summary rows (E:J) from firstRow in one call, with the same alignment.
+ */
+function writePastoralSummaries_(sheet, firstRow, summaries) {
+  if (summaries.length === 0) return;
+  sheet.getRange(firstRow, PASTORAL_SUMMARY_START_COL, summaries.length, PASTORAL_SUMMARY_NUM_COLS).setValues(summaries);
+  sheet.getRange(firstRow, 5, summaries.length, 2).setHorizontalAlignment('center').setVerticalAlignment('middle'); // E:F
+  sheet.getRange(firstRow, 7, summaries.length, 2).setHorizontalAlignment('left').setVerticalAlignment('middle');   // G:H
+  sheet.getRange(firstRow, 9, summaries.length, 2).setHorizontalAlignment('center').setVerticalAlignment('middle'); // I:J
+}
+
+/**
+ * Labels the new summary columns (I, J) in the header row when they are free: blank
+ * headers and nothing below them. I:J already used for something else are left alone.
+ *
+ * @param {boolean=} readOnly Only check, do not write the headers (dry runs).
+ * @return {string} '' when I:J can hold the summary, else why not.
+ */
+function ensurePastoralSummaryHeaders_(sheet, headerRow, readOnly) {
+  const summaryHeaders = ['Check-In Count', 'First Check-In'];
+  const headerRange = sheet.getRange(headerRow, 9, 1, 2);
+  const headers = headerRange.getValues()[0].map(function (h) { return String(h).trim(); });
+  if (headers[0] === summaryHeaders[0] && headers[1] === summaryHeaders[1]) return '';
+
+  if (!headers[0] && !headers[1]) {
+    const numRows = sheet.getLastRow() - headerRow;
+    const used = numRows > 0 && sheet.getRange(headerRow + 1, 9, numRows, 2).getValues()
+      .some(function (r) { return r[0] !== '' || r[1] !== ''; });
+    if (!used) {
+      if (!readOnly) headerRange.setValues([summaryHeaders]).setFontWeight('bold');
+      return '';
+    }
+  }
+
+  const labels = headers.filter(function (h) { return h; });
+  return 'Columns I:J of Pastoral Check-In already hold other data' +
+    (labels.length > 0 ? ' ("' + labels.join('", "') + '")' : '') +
+    '. Move it elsewhere; I:J hold the check-in count and first check-in date.';
+}
+
+/**
+ * Appends the queued history rows in a single write, creating the tab on first use.
+ */
+function commitPastoralHistory_(history) {
+  if (!history || history.newRows.length === 0) return;
+  const sheet = getOrCreatePastoralHistorySheet_(history.ss);
+  history.sheet = sheet;
+  sheet.getRange(sheet.getLastRow() + 1, 1, history.newRows.length, PASTORAL_HISTORY_NUM_COLS).setValues(history.newRows);
+  history.newRows = [];
+}
+
+/**
+ * Deletes the history rows stamped with a batch ID (used by rollback).
+ *
+ * @return {number} Number of rows removed.
+ */
+function removePastoralHistoryBatch_(ss, batchId) {
+  const sheet = ss.getSheetByName(PASTORAL_HISTORY_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) return 0;
+
+  const batchValues = sheet.getRange(2, 9, sheet.getLastRow() - 1, 1).getValues(); // I
+  let removed = 0;
+  for (let i = batchValues.length - 1; i >= 0; i--) {
+    if (String(batchValues[i][0]).trim() === batchId) {
+      sheet.deleteRow(i + 2);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Deletes the history rows of the given Log IDs (log rows deleted, retracted or edited
+ * after processing; see 'Log Targets').
+ *
+ * @param {Set<string>} logIds
+ * @return {number} Number of rows removed.
+ */
+function removePastoralHistoryLogIds_(ss, logIds) {
+  const sheet = ss.getSheetByName(PASTORAL_HISTORY_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2 || logIds.size === 0) return 0;
+
+  const idValues = sheet.getRange(2, 10, sheet.getLastRow() - 1, 1).getValues(); // J
+  let removed = 0;
+  for (let i = idValues.length - 1; i >= 0; i--) {
+    if (logIds.has(String(idValues[i][0]).trim())) {
+      sheet.deleteRow(i + 2);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Rewrites the 'Pastoral Check-In' summary columns (E:J) from 'Pastoral History'.
+ * Rows without Personal ID, or without any history, are left as they are.
+ *
+ * @return {string} Summary message.
+ */
+function rebuildPastoralCheckInSummary() {
+  return withJobLock_('Rebuild Pastoral Check-In Summary', function () {
+    return rebuildPastoralCheckInSummaryUnlocked_();
+  });
+}
+
+function rebuildPastoralCheckInSummaryUnlocked_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const message = rebuildPastoralCheckInSummary_(ss, loadPastoralHistory_(ss));
+  Logger.log(message);
+  return message;
+}
+
+/**
+ * @param {Set<string>=} clearKeys People whose summary is cleared when they have no history
+ *     left (their last check-in was removed).
+ */
+function rebuildPastoralCheckInSummary_(ss, history, clearKeys) {
+  const pastoralDataStartRow = 4;
+  const sheet = ss.getSheetByName('Pastoral Check-In');
+  if (!sheet) return 'Pastoral Check-In tab not found.';
+
+  const columnsProblem = ensurePastoralSummaryHeaders_(sheet, pastoralDataStartRow - 1);
+  if (columnsProblem) return columnsProblem;
+
+  const lastRow = sheet.getLastRow();
+  if (lastRow < pastoralDataStartRow) return 'No rows on Pastoral Check-In.';
+
+  const numRows = lastRow - pastoralDataStartRow + 1;
+  const people = sheet.getRange(pastoralDataStartRow, 2, numRows, 3).getValues(); // B:D
+  const summaryRange = sheet.getRange(pastoralDataStartRow, PASTORAL_SUMMARY_START_COL, numRows, PASTORAL_SUMMARY_NUM_COLS);
+  const summaries = summaryRange.getValues();
+
+  let updated = 0;
+  for (let i = 0; i < numRows; i++) {
+    const pid = (people[i][0] || '').toString().trim();
+    if (!pid) continue;
+    const key = buildAttendanceKey_(pid, people[i][1], people[i][2]);
+    const entries = history.byKey.get(key);
+    if ((!entries || entries.length === 0) && !(clearKeys && clearKeys.has(key))) continue;
+    summaries[i] = summarizePastoralHistory_(entries);
+    updated++;
+  }
+
+  summaryRange.setValues(summaries);
+  return 'Pastoral Check-In summary rebuilt for ' + updated + ' person(s).';
+}
+
+/**
+ * True when the history already has this person's check-in on that day with the same
+ * notes, or without notes. Rows seeded from the summary (see seedPastoralHistoryFromSummary_)
+ * have no Source Log Row and may lack the notes, so the backfill matches them this way.
+ */
+function hasPastoralHistoryEntry_(history, key, date, notes) {
+  const day = new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+  const noteText = String(notes || '').trim();
+  return (history.byKey.get(key) || []).some(function (e) {
+    const entryDay = new Date(e.date.getFullYear(), e.date.getMonth(), e.date.getDate()).getTime();
+    const entryNotes = String(e.notes || '').trim();
+    return entryDay === day && (!entryNotes || entryNotes === noteText);
+  });
+}
+
+/**
+ * One-time backfill for 'Pastoral History':
+ * 1) every "Logged" Pastoral Check-In row on 'Attendance Log' not already in the history
+ *    (matched on Source Log Row, else on person and date; see hasPastoralHistoryEntry_);
+ * 2) for people still without history, the Recent/Previous dates on 'Pastoral Check-In'.
+ * Then rebuilds the summary columns. Safe to run more than once.
+ */
+function backfillPastoralHistory() {
+  return withJobLock_('Backfill Pastoral History', function () {
+    return backfillPastoralHistoryUnlocked_();
+  });
+}
+
+function backfillPastoralHistoryUnlocked_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const history = loadPastoralHistory_(ss);
+  const label = 'Backfill';
+  let fromLog = 0;
+  let fromSummary = 0;
+
+  // 1) Attendance Log (B..I)
+  const logSheet = ss.getSheetByName('Attendance Log');
+  if (logSheet && logSheet.getLastRow() >= 2) {
+    const logData = logSheet.getRange(2, 2, logSheet.getLastRow() - 1, 11).getValues(); // B:L
+    for (let i = 0; i < logData.length; i++) {
+      const row = logData[i];
+      const logRow = i + 2;
+      if (row[7] !== 'Logged') continue;                                   // I
+      if (!isPastoralEvent_(row[4])) continue;                             // F
+      if (!(row[5] instanceof Date)) continue;                             // G
+      if (history.sourceLogRows.has(logRow)) continue;
+
+      const person = {
+        personalId: (row[0] || '').toString().trim(),
+        lastName: (row[1] || '').toString().trim(),
+        firstName: (row[2] || '').toString().trim()
+      };
+      person.key = buildAttendanceKey_(person.personalId, person.lastName, person.firstName);
+      if (!person.key) continue;
+      if (hasPastoralHistoryEntry_(history, person.key, row[5], row[9])) continue;
+
+      addPastoralHistoryEntry_(history, person, row[5], row[9], row[10], label, logRow, ''); // K, L
+      fromLog++;
+    }
+  }
+
+  // 2) Pastoral Check-In Recent/Previous for people with no history yet
+  const pastoralSheet = ss.getSheetByName('Pastoral Check-In');
+  const pastoralDataStartRow = 4;
+  if (pastoralSheet && pastoralSheet.getLastRow() >= pastoralDataStartRow) {
+    const numRows = pastoralSheet.getLastRow() - pastoralDataStartRow + 1;
+    const rows = pastoralSheet.getRange(pastoralDataStartRow, 2, numRows, 3 + PASTORAL_SUMMARY_NUM_COLS).getValues(); // B:J
+    rows.forEach(function (r) {
+      const person = {
+        personalId: (r[0] || '').toString().trim(),
+        lastName: (r[1] || '').toString().trim(),
+        firstName: (r[2] || '').toString().trim()
+      };
+      if (!person.personalId) return;
+      person.key = buildAttendanceKey_(person.personalId, person.lastName, person.firstName);
+      fromSummary += seedPastoralHistoryFromSummary_(history, person, r.slice(3), '');
+    });
+  }
+
+  commitPastoralHistory_(history);
+  const rebuilt = rebuildPastoralCheckInSummary_(ss, history);
+
+  const message = 'Pastoral History backfill: ' + fromLog + ' row(s) from Attendance Log, ' +
+    fromSummary + ' row(s) from Pastoral Check-In. ' + rebuilt;
+  Logger.log(message);
+  showAlert_(message);
+  return message;
+}
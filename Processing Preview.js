@@ -0,0 +1,174 @@
+/**
+ * Dry run of processAttendanceLogV2 before anything is written.
+ *
+ * previewAttendanceLogProcessing() runs the processor with { dryRun: true } and lists
+ * every row it would touch on the 'Processing Preview' tab:
+ *   A = Log Row   B = Personal ID   C = Last Name   D = First Name   E = Event   F = Date
+ *   G = Slot      H = Outcome (Logged / Skipped / Error / NeedsReview)   I = Reason Code
+ *   J = Target Tab   K = Row   L = Column (A1 letter)   M = New Person   N = New Column
+ *   O = Duplicate    P = Remarks
+ * Row and column are where the box ends up after the run (a new Sunday column shifts the
+ * ones to its right). Nothing is written to the log, the grids or the journal.
+ *
+ * applyProcessingPreview() then processes the same log rows. The preview stores a
+ * fingerprint of what the plan was built from (the log rows, the people and columns on
+ * the destination tabs, the pastoral summaries, open Match Review decisions); if any of that changed in the
+ * meantime the apply stops and asks for a new preview instead of doing something else.
+ */
+const PROCESSING_PREVIEW_TAB_NAME = 'Processing Preview';
+const PROCESSING_PREVIEW_PROPERTY = 'ATTENDANCE_LOG_PREVIEW';
+
+/**
+ * Menu entry: builds the 'Processing Preview' tab.
+ */
+function previewAttendanceLogProcessing() {
+  return withJobLock_('Preview Attendance Log Processing', function () {
+    return previewAttendanceLogProcessingUnlocked_();
+  });
+}
+
+function previewAttendanceLogProcessingUnlocked_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const props = PropertiesService.getScriptProperties();
+
+  const plan = processAttendanceLogV2Unlocked_({ dryRun: true });
+  if (!plan || plan.preview.length === 0) {
+    props.deleteProperty(PROCESSING_PREVIEW_PROPERTY);
+    writeProcessingPreviewSheet_(ss, []);
+    showAlert_('Nothing to process in the Attendance Log.');
+    return;
+  }
+
+  props.setProperty(PROCESSING_PREVIEW_PROPERTY, JSON.stringify({
+    startRow: plan.startRow,
+    endRow: plan.endRow,
+    fingerprint: plan.fingerprint,
+    createdAt: new Date().toISOString()
+  }));
+  writeProcessingPreviewSheet_(ss, plan.preview);
+
+  const counts = {};
+  plan.preview.forEach(function (r) { counts[r[7]] = (counts[r[7]] || 0) + 1; });
+  const message = 'Preview of log rows ' + plan.startRow + '-' + plan.endRow + ': ' +
+    Object.keys(counts).map(function (s) { return counts[s] + ' ' + s; }).join(', ') + '.' +
+    (plan.resumeFromRow ? '\nThe time budget ran out at row ' + plan.resumeFromRow + '; later rows are not in this preview.' : '') +
+    '\n\nRun applyProcessingPreview() to process exactly these rows.';
+  Logger.log(message);
+  showAlert_(message);
+}
+
+/**
+ * Menu entry: processes the rows of the last preview, unless the log or the
+ * destination tabs changed since.
+ */
+function applyProcessingPreview() {
+  return withJobLock_('Apply Processing Preview', function () {
+    return applyProcessingPreviewUnlocked_();
+  });
+}
+
+function applyProcessingPreviewUnlocked_() {
+  const props = PropertiesService.getScriptProperties();
+  const raw = props.getProperty(PROCESSING_PREVIEW_PROPERTY);
+  if (!raw) {
+    showAlert_('No preview to apply. Run previewAttendanceLogProcessing() first.');
+    return;
+  }
+
+  const saved = JSON.parse(raw);
+  const result = processAttendanceLogV2Unlocked_({
+    startRow: saved.startRow,
+    endRow: saved.endRow,
+    expectedFingerprint: saved.fingerprint
+  });
+  props.deleteProperty(PROCESSING_PREVIEW_PROPERTY);
+
+  const message = result && result.batchId
+    ? 'Preview applied (log rows ' + saved.startRow + '-' + saved.endRow + '). Batch: ' + result.batchId +
+      (result.resumeFromRow ? '\nStopped at row ' + result.resumeFromRow + '; resumeAttendanceLogProcessing() picks up the rest.' : '')
+    : 'Preview applied; no attendance records to write.';
+  Logger.log(message);
+  showAlert_(message);
+}
+
+/**
+ * Hash of everything the processing plan depends on. dataList holds the destination
+ * caches (null when a tab is missing); matchReview is loadMatchReview_()'s result or null.
+ */
+function processingPlanFingerprint_(firstLogRow, logDataAsRead, dataList, matchReview) {
+  const parts = [firstLogRow, logDataAsRead];
+  dataList.forEach(function (data) {
+    parts.push(data ? [
+      Array.from(data.keyMap.entries()),
+      data.dateMap ? Array.from(data.dateMap.entries()) : null, // the pastoral cache has no date columns
+      data.nextBlankRow,
+      data.lastDataCol || null,
+      data.headerNames || null,
+      data.headerDates || null,
+      data.summaries || null // 'Pastoral Check-In' E:J
+    ] : null);
+  });
+  if (matchReview) {
+    parts.push(Array.from(matchReview.openLogRows), Array.from(matchReview.decisions.entries()));
+  }
+
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify(parts), Utilities.Charset.UTF_8);
+  return digest.map(function (b) { return ('0' + (b & 0xff).toString(16)).slice(-2); }).join('');
+}
+
+/**
+ * Throws when an apply was asked for a plan that no longer matches the sheet.
+ */
+function checkProcessingPlanFingerprint_(expected, actual) {
+  if (expected && expected !== actual) {
+    throw new Error('The Attendance Log or the attendance tabs changed since the preview. Run the preview again.');
+  }
+}
+
+/**
+ * One 'Processing Preview' row from a log row (B:P, after the dry run marked it) and
+ * its target { sheetName, row, col } (null when the row is not routed anywhere).
+ */
+function processingPreviewRow_(logRow, row, target, flags) {
+  const status = row[7];
+  const reason = row[14];
+  const routed = status === LOG_STATUS.LOGGED || status === LOG_STATUS.ERROR;
+  return [
+    logRow,
+    row[0], row[1], row[2], row[4], row[5], row[12],
+    status,
+    reason,
+    target && routed ? target.sheetName : '',
+    target && routed && target.row ? target.row : '',
+    target && routed && target.col ? processingPreviewColumnLetter_(target.col) : '',
+    flags.newPerson ? 'Yes' : '',
+    flags.newColumn ? 'Yes' : '',
+    reason === LOG_REASON.DUPLICATE_ENTRY ? 'Yes' : '',
+    row[8]
+  ];
+}
+
+function processingPreviewColumnLetter_(col) {
+  let letters = '';
+  for (let n = col; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + (n - 1) % 26) + letters;
+  }
+  return letters;
+}
+
+function writeProcessingPreviewSheet_(ss, rows) {
+  let sheet = ss.getSheetByName(PROCESSING_PREVIEW_TAB_NAME);
+  if (!sheet) sheet = ss.insertSheet(PROCESSING_PREVIEW_TAB_NAME);
+  sheet.clearContents();
+
+  const headers = [
+    'Log Row', 'Personal ID', 'Last Name', 'First Name', 'Event', 'Date', 'Slot', 'Outcome', 'Reason Code',
+    'Target Tab', 'Row', 'Column', 'New Person', 'New Column', 'Duplicate', 'Remarks'
+  ];
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  if (rows.length === 0) return;
+
+  sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+  sheet.getRange(2, 6, rows.length, 1).setNumberFormat('yyyy-mm-dd');
+}
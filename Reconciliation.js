@@ -0,0 +1,374 @@
+/**
+ * Grid <-> Attendance Log reconciliation.
+ *
+ * reconcileAttendanceLog() compares the checkboxes on 'Sunday Service' and
+ * 'Event Attendance' (plus its archive tabs, see 'Event Archive') with the
+ * Attendance Log and lists every discrepancy on the 'Reconciliation' tab:
+ * - Checked, no log row          box ticked on a grid, no log row for it
+ * - Logged, box unchecked        Logged log row, but the box is not ticked
+ * - Logged, person not on sheet  Logged log row for someone without a row on the grid
+ * - Logged, column not on sheet  Logged log row for a date/event with no grid column
+ *
+ * People are matched by Personal ID (last + first name only for grid rows and log
+ * rows without one); columns by date + service slot on 'Sunday Service', date +
+ * canonical event name on 'Event Attendance'. Pastoral check-ins are not grids and
+ * are left out. Pending/NeedsReview log rows count as covering their box, since the
+ * next processing run ticks it.
+ *
+ * 'Reconciliation' tab (row 1 headers, data from row 2):
+ *   A = Issue       B = Sheet      C = Personal ID  D = Last Name  E = First Name
+ *   F = Event       G = Date       H = Slot         I = Log Row    J = Cell
+ *   K = Fix (dropdown, one direction or the other)  L = Result (written by the script)
+ *
+ * Fixes (applied when picked if the Attendance Log triggers are installed, otherwise
+ * with applyReconciliationFixes()):
+ * - Add log row        grid wins: appends a Logged log row (Column B = Personal ID)
+ * - Uncheck box        log wins: unticks the box
+ * - Reprocess log row  log wins: sets the log row to Pending and processes it, which
+ *                      ticks the box and adds the person/column where missing
+ * - Skip log row       grid wins: marks the log row Skipped (reason RECONCILED)
+ */
+const RECONCILIATION_TAB_NAME = 'Reconciliation';
+const RECONCILIATION_NUM_COLS = 12;
+const RECONCILIATION_FIX_COLUMN = 11; // Column K
+
+const RECONCILIATION_ISSUES = {
+  CHECKED_NOT_LOGGED: { label: 'Checked, no log row', fixes: ['Add log row', 'Uncheck box'] },
+  LOGGED_NOT_CHECKED: { label: 'Logged, box unchecked', fixes: ['Reprocess log row', 'Skip log row'] },
+  MISSING_PERSON: { label: 'Logged, person not on sheet', fixes: ['Reprocess log row', 'Skip log row'] },
+  MISSING_COLUMN: { label: 'Logged, column not on sheet', fixes: ['Reprocess log row', 'Skip log row'] }
+};
+
+/**
+ * Menu entry: rebuilds the 'Reconciliation' tab.
+ */
+function reconcileAttendanceLog() {
+  return withJobLock_('Reconcile Attendance Log', function () {
+    return reconcileAttendanceLogUnlocked_();
+  });
+}
+
+function reconcileAttendanceLogUnlocked_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const rows = buildReconciliationRows_(ss);
+  writeReconciliationSheet_(ss, rows);
+
+  const message = rows.length === 0
+    ? 'Grids and Attendance Log agree. No discrepancies.'
+    : rows.length + ' discrepancy(ies) listed on the "' + RECONCILIATION_TAB_NAME + '" tab. Pick a Fix for each row.';
+  Logger.log(message);
+  showAlert_(message);
+}
+
+/**
+ * Menu entry: applies the fixes picked in Column K that have no Result yet.
+ */
+function applyReconciliationFixes() {
+  const message = withJobLock_('Apply Reconciliation Fixes', applyReconciliationFixesUnlocked_);
+  showAlert_(message);
+}
+
+function applyReconciliationFixesUnlocked_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(RECONCILIATION_TAB_NAME);
+  const logSheet = ss.getSheetByName('Attendance Log');
+  if (!logSheet) throw new Error('Attendance Log tab not found.');
+  if (!sheet || sheet.getLastRow() < 2) return 'No reconciliation fixes to apply.';
+
+  const tz = ss.getSpreadsheetTimeZone();
+  const values = sheet.getRange(2, 1, sheet.getLastRow() - 1, RECONCILIATION_NUM_COLS).getValues();
+  const results = values.map(function (r) { return [r[11]]; });
+
+  let grids = null; // loaded on first "Uncheck box"
+  const newLogRows = [];
+  const reprocessRows = [];
+  let applied = 0;
+
+  values.forEach(function (r, i) {
+    const fix = String(r[10] || '').trim();
+    if (!fix || r[11]) return;
+
+    try {
+      if (fix === 'Add log row') {
+        newLogRows.push(reconciliationLogRow_(r));
+        results[i][0] = 'Log row added';
+      } else if (fix === 'Uncheck box') {
+        grids = grids || loadReconciliationGrids_(ss, tz);
+        const grid = grids.find(function (g) { return g.name === String(r[1]); });
+        if (!grid) throw new Error('sheet "' + r[1] + '" not found');
+        const cell = locateReconciliationCell_([grid], reconciliationPersonKey_(r[2], r[3], r[4]),
+          reconciliationColumnKey_(grid.kind, r[5], r[6], r[7], tz));
+        if (!cell.grid || cell.row === -1) throw new Error('box no longer found');
+        grid.sheet.getRange(grid.dataStartRow + cell.row, grid.dataStartCol + cell.col).setValue(false);
+        results[i][0] = 'Box unchecked';
+      } else if (fix === 'Reprocess log row' || fix === 'Skip log row') {
+        const logRow = Number(r[8]);
+        checkReconciliationLogRow_(logSheet, logRow, r);
+        if (fix === 'Reprocess log row') {
+          setReconciledLogStatus_(logSheet, logRow, LOG_STATUS.PENDING, 'Reprocess requested from Reconciliation.');
+          reprocessRows.push(logRow);
+          results[i][0] = 'Reprocessed';
+        } else {
+          setReconciledLogStatus_(logSheet, logRow, LOG_STATUS.SKIPPED, 'Skipped from Reconciliation: box not checked on ' + r[1] + '.');
+          results[i][0] = 'Log row skipped';
+        }
+      } else {
+        throw new Error('unknown fix "' + fix + '"');
+      }
+      applied++;
+    } catch (err) {
+      results[i][0] = 'Failed: ' + err.message;
+    }
+  });
+
+  if (newLogRows.length > 0) {
+    logSheet.getRange(logSheet.getLastRow() + 1, 1, newLogRows.length, newLogRows[0].length).setValues(newLogRows);
+  }
+  sheet.getRange(2, 12, results.length, 1).setValues(results);
+
+  if (reprocessRows.length > 0) {
+    SpreadsheetApp.flush();
+    processAttendanceLogV2({ startRow: Math.min.apply(null, reprocessRows) });
+  }
+
+  const message = 'Reconciliation: ' + applied + ' fix(es) applied.';
+  Logger.log(message);
+  return message;
+}
+
+/**
+ * All discrepancies as 'Reconciliation' rows (A:L), sorted by issue, sheet and date.
+ */
+function buildReconciliationRows_(ss) {
+  const tz = ss.getSpreadsheetTimeZone();
+  const grids = loadReconciliationGrids_(ss, tz);
+  const logSheet = ss.getSheetByName('Attendance Log');
+  const rows = [];
+  const coveredBoxes = new Set(); // kind|person|column with a Logged/Pending log row
+
+  const issueRow = function (issue, sheetName, person, eventName, date, slot, logRow, cell) {
+    return [issue.label, sheetName, person.personalId, person.lastName, person.firstName,
+      eventName, date, slot, logRow || '', cell || '', '', ''];
+  };
+
+  const lastLogRow = logSheet ? logSheet.getLastRow() : 0;
+  if (lastLogRow >= 2) {
+    logSheet.getRange(2, 2, lastLogRow - 1, LOG_REASON_COLUMN - 1).getValues().forEach(function (r, i) { // B:P
+      const status = String(r[7] || '').trim(); // I
+      if (status === LOG_STATUS.SKIPPED || status === LOG_STATUS.ERROR || status === LOG_STATUS.RETRACTED) return;
+      if (!r[4] || !(r[5] instanceof Date) || isPastoralEvent_(r[4])) return;
+
+      const person = { personalId: String(r[0] || '').trim(), lastName: String(r[1] || '').trim(), firstName: String(r[2] || '').trim() };
+      const personKey = reconciliationPersonKey_(person.personalId, person.lastName, person.firstName);
+      if (!personKey) return;
+
+      const kind = isSundayServiceEvent_(r[4]) ? 'sunday' : 'event';
+      const eventName = canonicalEventName_(r[4]);
+      const slot = kind === 'sunday' ? normalizeServiceSlot_(r[12]) : ''; // N
+      const columnKey = reconciliationColumnKey_(kind, eventName, r[5], slot, tz);
+      coveredBoxes.add(kind + '|' + personKey + '|' + columnKey);
+      if (status !== LOG_STATUS.LOGGED) return;
+
+      const cell = locateReconciliationCell_(grids.filter(function (g) { return g.kind === kind; }), personKey, columnKey);
+      const logRow = i + 2;
+      if (!cell.grid) {
+        const sheetName = kind === 'sunday' ? 'Sunday Service' : 'Event Attendance';
+        rows.push(issueRow(RECONCILIATION_ISSUES.MISSING_COLUMN, sheetName, person, eventName, r[5], slot, logRow));
+      } else if (cell.row === -1) {
+        rows.push(issueRow(RECONCILIATION_ISSUES.MISSING_PERSON, cell.grid.name, person, eventName, r[5], slot, logRow));
+      } else if (cell.grid.values[cell.row][cell.col] !== true) {
+        rows.push(issueRow(RECONCILIATION_ISSUES.LOGGED_NOT_CHECKED, cell.grid.name, person, eventName, r[5], slot, logRow,
+          reconciliationCellA1_(cell)));
+      }
+    });
+  }
+
+  grids.forEach(function (g) {
+    g.values.forEach(function (rowValues, row) {
+      const personKey = g.personKeys[row];
+      if (!personKey) return;
+      rowValues.forEach(function (v, col) {
+        if (v !== true || !g.columns[col]) return;
+        if (coveredBoxes.has(g.kind + '|' + personKey + '|' + g.columns[col].key)) return;
+        const column = g.columns[col];
+        rows.push(issueRow(RECONCILIATION_ISSUES.CHECKED_NOT_LOGGED, g.name, g.people[row], column.eventName, column.date,
+          column.slot, '', reconciliationCellA1_({ grid: g, row: row, col: col })));
+      });
+    });
+  });
+
+  const order = Object.keys(RECONCILIATION_ISSUES).map(function (k) { return RECONCILIATION_ISSUES[k].label; });
+  return rows.sort(function (a, b) {
+    return order.indexOf(a[0]) - order.indexOf(b[0]) || String(a[1]).localeCompare(String(b[1])) || a[6] - b[6];
+  });
+}
+
+/**
+ * 'Sunday Service' and every 'Event Attendance' tab, read once:
+ * people (B:D) with their match keys, column keys from the header rows, checkbox values.
+ */
+function loadReconciliationGrids_(ss, tz) {
+  const grids = [];
+  const sunday = ss.getSheetByName('Sunday Service');
+  if (sunday) grids.push(loadReconciliationGrid_(sunday, 'sunday', tz));
+  getEventAttendanceSheets_(ss).forEach(function (sheet) {
+    grids.push(loadReconciliationGrid_(sheet, 'event', tz));
+  });
+  return grids;
+}
+
+function loadReconciliationGrid_(sheet, kind, tz) {
+  const dataStartRow = kind === 'sunday' ? 4 : 5;
+  const headerRow = kind === 'sunday' ? 1 : 2; // Sunday: slot, date; events: date, name
+  const dataStartCol = 9;
+  const lastRow = sheet.getLastRow();
+  const width = Math.max(sheet.getLastColumn() - dataStartCol + 1, 0);
+  const numRows = Math.max(lastRow - dataStartRow + 1, 0);
+
+  const header = width > 0 ? sheet.getRange(headerRow, dataStartCol, 2, width).getValues() : [[], []];
+  const peopleValues = numRows > 0 ? sheet.getRange(dataStartRow, 2, numRows, 3).getValues() : [];
+  const values = numRows > 0 && width > 0 ? sheet.getRange(dataStartRow, dataStartCol, numRows, width).getValues() : [];
+
+  const columns = [];
+  const colByKey = new Map();
+  for (let c = 0; c < width; c++) {
+    const date = kind === 'sunday' ? header[1][c] : header[0][c];
+    const name = kind === 'sunday' ? 'Sunday Service' : String(header[1][c] || '').trim();
+    if (!(date instanceof Date) || !name || name === 'Post event name here') {
+      columns.push(null);
+      continue;
+    }
+    const slot = kind === 'sunday' ? normalizeServiceSlot_(header[0][c]) : '';
+    const eventName = canonicalEventName_(name);
+    const key = reconciliationColumnKey_(kind, eventName, date, slot, tz);
+    columns.push({ key: key, eventName: eventName, date: date, slot: slot });
+    if (!colByKey.has(key)) colByKey.set(key, c);
+  }
+
+  const people = [];
+  const personKeys = [];
+  const rowByPerson = new Map();
+  peopleValues.forEach(function (p, i) {
+    const person = { personalId: String(p[0] || '').trim(), lastName: String(p[1] || '').trim(), firstName: String(p[2] || '').trim() };
+    const key = reconciliationPersonKey_(person.personalId, person.lastName, person.firstName);
+    people.push(person);
+    personKeys.push(key);
+    if (key && !rowByPerson.has(key)) rowByPerson.set(key, i);
+  });
+
+  return {
+    sheet: sheet,
+    name: sheet.getName(),
+    kind: kind,
+    dataStartRow: dataStartRow,
+    dataStartCol: dataStartCol,
+    columns: columns,
+    colByKey: colByKey,
+    people: people,
+    personKeys: personKeys,
+    rowByPerson: rowByPerson,
+    values: values
+  };
+}
+
+/**
+ * First grid (of those given) with the column; row is -1 when the person has no row there.
+ *
+ * @return {{grid: Object|null, row: number, col: number}}
+ */
+function locateReconciliationCell_(grids, personKey, columnKey) {
+  for (let i = 0; i < grids.length; i++) {
+    const g = grids[i];
+    if (!g.colByKey.has(columnKey)) continue;
+    const row = g.rowByPerson.has(personKey) ? g.rowByPerson.get(personKey) : -1;
+    return { grid: g, row: row, col: g.colByKey.get(columnKey) };
+  }
+  return { grid: null, row: -1, col: -1 };
+}
+
+function reconciliationCellA1_(cell) {
+  return cell.grid.sheet.getRange(cell.grid.dataStartRow + cell.row, cell.grid.dataStartCol + cell.col).getA1Notation();
+}
+
+/**
+ * Personal ID when there is one, else last + first name.
+ */
+function reconciliationPersonKey_(personalId, lastName, firstName) {
+  const pidNorm = normalizePersonalId(personalId);
+  if (pidNorm) return 'id:' + pidNorm;
+  const nameKey = normalizeKeyPart_(lastName) + '|' + normalizeKeyPart_(firstName);
+  return nameKey === '|' ? '' : 'name:' + nameKey;
+}
+
+function reconciliationColumnKey_(kind, eventName, date, slot, tz) {
+  const day = date instanceof Date ? Utilities.formatDate(date, tz, 'yyyy-MM-dd') : String(date || '');
+  return day + '|' + (kind === 'sunday' ? normalizeServiceSlot_(slot) : canonicalEventName_(eventName).toLowerCase());
+}
+
+/**
+ * A:P Attendance Log row for a box that was checked on a grid without a log row.
+ */
+function reconciliationLogRow_(r) {
+  return [
+    Utilities.getUuid().slice(0, 8), // A: row ID
+    r[2],                            // B: Personal ID
+    r[3],                            // C
+    r[4],                            // D
+    '',                              // E: Type
+    r[5],                            // F: Event
+    r[6],                            // G: Date
+    new Date(),                      // H: timestamp
+    LOG_STATUS.LOGGED,               // I
+    'Added from ' + r[1] + ' ' + r[9] + ' by Reconciliation.', // J
+    '', '', '',                      // K:M
+    r[7],                            // N: Slot
+    '',                              // O
+    LOG_REASON.RECONCILED            // P
+  ];
+}
+
+/**
+ * Throws unless logRow is still the Logged row the reconciliation row was built from.
+ */
+function checkReconciliationLogRow_(logSheet, logRow, r) {
+  if (!(logRow >= 2) || logRow > logSheet.getLastRow()) throw new Error('log row ' + r[8] + ' not found');
+  const row = logSheet.getRange(logRow, 2, 1, 8).getValues()[0]; // B:I
+  if (reconciliationPersonKey_(row[0], row[1], row[2]) !== reconciliationPersonKey_(r[2], r[3], r[4])) {
+    throw new Error('log row ' + logRow + ' is now a different person');
+  }
+  if (row[7] !== LOG_STATUS.LOGGED) throw new Error('log row ' + logRow + ' is no longer Logged');
+}
+
+function setReconciledLogStatus_(logSheet, logRow, status, remarks) {
+  logSheet.getRange(logRow, 9, 1, 2).setValues([[status, remarks]]); // I:J
+  logSheet.getRange(logRow, LOG_REASON_COLUMN).setValue(LOG_REASON.RECONCILED);
+}
+
+function writeReconciliationSheet_(ss, rows) {
+  let sheet = ss.getSheetByName(RECONCILIATION_TAB_NAME);
+  if (!sheet) sheet = ss.insertSheet(RECONCILIATION_TAB_NAME);
+  sheet.clearContents();
+  sheet.getRange(2, RECONCILIATION_FIX_COLUMN, sheet.getMaxRows() - 1, 1).clearDataValidations();
+
+  sheet.getRange(1, 1, 1, RECONCILIATION_NUM_COLS).setValues([[
+    'Issue', 'Sheet', 'Personal ID', 'Last Name', 'First Name', 'Event', 'Date', 'Slot', 'Log Row', 'Cell', 'Fix', 'Result'
+  ]]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+  if (rows.length === 0) return;
+
+  sheet.getRange(2, 1, rows.length, RECONCILIATION_NUM_COLS).setValues(rows);
+  sheet.getRange(2, 7, rows.length, 1).setNumberFormat('yyyy-mm-dd');
+
+  // One dropdown per run of rows with the same issue (rows are sorted by issue)
+  let start = 0;
+  for (let i = 1; i <= rows.length; i++) {
+    if (i < rows.length && rows[i][0] === rows[start][0]) continue;
+    const issueKey = Object.keys(RECONCILIATION_ISSUES).find(function (k) { return RECONCILIATION_ISSUES[k].label === rows[start][0]; });
+    const rule = SpreadsheetApp.newDataValidation()
+      .requireValueInList(RECONCILIATION_ISSUES[issueKey].fixes, true)
+      .setAllowInvalid(false)
+      .build();
+    sheet.getRange(2 + start, RECONCILIATION_FIX_COLUMN, i - start, 1).setDataValidation(rule);
+    start = i;
+  }
+}
@@ -13,13 +13,22 @@ const EVENT_ATTENDANCE_TAB_NAME = "Event Attendance"; // New Source Tab Name
 const DESTINATION_TAB_NAME = "Attendance";
 const EXTERNAL_SHEET_ID_CELL = "B3";
 const DATA_START_ROW = 3; // Data in the destination sheet starts after the 2 header rows
+const SUNDAY_SLOT_AVERAGES_TAB_NAME = "Sunday Slot Averages"; // Local tab, only written when slots are used
 
 
 /**
  * Master function to run all synchronization calculations.
  * This is the function you should use for your time-based trigger.
+ * The trigger's event object lets it run without an active user (see 'Access').
  */
-function updateAllAttendanceAverages() {
+function updateAllAttendanceAverages(e) {
+  assertAuthorizedUser_(e);
+  return withJobLock_('Update Attendance Averages', function () {
+    return updateAllAttendanceAveragesUnlocked_();
+  });
+}
+
+function updateAllAttendanceAveragesUnlocked_() {
   Logger.log("--- Starting Full Attendance Update ---");
   
   // 1. Update Sunday Service Average (writes to Column C)
@@ -38,10 +47,16 @@ function updateAllAttendanceAverages() {
  * Calculates the average weekly (Sunday Service) attendance per month
  * and matches the results to existing dates in Column B of the external 'Attendance' tab,
  * inputting the average into Column C.
+ *
+ * When a Sunday has several service slots (row 1 labels, e.g. "9AM", "11AM", "Youth"),
+ * Column C uses the per-day total: distinct people checked in any slot that day.
+ * Per-slot monthly averages are written next to the day totals on the local
+ * 'Sunday Slot Averages' tab.
  */
 function calculateSundayServiceAverage() {
-  // Source: Dates in Row 2, Counts in Row 3 (Starting Col B)
-  // Target: Destination Column C
+  assertAuthorizedUser_();
+  // Source: Slots in Row 1, Dates in Row 2, Counts in Row 3, Checkboxes from Row 4 (Starting Col B)
+  // Target: Destination Column C (+ local 'Sunday Slot Averages' tab)
   
   Logger.log("Starting Sunday Service Average calculation...");
   
@@ -71,17 +86,62 @@ function calculateSundayServiceAverage() {
       return;
     }
 
-    // Dates are in Row 2, starting from column 2 (B)
-    const dates = serviceSheet.getRange(2, 2, 1, lastCol - 1).getValues()[0];
-    // Counts are in Row 3, starting from column 2 (B)
-    const counts = serviceSheet.getRange(3, 2, 1, lastCol - 1).getValues()[0];
+    const lastRow = Math.max(serviceSheet.getLastRow(), 3);
+    // Rows 1..lastRow, starting from column 2 (B)
+    const grid = serviceSheet.getRange(1, 2, lastRow, lastCol - 1).getValues();
+    const slotsRow = grid[0];  // Row 1
+    const dates = grid[1];     // Row 2
+    const counts = grid[2];    // Row 3
+
+    const tz = ss.getSpreadsheetTimeZone();
+    const days = {};          // 'yyyy-MM-dd' -> { date, people: {rowIndex: true} }
+    const slotColumns = {};   // slot label -> { dates: [], counts: [] }
+    let hasSlots = false;
+
+    for (let c = 0; c < dates.length; c++) {
+      const date = dates[c];
+      if (!(date instanceof Date)) continue;
+
+      const slot = normalizeServiceSlot_(slotsRow[c]);
+      if (slot) hasSlots = true;
+      if (!slotColumns[slot]) slotColumns[slot] = { dates: [], counts: [] };
+      slotColumns[slot].dates.push(date);
+      slotColumns[slot].counts.push(counts[c]);
+
+      const dayKey = Utilities.formatDate(date, tz, "yyyy-MM-dd");
+      if (!days[dayKey]) days[dayKey] = { date: date, people: {}, maxCount: 0 };
+      if (typeof counts[c] === 'number' && counts[c] > days[dayKey].maxCount) days[dayKey].maxCount = counts[c];
+      for (let r = 3; r < grid.length; r++) {
+        if (grid[r][c] === true) days[dayKey].people[r] = true;
+      }
+    }
 
-    // Calculate monthly averages (Sunday remains per-event, which is effectively weekly if you have 1 service per week)
-    const monthlyData = processAttendanceData(dates, counts, "Sunday Service");
+    // Per-day totals: a person in two slots on the same Sunday counts once.
+    const dayDates = [];
+    const dayTotals = [];
+    Object.keys(days).sort().forEach(function(dayKey) {
+      dayDates.push(days[dayKey].date);
+      // Fall back to the Row 3 count when a column has a count but no checkboxes
+      const distinct = Object.keys(days[dayKey].people).length;
+      dayTotals.push(distinct > 0 ? distinct : days[dayKey].maxCount);
+    });
+
+    // Calculate monthly averages (one Sunday = one data point, however many slots it had)
+    const monthlyData = processAttendanceData(dayDates, dayTotals, "Sunday Service");
     
     // Write data to external sheet
     writeAveragesToDestination(externalSheetId, monthlyData, 3, "Sunday Service Average (C)");
 
+    if (hasSlots) {
+      const slotLabels = Object.keys(slotColumns).sort(function(a, b) {
+        return serviceSlotSortValue_(a) - serviceSlotSortValue_(b);
+      });
+      const slotAverages = slotLabels.map(function(slot) {
+        return processAttendanceData(slotColumns[slot].dates, slotColumns[slot].counts, `Sunday Service ${slot || '(no slot)'}`);
+      });
+      writeSundaySlotAverages_(ss, monthlyData, slotLabels, slotAverages);
+    }
+
   } catch (e) {
     Logger.log(`A critical error occurred in calculateSundayServiceAverage: ${e}`);
   }
@@ -96,6 +156,7 @@ function calculateSundayServiceAverage() {
  * inputting the average into Column H.
  */
 function calculateOtherEventsAverage() {
+  assertAuthorizedUser_();
   // Source: Dates in Row 2, Counts in Row 4 (Starting Col I) on "Event Attendance" tab
   // Target: Destination Column H
   
@@ -125,27 +186,26 @@ function calculateOtherEventsAverage() {
     const dateRow = 2;   // Dates Row
     const countRow = 4;  // Counts Row
 
-    // Find the rightmost column that has a date in the header row for 'Other Events' (Row 2)
-    let lastEventCol = startCol;
-    const maxCols = eventSheet.getLastColumn();
-    
-    for (let c = startCol; c <= maxCols; c++) {
-      const cellValue = eventSheet.getRange(dateRow, c).getValue();
-      if (cellValue instanceof Date) {
-        lastEventCol = c;
-      }
-    }
-    
-    if (lastEventCol < startCol) {
+    // Same layout on the live tab and its "Event Attendance Archive YYYY" tabs
+    const dates = [];
+    const counts = [];
+    getEventAttendanceSheets_(ss).forEach(sheet => {
+      const maxCols = sheet.getLastColumn();
+      if (maxCols < startCol) return;
+      const header = sheet.getRange(dateRow, startCol, countRow - dateRow + 1, maxCols - startCol + 1).getValues();
+      header[0].forEach((cellValue, i) => {
+        if (cellValue instanceof Date) {
+          dates.push(cellValue);
+          counts.push(header[countRow - dateRow][i]);
+        }
+      });
+    });
+
+    if (dates.length === 0) {
       Logger.log(`No 'Other Events' data found in ${EVENT_ATTENDANCE_TAB_NAME} tab in Row 2 (must start in column I with a date).`);
       return;
     }
 
-    const numColumns = lastEventCol - startCol + 1;
-    
-    const dates = eventSheet.getRange(dateRow, startCol, 1, numColumns).getValues()[0];
-    const counts = eventSheet.getRange(countRow, startCol, 1, numColumns).getValues()[0];
-
     // Calculate monthly averages
     // CHANGE: For Other Events, compute WEEKLY average (divide by unique weeks with events)
     const monthlyData = processAttendanceData(dates, counts, "Other Events", "week");
@@ -170,6 +230,7 @@ function calculateOtherEventsAverage() {
  * @returns {Object<string, number>} A map of monthly averages {'YYYY-MM': averageCount}.
  */
 function processAttendanceData(dates, counts, sourceLabel, mode) {
+  assertAuthorizedUser_();
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const tz = ss.getSpreadsheetTimeZone();
   const useWeekMode = (mode === "week");
@@ -235,6 +296,46 @@ function processAttendanceData(dates, counts, sourceLabel, mode) {
   return monthlyAverages;
 }
 
+/**
+ * Writes the local 'Sunday Slot Averages' tab:
+ * Month | Day Total Avg | <slot> Avg ... (one row per month, oldest first).
+ * @param {Spreadsheet} ss The active spreadsheet.
+ * @param {Object<string, number>} dayAverages Monthly averages of per-day totals.
+ * @param {string[]} slotLabels Slot labels in service order ('' = unlabeled columns).
+ * @param {Object<string, number>[]} slotAverages Monthly averages per slot, same order as slotLabels.
+ */
+function writeSundaySlotAverages_(ss, dayAverages, slotLabels, slotAverages) {
+  let sheet = ss.getSheetByName(SUNDAY_SLOT_AVERAGES_TAB_NAME);
+  if (!sheet) sheet = ss.insertSheet(SUNDAY_SLOT_AVERAGES_TAB_NAME);
+
+  const monthSet = {};
+  Object.keys(dayAverages).forEach(function(key) { monthSet[key] = true; });
+  slotAverages.forEach(function(avgs) {
+    Object.keys(avgs).forEach(function(key) { monthSet[key] = true; });
+  });
+  const months = Object.keys(monthSet).sort();
+
+  const header = ["Month", "Day Total Avg"].concat(slotLabels.map(function(slot) {
+    return `${slot || "(no slot)"} Avg`;
+  }));
+  const rows = months.map(function(month) {
+    const row = [month, dayAverages[month] !== undefined ? dayAverages[month] : ""];
+    slotAverages.forEach(function(avgs) {
+      row.push(avgs[month] !== undefined ? avgs[month] : "");
+    });
+    return row;
+  });
+
+  sheet.clearContents();
+  sheet.getRange(1, 1, 1, header.length).setValues([header]).setFontWeight("bold");
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, header.length).setValues(rows);
+  }
+  sheet.setFrozenRows(1);
+
+  Logger.log(`SUCCESS: Wrote ${rows.length} month(s) to '${SUNDAY_SLOT_AVERAGES_TAB_NAME}' for slots: ${slotLabels.join(', ')}`);
+}
+
 /**
  * Reads destination dates, maps calculated data, clears and writes the averages to the target column.
  * Ensures cells are horizontally and vertically centered, and **does not touch row 15** (to preserve its formula).
@@ -244,6 +345,7 @@ function processAttendanceData(dates, counts, sourceLabel, mode) {
  * @param {string} label A descriptive label for logging purposes.
  */
 function writeAveragesToDestination(externalSheetId, monthlyAverages, targetColumn, label) {
+  assertAuthorizedUser_();
   let destinationSheet;
   try {
     const externalSS = SpreadsheetApp.openById(externalSheetId);
@@ -0,0 +1,108 @@
+/**
+ * Volunteers roster.
+ *
+ * Built from the serving records in matchOrAssignBelCodes() (Attendance Log rows
+ * with a role in Column O). One row per person + role:
+ *   A = Personal ID
+ *   B = Last Name
+ *   C = First Name
+ *   D = Role
+ *   E = Served (report year)
+ *   F = Served (all time)
+ *   G = First Served
+ *   H = Last Served
+ *   I = Last Event Served
+ *
+ * Sorted by role, then most recent server first.
+ */
+const VOLUNTEERS_SHEET_NAME = 'Volunteers';
+const VOLUNTEERS_NUM_COLS = 9;
+
+/**
+ * Manual run: rebuilds the 'Volunteers' tab for the latest report year in Config!B4.
+ */
+function updateVolunteersSheet() {
+  return withJobLock_('Update Volunteers', function () {
+    return updateVolunteersSheetUnlocked_();
+  });
+}
+
+function updateVolunteersSheetUnlocked_() {
+  const years = getReportYears_();
+  const collected = matchOrAssignBelCodes();
+  updateVolunteersSheet_(SpreadsheetApp.getActiveSpreadsheet(), collected.rawData, years[years.length - 1]);
+}
+
+/**
+ * Rebuilds the 'Volunteers' tab from raw records.
+ *
+ * @param {Spreadsheet} ss
+ * @param {Array[]} rawData Raw records from matchOrAssignBelCodes().
+ * @param {number} reportYear Report year for the "Served (YYYY)" column (months per getStatsPeriodConfig_).
+ */
+function updateVolunteersSheet_(ss, rawData, reportYear) {
+  const periods = getStatsPeriodConfig_();
+  const roster = new Map(); // matchKey|role -> entry
+
+  rawData.forEach(r => {
+    if (!r || r[6] !== true || !r[9]) return;
+
+    const date = r[5] instanceof Date ? r[5] : new Date(String(r[5]));
+    if (isNaN(date.getTime())) return;
+
+    const rosterKey = `${r[7]}|${r[9].toLowerCase()}`;
+    if (!roster.has(rosterKey)) {
+      roster.set(rosterKey, {
+        personalId: r[0], first: r[1], last: r[2], role: r[9],
+        yearServed: new Set(), allServed: new Set(),
+        firstDate: date, lastDate: date, lastEvent: r[3]
+      });
+    }
+
+    const entry = roster.get(rosterKey);
+    const eventKey = `${r[3]}-${date.toDateString()}`;
+    entry.allServed.add(eventKey);
+    if (reportPeriodIndex_(date, reportYear, periods) !== -1) entry.yearServed.add(eventKey);
+    if (date < entry.firstDate) entry.firstDate = date;
+    if (date >= entry.lastDate) {
+      entry.lastDate = date;
+      entry.lastEvent = r[3];
+      // Keep the newest spelling of the person
+      entry.personalId = r[0] || entry.personalId;
+      entry.first = r[1] || entry.first;
+      entry.last = r[2] || entry.last;
+    }
+  });
+
+  const rows = Array.from(roster.values())
+    .sort((a, b) => a.role.localeCompare(b.role) || (b.lastDate - a.lastDate))
+    .map(e => [
+      e.personalId || "",
+      e.last || "",
+      e.first || "",
+      e.role,
+      e.yearServed.size,
+      e.allServed.size,
+      e.firstDate,
+      e.lastDate,
+      e.lastEvent || ""
+    ]);
+
+  let sheet = ss.getSheetByName(VOLUNTEERS_SHEET_NAME);
+  if (!sheet) sheet = ss.insertSheet(VOLUNTEERS_SHEET_NAME);
+
+  sheet.clearContents();
+  sheet.getRange(1, 1, 1, VOLUNTEERS_NUM_COLS).setValues([[
+    'Personal ID', 'Last Name', 'First Name', 'Role', `Served (${reportYearLabel_(reportYear, periods)})`,
+    'Served (All Time)', 'First Served', 'Last Served', 'Last Event Served'
+  ]]).setFontWeight('bold');
+  sheet.setFrozenRows(1);
+
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, VOLUNTEERS_NUM_COLS).setValues(rows);
+    sheet.getRange(2, 5, rows.length, 4).setHorizontalAlignment("center");
+    sheet.getRange(2, 7, rows.length, 2).setNumberFormat("MM/dd/yyyy");
+  }
+
+  Logger.log(`✅ Volunteers roster updated: ${rows.length} person/role row(s).`);
+}